@@ -1,17 +1,28 @@
 // ===== Drive Cycle Options (updated for new JSON) =====
 
 // Global UI state
-let currentDriveCycle = 'WLTC';
-let currentDriveCycleId = 1; // matches enums.cycle_types.id for WLTC
-let uploadedFile = null;
-
-// Map drive-cycle -> preview image & template
+let currentDriveCycle = 'NEDC';
+let currentDriveCycleId = 2; // matches enums.cycle_types.id for NEDC, the built-in standard cycle
+let uploadedCycle = null; // { id, filename, points, duration_s, ... } from POST /api/drive-cycles
+let cycleChart = null;
+let cycleChartObserver = null; // resizes cycleChart; one at a time, disconnected with the chart
+let standardCycles = {}; // name -> { available, ... } from GET /api/drive-cycles/standard
+let previewToken = 0; // ignores responses for a cycle that is no longer selected
+let scenarioCycleTypes = []; // cycle type ids that send Scenario_data (its visible_if)
+let cityCatalog = []; // [{ id, name, country, lat, lon, route }] from GET /api/cities (spec enums as fallback)
+let cityMap = null; // Leaflet map of the City_Specific picker
+
+// Cycle types this screen offers (enums.cycle_types names)
+const CYCLE_NAMES = ['WLTC', 'NEDC', 'SORT', 'VECTO', 'FTP', 'City_Specific', 'Custom'];
+
+// Map drive-cycle -> fallback image & template (standard templates are generated from the trace library)
+const standardTemplate = name => `/api/drive-cycles/standard/${name}?format=csv`;
 const driveCycleConfigs = {
-    WLTC: { image: './assets/img/drive-cycle-option-wltc.png', template: './templates/wltc-template.csv' },
-    NEDC: { image: './assets/img/drive-cycle-option-nedc.png', template: './templates/nedc-template.csv' },
-    SORT: { image: './assets/img/drive-cycle-option-sort.png', template: './templates/sort-template.csv' },
-    VECTO: { image: './assets/img/drive-cycle-option-vecto.png', template: './templates/vecto-template.csv' },
-    FTP: { image: './assets/img/drive-cycle-option-ftp.png', template: './templates/ftp-template.csv' },
+    WLTC: { image: './assets/img/drive-cycle-option-wltc.png', template: standardTemplate('WLTC') },
+    NEDC: { image: './assets/img/drive-cycle-option-nedc.png', template: standardTemplate('NEDC') },
+    SORT: { image: './assets/img/drive-cycle-option-sort.png', template: standardTemplate('SORT') },
+    VECTO: { image: './assets/img/drive-cycle-option-vecto.png', template: standardTemplate('VECTO') },
+    FTP: { image: './assets/img/drive-cycle-option-ftp.png', template: standardTemplate('FTP') },
     Custom: { image: null, template: './templates/custom-template.csv' },
 };
 
@@ -27,15 +38,33 @@ const DEFAULT_CYCLE_OPTIONS = [
 
 // ---- Boot ----
 document.addEventListener('DOMContentLoaded', async () => {
+    try {
+        const res = await fetch('/api/drive-cycles/standard');
+        if (!res.ok) throw new Error(`Standard cycle list fetch failed: ${res.status}`);
+        standardCycles = Object.fromEntries((await res.json()).cycles.map(c => [c.name, c]));
+    } catch (err) {
+        console.warn('Standard cycle availability unknown:', err?.message || err);
+    }
     try {
         const res = await fetch('/json/driveCycleOption.json', { cache: 'no-store' });
         if (!res.ok) throw new Error(`Spec fetch failed: ${res.status}`);
         const spec = await res.json();
         buildUiFromSpec(spec);
+        buildScenarioFields(spec);
+        fillMonthOptions(spec?.enums?.months || []);
+        cityCatalog = spec?.enums?.cities || [];
     } catch (err) {
         console.warn('Using DEFAULT_CYCLE_OPTIONS. Reason:', err?.message || err);
         fillCycleOptions(DEFAULT_CYCLE_OPTIONS);
     }
+    try {
+        const res = await fetch('/api/cities');
+        if (!res.ok) throw new Error(`City catalog fetch failed: ${res.status}`);
+        cityCatalog = (await res.json()).cities;
+    } catch (err) {
+        console.warn('City map unavailable:', err?.message || err);
+    }
+    fillCityOptions(cityCatalog);
 
     initializePage();
     setupEventListeners();
@@ -45,7 +74,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 function buildUiFromSpec(spec) {
     const allCycles = Array.isArray(spec?.enums?.cycle_types) ? spec.enums.cycle_types : [];
     // Filter to cycles this screen supports
-    const filtered = allCycles.filter(c => ['WLTC', 'NEDC', 'SORT', 'VECTO', 'FTP', 'Custom'].includes(c.name));
+    const filtered = allCycles.filter(c => CYCLE_NAMES.includes(c.name));
     if (filtered.length) {
         fillCycleOptions(filtered);
     } else {
@@ -62,22 +91,107 @@ function fillCycleOptions(options) {
     options.forEach(opt => {
         const o = document.createElement('option');
         o.value = String(opt.id ?? opt.name);
-        o.textContent = opt.name;
+        o.dataset.name = opt.name;
+        o.textContent = opt.name.replace(/_/g, ' ');
+        // Saving a run with a standard cycle whose trace is not installed returns 422
+        if (!isCycleAvailable(opt.name)) {
+            o.textContent += ' (trace not installed)';
+            o.disabled = true;
+        }
         sel.appendChild(o);
     });
 
-    // Default to WLTC if present
-    const wltc = options.find(o => o.name === 'WLTC');
-    if (wltc) {
-        sel.value = String(wltc.id ?? 1);
-        currentDriveCycle = 'WLTC';
+    // Default to the first standard cycle whose trace is known to be installed, else NEDC
+    const initial = options.find(o => standardCycles[o.name]?.available === true)
+        || options.find(o => o.name === 'NEDC');
+    if (initial) {
+        sel.value = String(initial.id ?? 2);
+        currentDriveCycle = initial.name;
         currentDriveCycleId = Number(sel.value);
     }
 }
 
+// Unknown until GET /api/drive-cycles/standard answers; only standard cycles can be missing
+function isCycleAvailable(name) {
+    return standardCycles[name]?.available !== false;
+}
+
+function fillCityOptions(list) {
+    const sel = document.getElementById('citySelect');
+    if (!sel) return;
+    sel.innerHTML = '<option value="">Select a city</option>';
+    list.forEach(city => {
+        const o = document.createElement('option');
+        o.value = String(city.id);
+        o.textContent = city.country ? `${city.name} (${city.country})` : city.name;
+        sel.appendChild(o);
+    });
+}
+
+// City and month also select the climate defaults of the environment step (GET /api/climate)
+function fillMonthOptions(list) {
+    const sel = document.getElementById('monthSelect');
+    if (!sel) return;
+    list.forEach(month => {
+        const o = document.createElement('option');
+        o.value = String(month.id);
+        o.textContent = month.name;
+        sel.appendChild(o);
+    });
+}
+
+// ---- Fleet scenario: ui_schema.Scenario_data, with the DOM ids of WizardState.FIELD_MAP ----
+function buildScenarioFields(spec) {
+    const group = spec?.ui_schema?.Scenario_data;
+    const box = document.querySelector('#scenarioFields .scenario-fields');
+    if (!group || !box) return;
+
+    const domIds = {};
+    Object.entries(WizardState.FIELD_MAP.driveCycle).forEach(([id, path]) => {
+        if (typeof path === 'string' && path.startsWith('Scenario_data.')) domIds[path.split('.')[1]] = id;
+    });
+    const defaults = spec.backend_payload_template?.Scenario_data || {};
+    scenarioCycleTypes = group.visible_if?.['Driving_Cycle.cycle_type_in'] || [];
+
+    box.innerHTML = `<p class="scenario-note">A trip distance or route speed of 0 takes the simulated cycle's own.</p>`;
+    group.fields.forEach(field => {
+        const id = domIds[field.key];
+        if (!id) return;
+        const value = defaults[field.backend_key || field.key] ?? field.min ?? 0;
+        const row = document.createElement('div');
+        row.className = 'form-group';
+        if (field.type === 'dropdown') {
+            const options = (spec.enums?.[field.enum] || [])
+                .map(o => `<option value="${o.id}"${o.id === value ? ' selected' : ''}>${o.name}</option>`)
+                .join('');
+            row.innerHTML = `<label for="${id}">${field.label}</label><select id="${id}">${options}</select>`;
+        } else {
+            row.innerHTML = `
+              <label for="${id}">${field.label}: <output for="${id}">${value}</output></label>
+              <input type="range" id="${id}" min="${field.min}" max="${field.max}" step="${field.step}" value="${value}" />`;
+            const input = row.querySelector('input');
+            input.addEventListener('input', () => { row.querySelector('output').textContent = input.value; });
+        }
+        box.appendChild(row);
+    });
+    updateScenarioVisibility();
+}
+
+function updateScenarioVisibility() {
+    const fieldset = document.getElementById('scenarioFields');
+    if (fieldset) fieldset.hidden = !scenarioCycleTypes.includes(currentDriveCycleId) || !fieldset.querySelector('input, select');
+}
+
+// { domId: number } of the visible scenario fields
+function collectScenarioFields() {
+    const fieldset = document.getElementById('scenarioFields');
+    if (!fieldset || fieldset.hidden) return {};
+    return Object.fromEntries([...fieldset.querySelectorAll('input, select')].map(el => [el.id, Number(el.value)]));
+}
+
 // ---- Init & listeners ----
 function initializePage() {
-    updateDriveCycleImage(currentDriveCycle);
+    updateDriveCyclePreview(currentDriveCycle);
     updateUploadButtonState();
 
     const dropzone = document.querySelector('.dropzone');
@@ -91,6 +205,11 @@ function setupEventListeners() {
         cycleTypeSelect.addEventListener('change', handleDriveCycleChange);
     }
 
+    const citySelect = document.getElementById('citySelect');
+    if (citySelect) {
+        citySelect.addEventListener('change', () => selectCity(citySelect.value));
+    }
+
     const customDriveCheckbox = document.getElementById('customDrive');
     if (customDriveCheckbox) {
         customDriveCheckbox.addEventListener('change', handleCustomDriveChange);
@@ -117,13 +236,15 @@ function setupEventListeners() {
 // ---- Handlers ----
 function handleDriveCycleChange(event) {
     const id = Number(event.target.value);
-    const label = event.target.options[event.target.selectedIndex]?.textContent || '';
+    const option = event.target.options[event.target.selectedIndex];
+    const label = option?.dataset.name || option?.textContent || '';
 
     currentDriveCycleId = id;
     currentDriveCycle = label;
 
-    updateDriveCycleImage(label);
+    updateDriveCyclePreview(label);
     updateUploadButtonState();
+    updateScenarioVisibility();
 
     // If not Custom, uncheck & disable custom UI
     if (label !== 'Custom') {
@@ -135,9 +256,177 @@ function handleDriveCycleChange(event) {
     }
 }
 
+// ---- Preview: trace chart, falling back to the static image ----
+async function updateDriveCyclePreview(label) {
+    const token = ++previewToken;
+    const cityId = document.getElementById('citySelect')?.value;
+    let url = null;
+    if (label === 'Custom') url = uploadedCycle ? `/api/drive-cycles/${uploadedCycle.id}` : null;
+    else if (label === 'City_Specific') url = cityId ? `/api/drive-cycles/city/${cityId}` : null;
+    else if (driveCycleConfigs[label]) url = `/api/drive-cycles/standard/${label}`;
+
+    // City_Specific keeps the map above the route chart
+    if (label !== 'City_Specific') removeCityMap();
+    const target = label === 'City_Specific' ? showCityPicker() : document.querySelector('.form-right');
+
+    if (url && window.echarts) {
+        try {
+            // Trace and its statistics (same path + /stats for standard, city and uploaded cycles)
+            const [res, statsRes] = await Promise.all([fetch(url), fetch(`${url}/stats`)]);
+            if (res.ok) {
+                const cycle = await res.json();
+                const stats = statsRes.ok ? (await statsRes.json()).stats : null;
+                if (token === previewToken) drawDriveCycleChart(cycle, cycle.title || cycle.name || label, stats, target);
+                return;
+            }
+        } catch (e) {
+            console.warn('Drive cycle trace unavailable:', e?.message || e);
+        }
+    }
+    if (token !== previewToken) return;
+    if (label === 'City_Specific') {
+        disposeCycleChart();
+        target.innerHTML = `<p class="placeholder-note">${cityId ? 'Route not available' : 'Pick a city on the map or from the list'}</p>`;
+    } else {
+        updateDriveCycleImage(label);
+    }
+}
+
+// ---- City map picker (Leaflet; the city list works without it) ----
+function showCityPicker() {
+    const right = document.querySelector('.form-right');
+    let route = right.querySelector('.city-picker .city-route');
+    if (route) return route;
+
+    disposeCycleChart();
+    right.innerHTML = '<div class="city-picker"><div class="city-map"></div><div class="city-route"></div></div>';
+    route = right.querySelector('.city-route');
+    const located = cityCatalog.filter(c => Number.isFinite(c.lat) && Number.isFinite(c.lon));
+    if (!window.L || !located.length) {
+        right.querySelector('.city-map').remove();
+        return route;
+    }
+
+    cityMap = L.map(right.querySelector('.city-map'));
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+        maxZoom: 18,
+        attribution: '&copy; OpenStreetMap contributors',
+    }).addTo(cityMap);
+    located.forEach(city => {
+        L.marker([city.lat, city.lon])
+            .addTo(cityMap)
+            .bindTooltip(`${city.name}${city.route ? ` · ${city.route.length_km} km, ${city.route.stops} stops` : ''}`)
+            .on('click', () => selectCity(city.id));
+    });
+    cityMap.fitBounds(located.map(c => [c.lat, c.lon]), { padding: [24, 24] });
+    return route;
+}
+
+function removeCityMap() {
+    if (cityMap) {
+        cityMap.remove();
+        cityMap = null;
+    }
+}
+
+function selectCity(id) {
+    const sel = document.getElementById('citySelect');
+    if (sel) sel.value = String(id || '');
+    const city = cityCatalog.find(c => String(c.id) === String(id));
+    if (cityMap && Number.isFinite(city?.lat)) cityMap.flyTo([city.lat, city.lon], 11);
+    if (currentDriveCycle === 'City_Specific') updateDriveCyclePreview('City_Specific');
+}
+
+function disposeCycleChart() {
+    if (cycleChartObserver) {
+        cycleChartObserver.disconnect();
+        cycleChartObserver = null;
+    }
+    if (cycleChart) {
+        cycleChart.dispose();
+        cycleChart = null;
+    }
+}
+
+function drawDriveCycleChart(cycle, title, stats, container = document.querySelector('.form-right')) {
+    if (!container) return;
+    disposeCycleChart();
+    container.innerHTML = `
+      <div class="drive-cycle-preview">
+        <div class="drive-cycle-chart"></div>
+        ${stats ? renderCycleStats(stats) : ''}
+      </div>`;
+    const chartEl = container.querySelector('.drive-cycle-chart');
+
+    const data = cycle.time_s.map((t, i) => [t, Math.round(cycle.speed_mps[i] * 3.6 * 10) / 10]);
+    const distance = cycle.distance_km != null ? ` · ${cycle.distance_km} km` : '';
+    cycleChart = echarts.init(chartEl, null, { renderer: 'canvas' });
+    cycleChart.setOption({
+        title: {
+            text: title,
+            subtext: `${Math.round(cycle.duration_s)} s${distance}`,
+            left: 'center',
+            textStyle: { fontSize: 14, color: '#333' },
+        },
+        grid: { top: 64, right: 18, bottom: 56, left: 50 },
+        tooltip: {
+            trigger: 'axis',
+            formatter: params => `${params[0].value[0]} s<br/><b>${params[0].value[1]} km/h</b>`,
+        },
+        xAxis: { type: 'value', name: 's', min: 'dataMin', max: 'dataMax', axisLabel: { color: '#6b6b6b' } },
+        yAxis: { type: 'value', name: 'km/h', min: 0, splitLine: { lineStyle: { color: '#eef0f2' } }, axisLabel: { color: '#6b6b6b' } },
+        dataZoom: [
+            { type: 'inside', xAxisIndex: 0, filterMode: 'none' },
+            { type: 'slider', xAxisIndex: 0, filterMode: 'none', bottom: 8, height: 16 },
+        ],
+        series: [{
+            type: 'line',
+            data,
+            showSymbol: false,
+            lineStyle: { width: 1.5, color: '#01A79D' },
+            areaStyle: { color: 'rgba(1,167,157,0.12)' },
+        }],
+    });
+    if (window.ResizeObserver) {
+        cycleChartObserver = new ResizeObserver(() => cycleChart?.resize());
+        cycleChartObserver.observe(chartEl);
+    }
+}
+
+// Key figures from GET .../stats (see src/cycleStats.js)
+function renderCycleStats(stats) {
+    const fmt = (v, unit, digits = 1) => (v == null ? '–' : `${Number(v).toFixed(digits)} ${unit}`);
+    const minutes = s => `${Math.floor(s / 60)}:${String(Math.round(s % 60)).padStart(2, '0')} min`;
+    const rows = [
+        ['Duration', minutes(stats.duration_s)],
+        ['Distance', fmt(stats.distance_km, 'km', 2)],
+        ['Average speed', fmt(stats.avg_speed_kmh, 'km/h')],
+        ['Average driving speed', fmt(stats.avg_driving_speed_kmh, 'km/h')],
+        ['Max speed', fmt(stats.max_speed_kmh, 'km/h')],
+        ['Idle', fmt(stats.idle_share_pct, '%')],
+        ['Stops', `${stats.stops} (${fmt(stats.stops_per_km, '/km', 2)})`],
+        ['Acceleration p95 / max', `${fmt(stats.acceleration.p95, '', 2)}/ ${fmt(stats.acceleration.max, 'm/s²', 2)}`],
+        ['Deceleration p5 / min', `${fmt(stats.deceleration.p5, '', 2)}/ ${fmt(stats.deceleration.min, 'm/s²', 2)}`],
+        ['PKE', fmt(stats.pke_ms2, 'm/s²', 3)],
+    ];
+    if (stats.grade) {
+        rows.push(
+            ['Grade (mean |g|)', fmt(stats.grade.mean_abs_pct, '%', 2)],
+            ['Grade min / max', `${fmt(stats.grade.min_pct, '', 1)}/ ${fmt(stats.grade.max_pct, '%', 1)}`],
+            ['Elevation gain', fmt(stats.grade.elevation_gain_m, 'm', 0)],
+        );
+    }
+    return `
+      <dl class="drive-cycle-stats">
+        ${rows.map(([label, value]) => `<div><dt>${label}</dt><dd>${value}</dd></div>`).join('')}
+      </dl>`;
+}
+
 function updateDriveCycleImage(label) {
     const right = document.querySelector('.form-right');
     if (!right) return;
+    disposeCycleChart();
+    removeCityMap();
 
     const cfg = driveCycleConfigs[label];
     if (cfg?.image) {
@@ -153,6 +442,7 @@ function updateDriveCycleImage(label) {
 function showDriveCyclePlaceholder(label) {
     const right = document.querySelector('.form-right');
     if (!right) return;
+    disposeCycleChart();
 
     if (label === 'Custom') {
         right.innerHTML = `
@@ -196,7 +486,9 @@ function handleCustomDriveChange() {
             dropzone.classList.add('disabled');
             dropzone.innerHTML = 'Drag & Drop Here';
         }
-        uploadedFile = null;
+        const hadUpload = !!uploadedCycle;
+        uploadedCycle = null;
+        if (hadUpload && currentDriveCycle === 'Custom') updateDriveCyclePreview('Custom');
     }
 }
 
@@ -260,7 +552,7 @@ function uploadFile() {
 
     const input = document.createElement('input');
     input.type = 'file';
-    input.accept = '.csv,.txt,.xlsx,.xls';
+    input.accept = '.csv,.txt,.xlsx';
     input.onchange = (e) => {
         const f = e.target.files?.[0];
         if (f) handleFileUpload(f);
@@ -269,22 +561,41 @@ function uploadFile() {
     input.click();
 }
 
-function handleFileUpload(file) {
+// The server parses and stores the file; the wizard keeps only the returned id
+async function handleFileUpload(file) {
     const allowed = [
         'text/csv', 'text/plain',
-        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-        'application/vnd.ms-excel'
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
     ];
-    if (!allowed.includes(file.type) && !/\.(csv|txt|xlsx|xls)$/i.test(file.name)) {
-        alert('Please select a valid file type (.csv, .txt, .xlsx, .xls)');
+    if (!allowed.includes(file.type) && !/\.(csv|txt|xlsx)$/i.test(file.name)) {
+        alert('Please select a valid file type (.csv, .txt, .xlsx)');
         return;
     }
-    if (file.size > 10 * 1024 * 1024) {
-        alert('File size must be less than 10MB');
+    if (file.size > 2 * 1024 * 1024) {
+        alert('File size must be less than 2MB');
+        return;
+    }
+
+    let body;
+    try {
+        const res = await fetch(`/api/drive-cycles?filename=${encodeURIComponent(file.name)}`, {
+            method: 'POST',
+            headers: { 'Content-Type': file.type || 'application/octet-stream' },
+            body: file,
+        });
+        body = await res.json().catch(() => ({}));
+        if (!res.ok) {
+            const details = (body.details || []).map(d => `Line ${d.line} (${d.column}): ${d.message}`);
+            alert([body.message || `Upload failed (${res.status})`, ...details].join('\n'));
+            return;
+        }
+    } catch (e) {
+        console.error('Drive cycle upload failed', e);
+        alert('Could not upload the drive cycle. Please try again.');
         return;
     }
 
-    uploadedFile = file;
+    uploadedCycle = body;
 
     const dz = document.querySelector('.dropzone');
     if (dz) {
@@ -293,19 +604,23 @@ function handleFileUpload(file) {
         <div class="file-info">
           <span class="file-icon">📄</span>
           <span class="file-name">${file.name}</span>
+          <span class="file-meta">${body.points} points · ${Math.round(body.duration_s)} s</span>
         </div>
         <button class="remove-file" onclick="removeUploadedFile()">✕</button>
       </div>`;
     }
     showSuccessMessage('Your custom drive cycle has been successfully uploaded.');
+    (body.warnings || []).forEach(w => showTemporaryMessage(w, 'warning'));
     updateUploadButtonState();
+    updateDriveCyclePreview('Custom');
 }
 
 function removeUploadedFile() {
-    uploadedFile = null;
+    uploadedCycle = null;
     const dz = document.querySelector('.dropzone');
     if (dz) dz.innerHTML = 'Drag & Drop Here';
     updateUploadButtonState();
+    if (currentDriveCycle === 'Custom') updateDriveCyclePreview('Custom');
 }
 
 // ---- Template download ----
@@ -318,42 +633,32 @@ function downloadTemplate() {
     const btn = document.querySelector('.template');
     if (btn) { btn.classList.add('loading'); btn.disabled = true; }
 
-    const link = document.createElement('a');
-    link.href = cfg.template;
-    link.download = `${currentDriveCycle.toLowerCase()}-template.csv`;
-    try {
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        showSuccessMessage('Template downloaded successfully!');
-    } catch {
-        downloadCSVTemplate();
-        showSuccessMessage('Template generated and downloaded!');
-    } finally {
-        setTimeout(() => {
+    const name = currentDriveCycle;
+    fetch(cfg.template)
+        .then(async res => {
+            if (res.ok) return res.text();
+            const body = await res.json().catch(() => ({}));
+            throw new Error(body.message || `Template download failed (${res.status})`);
+        })
+        .then(csv => {
+            saveCsv(csv, `${name.toLowerCase()}-template.csv`);
+            showSuccessMessage('Template downloaded successfully!');
+        })
+        .catch(e => {
+            console.warn('Template unavailable:', e.message);
+            showTemporaryMessage(e.message, 'warning');
+        })
+        .finally(() => {
             if (btn) { btn.classList.remove('loading'); btn.disabled = false; }
-        }, 800);
-    }
-}
-
-function downloadCSVTemplate() {
-    const csv = `Time(s),Speed(km/h),Acceleration(m/s²)
-0,0,0
-10,20,2
-20,40,2
-30,60,2
-40,80,2
-50,100,2
-60,80,-2
-70,60,-2
-80,40,-2
-90,20,-2
-100,0,-2`;
+        });
+}
+
+function saveCsv(csv, filename) {
     const blob = new Blob([csv], { type: 'text/csv' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `${currentDriveCycle.toLowerCase()}-template.csv`;
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
@@ -409,37 +714,34 @@ function submitForm() {
         return;
     }
 
-    // Determine Cycle_Type id & label
-    const cycleId = Number(sel.value);
-    const cycleLabel = sel.options[sel.selectedIndex]?.textContent || '';
-
-    // ---- Rules engine (subset relevant to this page) ----
-    // AltitudeRule:
-    //  - Standard (1..5): Altitude_m = 0
-    //  - Custom (6): if not provided (we don't collect it here) -> Altitude_m = 0 (scalar)
-    //  - City_Specific (0): not handled on this page (omit later in the final payload builder)
-    let altitudeForPayload = 0; // scalar 0 by default
-
-    // We don’t expose altitude UI here, so Custom also becomes 0 if user doesn’t add altitude elsewhere.
-    // City_Specific is not selectable on this screen, so nothing to do.
-
-    // Scenario visibility (inform next screen): visible only for standard cycles (1..5)
-    const isStandardCycle = cycleId >= 1 && cycleId <= 5;
-
-    // Build a compact object for the next step/page to merge
-    const driveCycleConfig = {
-        simulationTime: Number(simTime),
-        driveCycleTypeId: cycleId,     // matches enums.cycle_types.id
-        driveCycleType: cycleLabel,    // human label
-        customFile: uploadedFile ? uploadedFile.name : null,
-        rules: {
-            altitude_m: altitudeForPayload,
-            scenario_visible: isStandardCycle
-        }
+    const customDrive = !!document.getElementById('customDrive')?.checked;
+    if (currentDriveCycle === 'Custom' && customDrive && !uploadedCycle) {
+        alert('Please upload your custom drive cycle file.');
+        return;
+    }
+    const city = document.getElementById('citySelect')?.value;
+    const month = document.getElementById('monthSelect')?.value;
+    if (currentDriveCycle === 'City_Specific' && !city) {
+        alert('Please select a city for the city-specific drive cycle.');
+        document.getElementById('citySelect')?.focus();
+        return;
+    }
+
+    // Wizard step, keyed by DOM id (compiled to spec inputData by WizardState.compile;
+    // altitude and scenario rules are applied by the backend rules engine)
+    const driveCycleStep = {
+        cycleTypeSelect: Number(sel.value), // matches enums.cycle_types.id
+        simTime: Number(simTime),
+        citySelect: city ? Number(city) : null, // enums.cities id (json/cities.json)
+        monthSelect: month ? Number(month) : null, // enums.months id
+        customDrive,
+        customFile: uploadedCycle ? uploadedCycle.filename : null,
+        ...(uploadedCycle && currentDriveCycle === 'Custom' && { driveCycleId: uploadedCycle.id }),
+        ...collectScenarioFields(),
     };
 
     try {
-        localStorage.setItem('driveCycleConfig', JSON.stringify(driveCycleConfig));
+        WizardState.saveStep('driveCycle', driveCycleStep);
         showSuccessMessage('Form submitted successfully! Redirecting...');
         setTimeout(() => { window.location.href = 'environmentVehicleParameters.html'; }, 1200);
     } catch (e) {
@@ -6,10 +6,11 @@ const SPEC_URL = '/json/driveCycleOption.json';
 // Map DOM ids -> backend keys (Environment & Vehicle)
 const FIELD_MAP = {
     // Environment_data
-    'windspeed': { group: 'Environment_data', key: 'WindSpeed_ms', type: 'slider' },
+    'wind-speed': { group: 'Environment_data', key: 'WindSpeed_ms', type: 'slider' },
     'humidity': { group: 'Environment_data', key: 'Humidity_pct', type: 'slider' },
-    'avg-temp': { group: 'Environment_data', key: 'AvgTemp_C', type: 'slider' },
+    'temperature': { group: 'Environment_data', key: 'AvgTemp_C', type: 'slider' },
     'cabin-temp': { group: 'Environment_data', key: 'CabinTempRef_C', type: 'slider' },
+    'solar-irradiance': { group: 'Environment_data', key: 'Solar_Irradiance_Wh_m2', type: 'slider' },
 
     // Vehicle_data
     'vehicle-mass': { group: 'Vehicle_data', key: 'VehicleMass_kg', type: 'number' },
@@ -21,10 +22,11 @@ const FIELD_MAP = {
 
 // Friendly labels for error messages
 const LABELS = {
-    'windspeed': 'Wind Speed (m/s)',
+    'wind-speed': 'Wind Speed (m/s)',
     'humidity': 'Humidity (%)',
-    'avg-temp': 'Average Temp (°C)',
+    'temperature': 'Average Temp (°C)',
     'cabin-temp': 'Cabin Temp Ref (°C)',
+    'solar-irradiance': 'Solar Irradiance (Wh/m² per day)',
     'vehicle-mass': 'Vehicle Mass (kg)',
     'wheel-radius': 'Wheel Radius (m)',
     'drag-coefficient': 'Air Drag Coefficient',
@@ -35,6 +37,8 @@ const LABELS = {
 let SPEC = null;
 let RANGES = {};   // backendKey -> {min,max,step}
 let DEFAULTS = {}; // backendKey -> default value (from backend_payload_template)
+let CLIMATE = null; // GET /api/climate response for the drive cycle step's city and month
+let SOURCES = {};   // DOM id -> 'climate' | 'user' for the fields CLIMATE covers
 
 // ----------------------------------------------------
 
@@ -43,6 +47,8 @@ document.addEventListener('DOMContentLoaded', async function () {
     if (!nextBtn) return;
 
     await loadSpecAndPrepare();
+    restoreStepFields();
+    await applyClimateDefaults();
 
     initializeInputValidation();
     initializeFormInteractions();
@@ -54,8 +60,7 @@ document.addEventListener('DOMContentLoaded', async function () {
         if (!validateAllFields()) return;
 
         try {
-            const data = collectFormData(); // returns { Environment_data:{...}, Vehicle_data:{...} }
-            localStorage.setItem('environmentVehicleParams', JSON.stringify(data));
+            WizardState.saveStep('environmentVehicle', collectStepFields(), { sources: SOURCES }); // { domId: value }
             showNotification('Form submitted successfully! Redirecting...', 'success');
             setTimeout(() => { window.location.href = 'parameter.html'; }, 1200);
         } catch (e) {
@@ -122,10 +127,11 @@ async function loadSpecAndPrepare() {
 // ---------- Validation ----------
 function initializeInputValidation() {
     // Hook up validation based on RANGES for environment sliders
-    bindRangeValidation('windspeed', 'WindSpeed_ms');
+    bindRangeValidation('wind-speed', 'WindSpeed_ms');
     bindRangeValidation('humidity', 'Humidity_pct');
-    bindRangeValidation('avg-temp', 'AvgTemp_C');
+    bindRangeValidation('temperature', 'AvgTemp_C');
     bindRangeValidation('cabin-temp', 'CabinTempRef_C');
+    bindRangeValidation('solar-irradiance', 'Solar_Irradiance_Wh_m2');
 
     // Vehicle numbers must be >= 0
     ['vehicle-mass', 'wheel-radius', 'drag-coefficient', 'rolling-resistance'].forEach(id => {
@@ -224,10 +230,11 @@ function validateAllFields() {
     let ok = true; const errs = [];
 
     // Environment with ranges
-    ok &= validateRangeById('windspeed', 'WindSpeed_ms', errs);
+    ok &= validateRangeById('wind-speed', 'WindSpeed_ms', errs);
     ok &= validateRangeById('humidity', 'Humidity_pct', errs);
-    ok &= validateRangeById('avg-temp', 'AvgTemp_C', errs);
+    ok &= validateRangeById('temperature', 'AvgTemp_C', errs);
     ok &= validateRangeById('cabin-temp', 'CabinTempRef_C', errs);
+    ok &= validateRangeById('solar-irradiance', 'Solar_Irradiance_Wh_m2', errs);
 
     // Vehicle numbers
     ['vehicle-mass', 'wheel-radius', 'drag-coefficient', 'rolling-resistance'].forEach(id => {
@@ -251,33 +258,110 @@ function validateRangeById(id, backendKey, errs) {
     return ok;
 }
 
-// ---------- Collect & shape data (backend keys) ----------
-function collectFormData() {
-    const env = {};
-    const veh = {};
-
-    // Start with backend defaults (so unspecified fields inherit)
-    Object.assign(env, SPEC?.backend_payload_template?.Environment_data || {});
-    Object.assign(veh, SPEC?.backend_payload_template?.Vehicle_data || {});
+// ---------- Collect wizard step (DOM ids; WizardState.compile maps them to the spec) ----------
+function collectStepFields() {
+    // Every input on the page, so fields the spec cannot take are reported instead of lost.
+    // Unset fields are left out and fall back to backend_payload_template on the server.
+    const fields = {};
+    document.querySelectorAll('.parameter-section input[id]').forEach(el => {
+        if (el.value === '') return;
+        const val = Number(el.value);
+        fields[el.id] = Number.isNaN(val) ? el.value : val;
+    });
+    return fields;
+}
 
-    // Overwrite with current UI values (only mapped fields)
-    Object.entries(FIELD_MAP).forEach(([id, meta]) => {
+// Restore values saved by an earlier visit to this step
+function restoreStepFields() {
+    const saved = WizardState.load().steps.environmentVehicle || {};
+    Object.entries(saved).forEach(([id, value]) => {
         const el = document.getElementById(id);
-        if (!el) return;
-        const val = el.value === '' ? null : Number(el.value);
-        if (val == null || Number.isNaN(val)) return;
+        if (el && value != null) el.value = value;
+    });
+}
 
-        if (meta.group === 'Environment_data') env[meta.key] = val;
-        else if (meta.group === 'Vehicle_data') veh[meta.key] = val;
+// ---------- Climate defaults (city + month of the drive cycle step) ----------
+async function applyClimateDefaults() {
+    const state = WizardState.load();
+    const { citySelect: city, monthSelect: month } = state.steps.driveCycle || {};
+    if (!city || !month) {
+        showClimateNote('Pick a city and month on the drive cycle page to prefill climate defaults.');
+        return;
+    }
+
+    try {
+        const res = await fetch(`/api/climate?city=${encodeURIComponent(city)}&month=${encodeURIComponent(month)}`);
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.message || `climate ${res.status}`);
+        CLIMATE = body;
+    } catch (e) {
+        console.warn('Climate defaults unavailable', e);
+        showClimateNote(`No climate defaults: ${e.message}`);
+        return;
+    }
+
+    // A saved value is kept when it was an override, or saved before sources were recorded
+    const savedStep = state.steps.environmentVehicle || {};
+    const savedSources = state.sources?.environmentVehicle || {};
+    climateFieldIds().forEach(id => {
+        const el = document.getElementById(id);
+        const source = savedSources[id] || (id in savedStep ? 'user' : 'climate');
+        if (source === 'climate') setFieldValue(el, climateValue(id));
+        el.addEventListener('input', () => markSource(id, Number(el.value) === climateValue(id) ? 'climate' : 'user'));
+        markSource(id, source === 'user' && Number(el.value) !== climateValue(id) ? 'user' : 'climate');
     });
 
-    // Ensure constants required by backend exist (if not in UI)
-    // They were seeded from backend_payload_template above.
+    showClimateNote(`Climate defaults for ${CLIMATE.city.name}, ${CLIMATE.month.name} (monthly normals)`);
+}
 
-    return {
-        Environment_data: env,
-        Vehicle_data: veh
-    };
+// DOM ids of the fields the climate response has values for
+function climateFieldIds() {
+    return Object.keys(FIELD_MAP).filter(id =>
+        FIELD_MAP[id].group === 'Environment_data' && CLIMATE?.Environment_data?.[FIELD_MAP[id].key] != null && document.getElementById(id));
+}
+
+function climateValue(id) {
+    return CLIMATE.Environment_data[FIELD_MAP[id].key];
+}
+
+function setFieldValue(el, value) {
+    el.value = value;
+    if (el.classList.contains('slider')) updateSliderBackground(el);
+}
+
+// Badge next to the label: climate default, or the user's value with a reset link
+function markSource(id, source) {
+    SOURCES[id] = source;
+    const label = document.querySelector(`label[for="${id}"]`);
+    if (!label) return;
+    let badge = label.querySelector('.value-source');
+    if (!badge) {
+        badge = document.createElement('span');
+        label.appendChild(badge);
+    }
+    badge.className = `value-source value-source-${source}`;
+    if (source === 'climate') {
+        badge.textContent = 'Climate default';
+        return;
+    }
+    badge.textContent = `Your value (climate: ${climateValue(id)}) `;
+    const reset = document.createElement('button');
+    reset.type = 'button';
+    reset.className = 'value-source-reset';
+    reset.textContent = 'Reset';
+    reset.addEventListener('click', () => {
+        const el = document.getElementById(id);
+        setFieldValue(el, climateValue(id));
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+    });
+    badge.appendChild(reset);
+}
+
+function showClimateNote(text) {
+    const note = document.getElementById('climate-note');
+    if (!note) return;
+    note.textContent = text;
+    note.hidden = false;
 }
 
 // ---------- UI niceties (unchanged behaviors) ----------
@@ -397,6 +481,11 @@ style.textContent = `
 .number-input-vehicle.invalid{border-color:#e74c3c!important;box-shadow:0 0 0 2px rgba(231,76,60,.2)!important}
 .field-group{position:relative}
 .error-message{color:#e74c3c;font-size:.8em;margin-top:5px;font-weight:500;animation:fadeIn .3s ease}
+.value-source{margin-left:8px;padding:1px 6px;border-radius:3px;font-size:.75em;font-weight:500;vertical-align:middle}
+.value-source-climate{background:rgba(1,167,157,.12);color:#01A79D}
+.value-source-user{background:rgba(244,166,59,.15);color:#b36f0f}
+.value-source-reset{margin-left:4px;padding:0;border:0;background:none;color:inherit;font:inherit;text-decoration:underline;cursor:pointer}
+.climate-note{margin:6px 0 0;font-size:.6em;font-weight:400;opacity:.9}
 .slider-value{position:absolute;top:-25px;right:0;background:#01A79D;color:#fff;padding:2px 6px;border-radius:3px;font-size:.8em;font-weight:500;opacity:0;transition:opacity .2s ease;pointer-events:none;z-index:10}
 `;
 document.head.appendChild(style);
@@ -1,13 +1,8 @@
-// parameter.js — updated to consume new JSON and store backend ids
+// parameter.js — last wizard step: motor/battery selection, then compile the wizard state and run
 
 document.addEventListener('DOMContentLoaded', async function () {
-    // ===== Try to load any previously saved config (safe log only) =====
-    try {
-        const raw = localStorage.getItem('simulationConfig');
-        if (raw) console.log('Loaded simulation config:', JSON.parse(raw));
-    } catch (e) {
-        console.warn('Could not parse saved simulation config', e);
-    }
+    // ===== Wizard state from the previous steps (safe log only) =====
+    console.log('Loaded wizard state:', WizardState.load());
 
     // ===== Elements =====
     const homeBtn = document.querySelector('.home-btn');
@@ -68,14 +63,23 @@ document.addEventListener('DOMContentLoaded', async function () {
     };
 
     // ===== Pull enums from JSON and populate dropdowns =====
+    let specDoc = null;
     let enumsFromSpec = { motor_types: [], battery_chemistry: [] };
+    // Calculated (show-only) fields per group: [{ key, label }]
+    const calculatedFields = { Electric_Motor_data: [], Energy_Storage_data: [] };
 
     try {
         const res = await fetch('/json/driveCycleOption.json', { cache: 'no-store' });
         if (!res.ok) throw new Error(String(res.status));
         const spec = await res.json();
+        specDoc = spec;
         enumsFromSpec.motor_types = spec?.enums?.motor_types || [];
         enumsFromSpec.battery_chemistry = spec?.enums?.battery_chemistry || [];
+        Object.keys(calculatedFields).forEach(group => {
+            calculatedFields[group] = (spec?.ui_schema?.[group]?.fields || [])
+                .filter(f => f.type === 'calculated' || f.show_only === true)
+                .map(f => ({ key: f.backend_key || f.key, label: f.label || f.key }));
+        });
     } catch (e) {
         console.warn('Could not load enums from spec; falling back to static options', e);
         // If the JSON could not be loaded, we still let the user pick from the hardcoded HTML options.
@@ -123,6 +127,56 @@ document.addEventListener('DOMContentLoaded', async function () {
         });
     }
 
+    // ===== Calculated values (computed by the backend, never sent with the simulation) =====
+    let calculated = {};
+
+    const selectedId = selectEl => {
+        const id = Number(selectEl?.value);
+        return Number.isInteger(id) ? id : null;
+    };
+
+    async function refreshCalculated() {
+        const motorType = selectedId(motorTypeSelect);
+        const chemistry = selectedId(batteryTypeSelect);
+        const inputData = {
+            Electric_Motor_data: motorType != null ? { Motor_Type: motorType } : {},
+            Energy_Storage_data: chemistry != null ? { Battery_Chemistry: chemistry } : {}
+        };
+        try {
+            const resp = await fetch('/api/calculate', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ inputData })
+            });
+            if (!resp.ok) throw new Error(String(resp.status));
+            calculated = (await resp.json()).calculated || {};
+        } catch (e) {
+            console.warn('Could not load calculated values', e);
+            calculated = {};
+        }
+    }
+
+    function calculatedParams(group) {
+        const params = {};
+        calculatedFields[group].forEach(({ key, label }) => {
+            const value = calculated[group]?.[key];
+            params[label] = value == null ? '—' : String(value);
+        });
+        return params;
+    }
+
+    function renderMotorTable() {
+        const opt = motorTypeSelect?.options[motorTypeSelect.selectedIndex];
+        const label = opt?.dataset?.label || opt?.textContent || '';
+        renderParams(motorTableBody, { ...(MOTOR_PARAMS[label] || {}), ...calculatedParams('Electric_Motor_data') });
+    }
+
+    function renderBatteryTable() {
+        const opt = batteryTypeSelect?.options[batteryTypeSelect.selectedIndex];
+        const label = opt?.dataset?.label || opt?.textContent || '';
+        renderParams(batteryTableBody, { ...(BATTERY_PARAMS[label] || {}), ...calculatedParams('Energy_Storage_data') });
+    }
+
     function isFormComplete() {
         return !!(motorTypeSelect?.value && batteryTypeSelect?.value);
     }
@@ -170,37 +224,33 @@ document.addEventListener('DOMContentLoaded', async function () {
         this.style.opacity = '0.7';
 
         try {
-            const configRaw = localStorage.getItem('simulationConfig');
-            const envVehRaw = localStorage.getItem('environmentVehicleParams');
-            const simulationConfig = configRaw ? JSON.parse(configRaw) : {};
-            const environmentVehicleParams = envVehRaw ? JSON.parse(envVehRaw) : {};
-
-            // Store both id (backend) and label (for UI/readability)
-            const motorOpt = motorTypeSelect.options[motorTypeSelect.selectedIndex];
-            const batteryOpt = batteryTypeSelect.options[batteryTypeSelect.selectedIndex];
-
-            const selections = {
-                motorTypeId: motorTypeSelect.value ? Number(motorTypeSelect.value) : null,
-                motorTypeLabel: motorOpt?.dataset?.label || motorOpt?.textContent || null,
-                batteryTypeId: batteryTypeSelect.value ? Number(batteryTypeSelect.value) : null,
-                batteryTypeLabel: batteryOpt?.dataset?.label || batteryOpt?.textContent || null
-            };
-
-            const inputData = {
-                simulationConfig,
-                environmentVehicleParams,
-                selections
-            };
+            // Select values are enum ids (see buildSelect); keyed by data-testid like the other steps' DOM ids
+            const wizardState = WizardState.saveStep('parameters', {
+                'select-motor-type': motorTypeSelect.value,
+                'select-battery-type': batteryTypeSelect.value
+            });
+
+            // Preview locally so fields the spec cannot take are reported, not silently lost
+            if (specDoc) {
+                const { report } = WizardState.compile(wizardState, specDoc);
+                const skipped = [...report.unmapped, ...report.dropped];
+                if (skipped.length) {
+                    console.warn('Wizard fields not sent to the simulation:', skipped);
+                    showNotification(`${skipped.length} field(s) not used: ${skipped.map(f => f.field).join(', ')}`, 'warning');
+                }
+            }
 
+            // The server compiles the same state against its spec version
             const resp = await fetch('/api/save-input', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ userId: null, inputData })
+                body: JSON.stringify({ userId: null, wizardState })
             });
 
             if (!resp.ok) {
                 const err = await resp.json().catch(() => ({}));
-                throw new Error(err.error || 'Failed to save input');
+                const detail = err.details?.[0] ? ` (${err.details[0].path}: ${err.details[0].message})` : '';
+                throw new Error((err.message || err.error || 'Failed to save input') + detail);
             }
 
             const data = await resp.json();
@@ -226,17 +276,17 @@ document.addEventListener('DOMContentLoaded', async function () {
         }
     });
 
-    // Update tables when selects change (use label to look up pretty table)
-    motorTypeSelect?.addEventListener('change', function () {
-        const opt = this.options[this.selectedIndex];
-        const label = opt?.dataset?.label || opt?.textContent || '';
-        renderParams(motorTableBody, MOTOR_PARAMS[label] || null);
+    // Update tables when selects change (use label to look up pretty table, then live calculated values)
+    motorTypeSelect?.addEventListener('change', async function () {
+        renderMotorTable();
+        await refreshCalculated();
+        renderMotorTable();
     });
 
-    batteryTypeSelect?.addEventListener('change', function () {
-        const opt = this.options[this.selectedIndex];
-        const label = opt?.dataset?.label || opt?.textContent || '';
-        renderParams(batteryTableBody, BATTERY_PARAMS[label] || null);
+    batteryTypeSelect?.addEventListener('change', async function () {
+        renderBatteryTable();
+        await refreshCalculated();
+        renderBatteryTable();
     });
 
     // Micro-interactions
@@ -250,5 +300,10 @@ document.addEventListener('DOMContentLoaded', async function () {
         dd.addEventListener('blur', function () { this.parentElement.style.transform = 'scale(1)'; });
     });
 
+    // Calculated values for the defaults before anything is selected
+    await refreshCalculated();
+    renderMotorTable();
+    renderBatteryTable();
+
     console.log('eBRT 2030 Simulation Interface loaded');
 });
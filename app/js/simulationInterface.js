@@ -16,16 +16,19 @@ document.addEventListener('DOMContentLoaded', function () {
     // Keep id handy for reloads
     try { sessionStorage.setItem('lastSimulationId', id); } catch {}
 
-    // ===== Visual progress (10 minutes total unless overridden) =====
-    // You can override via: <body data-progress-ms="600000">
+    // ===== Progress =====
+    // Progress comes from the server (0..1) via the SSE stream. When we have to fall back to
+    // polling, a time-based animation fills the gap (10 minutes unless overridden via
+    // <body data-progress-ms="600000">).
     const totalTime =
         Number(document.body?.dataset?.progressMs) > 0
             ? Number(document.body.dataset.progressMs)
             : 10 * 60 * 1000; // 10 minutes in ms
 
     let startTime = performance.now();
-    let serverProgress = 0;      // 0..1 from backend if available
+    let serverProgress = 0;      // 0..1 from backend
     let visualProgress = 0;      // 0..1 visual (stays slightly under 1 until redirect)
+    let timeBased = false;       // only animate by elapsed time when polling
     const VISUAL_CAP = 0.985;    // don't show 100% until we navigate
 
     function applyProgress(p) {
@@ -34,48 +37,96 @@ document.addEventListener('DOMContentLoaded', function () {
     }
 
     function updateProgress(now) {
-        // Time-based progress (linear)
         const elapsed = now - startTime;
-        const timeProgress = Math.min(elapsed / totalTime, VISUAL_CAP);
+        const timeProgress = timeBased ? Math.min(elapsed / totalTime, VISUAL_CAP) : 0;
+        const target = Math.min(Math.max(timeProgress, serverProgress), VISUAL_CAP);
 
-        // Combine with server progress if higher
-        visualProgress = Math.min(Math.max(timeProgress, serverProgress), VISUAL_CAP);
+        // Ease towards the target so server steps don't jump
+        visualProgress += (target - visualProgress) * 0.1;
 
         applyProgress(visualProgress);
         requestAnimationFrame(updateProgress);
     }
     requestAnimationFrame(updateProgress);
 
-    // ===== Kick the validator (non-fatal if it fails) =====
+    function setServerProgress(p) {
+        if (typeof p === 'number' && isFinite(p)) {
+            serverProgress = Math.max(serverProgress, Math.max(0, Math.min(1, p)));
+        }
+    }
+
+    function goToOutput() {
+        applyProgress(1);
+        window.location.href = 'simulationOutput.html?id=' + encodeURIComponent(id);
+    }
+
+    // ===== Queue the run (non-fatal if it fails), then follow its status =====
     fetchJSON('/api/send-to-validator', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ id })
-    }).catch(() => { /* ignore; we still poll */ });
+    })
+        .catch(() => { /* ignore; the status stream/poll will report the outcome */ })
+        .then(() => {
+            if (typeof window.EventSource === 'function') {
+                streamResults(id);
+            } else {
+                startPolling();
+            }
+        });
+
+    function startPolling() {
+        timeBased = true;
+        startTime = performance.now();
+        pollResults(id, {
+            // Align max attempts to the visual timer, 1 request/sec
+            maxAttempts: Math.ceil(totalTime / 1000),
+            intervalMs: 1000,
+            perRequestTimeoutMs: 8000
+        });
+    }
 
-    // ===== Poll results =====
-    pollResults(id, {
-        // Align max attempts to the visual timer, 1 request/sec
-        maxAttempts: Math.ceil(totalTime / 1000),
-        intervalMs: 1000,
-        perRequestTimeoutMs: 8000
-    });
+    // ===== Server-Sent Events =====
+    function streamResults(simId) {
+        const source = new EventSource(`/api/results/${encodeURIComponent(simId)}/stream`);
+
+        const onUpdate = (e) => {
+            try { setServerProgress(JSON.parse(e.data).progress); } catch { /* ignore malformed event */ }
+        };
+        source.addEventListener('status', onUpdate);
+        source.addEventListener('progress', onUpdate);
+
+        source.addEventListener('completed', () => {
+            source.close();
+            goToOutput();
+        });
+
+        source.addEventListener('failed', (e) => {
+            source.close();
+            let message = 'Simulation failed';
+            try { message = JSON.parse(e.data).error || message; } catch { }
+            console.error(message);
+            goToOutput();
+        });
+
+        // The browser reconnects on transient drops; if the stream is gone for good, poll instead
+        source.onerror = () => {
+            if (source.readyState === EventSource.CLOSED) startPolling();
+        };
+    }
 
+    // ===== Polling fallback =====
     async function pollResults(simId, { maxAttempts = 600, intervalMs = 1000, perRequestTimeoutMs = 8000 } = {}) {
         for (let attempt = 1; attempt <= maxAttempts; attempt++) {
             try {
                 const data = await fetchJSON(`/api/results/${encodeURIComponent(simId)}`, {}, perRequestTimeoutMs);
 
-                // If backend sends progress (0..1), reflect it visually (but still cap)
-                if (typeof data?.progress === 'number' && isFinite(data.progress)) {
-                    serverProgress = Math.max(0, Math.min(1, data.progress));
-                }
+                // Reflect backend progress (0..1) visually (but still cap)
+                setServerProgress(data?.progress);
 
-                // Success conditions: validatedResponse present OR status indicates completion
-                if (data?.validatedResponse || ['completed', 'ready', 'success'].includes(String(data?.status || ''))) {
-                    // Fill the bar to 100% visually before leaving
-                    applyProgress(1);
-                    window.location.href = 'simulationOutput.html?id=' + encodeURIComponent(simId);
+                // Finished either way: show the output page (it reports failures)
+                if (data?.validatedResponse || ['completed', 'failed'].includes(String(data?.status || ''))) {
+                    goToOutput();
                     return;
                 }
             } catch (e) {
@@ -87,8 +138,7 @@ document.addEventListener('DOMContentLoaded', function () {
         }
 
         // Timed out: go show whatever is available
-        applyProgress(1);
-        window.location.href = 'simulationOutput.html?id=' + encodeURIComponent(simId);
+        goToOutput();
     }
 
     // ===== Helpers =====
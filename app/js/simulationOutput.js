@@ -1,10 +1,26 @@
 // simulationOutput.js — loads /simulationOutput/<id>.json if present, otherwise falls back to demo data.
 // It retains your chart UX: synced zoom, moving shadow, TZ popup, and ECharts gauges.
+// Comparison mode: ?compare=a,b,c (optionally with ?id=baseline) overlays the runs on the same charts.
+// v2 (electric) results replace the telematics tiles with battery, energy and constraint figures,
+// and add a battery aging projection, the total cost of ownership and, when the run has
+// Scenario_data, a fleet scenario.
+
+// Day the relative simulation time axis is anchored on (no TZ headaches)
+const BASE_DATE = '2024-09-07';
 
 document.addEventListener('DOMContentLoaded', async () => {
     initNavigation();
 
     const resultId = getQueryParam('id');
+    initExport(resultId);
+    const compareIds = [...new Set([resultId, ...(getQueryParam('compare') || '').split(',')]
+        .map(s => (s || '').trim())
+        .filter(Boolean))];
+    if (compareIds.length >= 2) {
+        await initComparison(compareIds);
+        return;
+    }
+
     let loaded = null;
     if (resultId) {
         loaded = await tryLoad(`/simulationOutput/${encodeURIComponent(resultId)}.json`);
@@ -14,11 +30,26 @@ document.addEventListener('DOMContentLoaded', async () => {
     const model = coerceToViewModel(loaded);
 
     const ctx = initChartsContinuous(model);  // time axis + zoom + shadow + pointer
-    initGaugesECharts(model);                  // fuel/load/torque & temps via ECharts
     echarts.connect([ctx.speedChart, ctx.msgChart]); // sync charts
-    paintTiles(model);
+    renderMetrics(model);
+    if (model.ev) initEvSeriesSelect(model, ctx.msgChart);
+    if (model.ev && resultId) await initBatteryAging(resultId);
+    if (model.ev && resultId) await initFleetScenario(resultId);
+    if (model.ev && resultId) await initTco(resultId);
 });
 
+// Gauges and tiles for either response contract
+function renderMetrics(model) {
+    if (model.ev) {
+        initEvGauges(model);
+        paintEvTiles(model);
+        renderEvEvents(model);
+    } else {
+        initGaugesECharts(model);                  // fuel/load/torque & temps via ECharts
+        paintTiles(model);
+    }
+}
+
 /* ------------------ Navigation ------------------ */
 function initNavigation() {
     const homeBtn = document.querySelector('.home-btn');
@@ -27,6 +58,29 @@ function initNavigation() {
     if (logoutBtn) logoutBtn.addEventListener('click', e => { e.preventDefault(); console.log('Logout clicked'); });
 }
 
+/* ------------------ Export ------------------ */
+function initExport(resultId) {
+    const btn = document.getElementById('exportBtn');
+    const formatSel = document.getElementById('exportFormat');
+    const reportLink = document.getElementById('reportLink');
+    if (!btn || !formatSel) return;
+    if (!resultId) {
+        btn.disabled = true;
+        if (reportLink) reportLink.classList.add('disabled');
+        return;
+    }
+    if (reportLink) reportLink.href = `/api/results/${encodeURIComponent(resultId)}/report`;
+    btn.addEventListener('click', () => {
+        const format = formatSel.value || 'csv';
+        const link = document.createElement('a');
+        link.href = `/api/results/${encodeURIComponent(resultId)}/export?format=${encodeURIComponent(format)}`;
+        link.download = `simulation-${resultId}.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    });
+}
+
 /* ------------------ Helpers ------------------ */
 function getQueryParam(k) {
     const url = new URL(window.location.href);
@@ -52,7 +106,7 @@ async function tryLoad(url) {
  */
 function coerceToViewModel(payload) {
     // Defaults
-    const baseDate = '2024-09-07';
+    const baseDate = BASE_DATE;
     const STEP_MS = 60_000;
 
     // Fallback generator (demo)
@@ -81,6 +135,8 @@ function coerceToViewModel(payload) {
         };
     }
 
+    if (String(payload.version || '').startsWith('2.')) return coerceEvViewModel(payload);
+
     // Try discover arrays
     const ts = payload?.timeseries || payload?.validatedResponse?.timeseries || payload; // flexible
     const time_s = ts.time_s || ts.Time_s || ts.timeS || [];
@@ -135,6 +191,356 @@ function coerceToViewModel(payload) {
     return model;
 }
 
+/* ------------------ v2 (electric) results ------------------ */
+// Second-chart series of a v2 response: label, y range (null = auto) and unit conversion
+const EV_SERIES = {
+    soc_pct: { label: 'Battery SoC (%)', min: 0, max: 100 },
+    traction_power_kw: { label: 'Traction Power (kW)' },
+    regen_power_kw: { label: 'Regen Power (kW)' },
+    pack_current_a: { label: 'Pack Current (A)' },
+    pack_voltage_v: { label: 'Pack Voltage (V)' },
+    aux_power_kw: { label: 'Auxiliary Power (kW)' },
+    hvac_power_kw: { label: 'HVAC Power (kW)' },
+    energy_kwh: { label: 'Cumulative Energy (kWh)' },
+    motor_speed_rpm: { label: 'Motor Speed (rpm)' },
+    motor_torque_nm: { label: 'Motor Torque per Motor (Nm)' },
+    friction_brake_power_kw: { label: 'Friction Brake Power (kW)' },
+    charge_power_kw: { label: 'Charger Power (kW)' },
+};
+
+const CHARGING_COLOR = 'rgba(39,174,96,0.18)';
+const VIOLATION_COLOR = 'rgba(231,76,60,0.18)';
+
+function coerceEvViewModel(payload) {
+    const ts = payload.timeseries;
+    const m = payload.metrics || {};
+    const startMs = new Date(`${BASE_DATE}T00:00:00`).getTime();
+    const t0 = ts.time_s[0];
+    const at = t => startMs + (t - t0) * 1000;
+    const pairs = (values, scale = 1) => ts.time_s.map((t, i) => [at(t), Number(values[i]) * scale]);
+
+    const seriesByKey = {};
+    Object.keys(EV_SERIES).forEach(k => { if (Array.isArray(ts[k])) seriesByKey[k] = pairs(ts[k]); });
+    const speedSeries = pairs(ts.speed_ms, 3.6);
+    const average = values => (values?.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+    const chargingEvents = payload.charging_events || [];
+    const violations = payload.violations || [];
+    const area = (start, end, color, name) => [{ xAxis: at(start), name, itemStyle: { color } }, { xAxis: at(end ?? start) }];
+
+    return {
+        ev: true,
+        baseDate: BASE_DATE,
+        speedSeries,
+        msgSeries: seriesByKey.soc_pct,
+        msgName: 'soc_pct',
+        msgRange: [0, 100],
+        seriesByKey,
+        // Charging (green) and violation (red) stretches drawn on the second chart
+        msgMarkAreas: [
+            ...chargingEvents.map(e => area(e.start_s, e.end_s, CHARGING_COLOR, e.type)),
+            ...violations.filter(v => v.start_s != null).map(v => area(v.start_s, v.end_s, VIOLATION_COLOR, v.code)),
+        ],
+        start: speedSeries[0][0],
+        end: speedSeries[speedSeries.length - 1][0],
+        kwhPerKm: m.kwh_per_km,
+        energyKwh: m.energy_kwh,
+        socEnd: m.soc_end_pct,
+        socMin: m.soc_min_pct,
+        regenPct: m.traction_energy_kwh > 0 && m.regen_energy_kwh != null ? (m.regen_energy_kwh / m.traction_energy_kwh) * 100 : null,
+        auxKw: average(ts.aux_power_kw),
+        hvacKw: average(ts.hvac_power_kw),
+        ambientC: m.ambient_c,
+        avgSpeedKmh: m.avg_speed_kmh,
+        distanceKm: m.distance_km,
+        chargingEvents,
+        violations,
+        relTime: t => echarts.format.formatTime('hh:mm:ss', at(t)),
+    };
+}
+
+// Relabel a metric tile (the page markup is written for the v1 feed)
+function setTileLabel(elementId, text) {
+    const label = document.getElementById(elementId)?.closest('.metric')?.querySelector('.label');
+    if (label) label.textContent = text;
+}
+
+function initEvGauges(model) {
+    const gauges = [
+        ['fuelGauge', 'SoC End (%)', model.socEnd, 100, '#01A79D', false],
+        ['loadGauge', 'SoC Min (%)', model.socMin, 100, model.violations.length ? '#e74c3c' : '#3498db', false],
+        ['torqueGauge', 'Regen (%)', model.regenPct, 100, '#27ae60', false],
+        ['coolantGauge', 'Aux kW', model.auxKw, 20, '#3498db', true],
+        ['intakeGauge', 'HVAC kW', model.hvacKw, 40, '#ff8c00', true],
+        ['ambientGauge', 'Ambi. °C', model.ambientC, 50, '#3498db', true],
+    ];
+    gauges.forEach(([id, label, value, max, color, small]) => {
+        setTileLabel(id, label);
+        mountChart(id, gaugeOption(Number(value || 0), max, color, small), small ? 'gauge-small' : 'gauge-big');
+        updateGaugeOverlay(id, value == null ? null : Math.round(value * 10) / 10);
+    });
+}
+
+function paintEvTiles(model) {
+    const fmt = (v, digits) => (v == null || isNaN(v) ? '--' : Number(v).toFixed(digits));
+
+    const energy = document.querySelector('.metric.fuel-rate');
+    if (energy) {
+        energy.querySelector('.label').textContent = 'Energy Use';
+        energy.querySelector('.value').textContent = fmt(model.kwhPerKm, 2);
+        energy.querySelector('.unit').textContent = 'kWh/km';
+    }
+
+    const violations = document.querySelector('.metric.dtc');
+    if (violations) {
+        violations.querySelector('.label').textContent = 'Violations (#)';
+        violations.querySelector('.dtc-value').textContent = String(model.violations.length);
+    }
+
+    const tiles = [
+        ['Avg Speed', fmt(model.avgSpeedKmh, 1), 'km/h'],
+        ['Distance', fmt(model.distanceKm, 2), 'km'],
+        ['Net Energy', fmt(model.energyKwh, 1), 'kWh'],
+    ];
+    document.querySelectorAll('.metric.performance').forEach((el, i) => {
+        if (!tiles[i]) return;
+        const [label, value, unit] = tiles[i];
+        el.querySelector('.perf-label').textContent = label;
+        el.querySelector('.perf-value').textContent = value;
+        let unitEl = el.querySelector('.perf-unit');
+        if (!unitEl) {
+            unitEl = document.createElement('div');
+            unitEl.className = 'perf-unit';
+            el.querySelector('.perf-value').after(unitEl);
+        }
+        unitEl.textContent = unit;
+    });
+}
+
+// Charging events and constraint violations under the tiles
+function renderEvEvents(model) {
+    const box = document.getElementById('evEvents');
+    if (!box) return;
+    const esc = s => String(s ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+    const signed = v => `${v >= 0 ? '+' : '−'}${Math.abs(v).toFixed(1)}`;
+    // Time at the charger and, for opportunity stops, the time it would need to put back what was used
+    const dwell = e => (e.dwell_needed_s == null ? ''
+        : ` · dwell ${Math.round(e.dwell_s ?? 0)} s, needs ${Math.round(e.dwell_needed_s)} s${e.dwell_needed_s > (e.dwell_s ?? 0) ? ' <span class="ev-warning">(short)</span>' : ''}`);
+    const span = (start, end) => (start == null ? '' : end != null && end !== start
+        ? `${model.relTime(start)}–${model.relTime(end)}` : model.relTime(start));
+
+    const charging = model.chargingEvents.length
+        ? `<ul>${model.chargingEvents.map(e => `<li><b>${esc(e.type.replace('_', '-'))}</b> ${span(e.start_s, e.end_s)}${e.location ? ` · ${esc(e.location)}` : ''}
+            · ${Number(e.energy_kwh).toFixed(1)} kWh · SoC ${Number(e.soc_start_pct).toFixed(1)} → ${Number(e.soc_end_pct).toFixed(1)} %
+            (${signed(e.soc_end_pct - e.soc_start_pct)})${dwell(e)}</li>`).join('')}</ul>`
+        : '<p class="ev-none">No charging events</p>';
+    const violations = model.violations.length
+        ? `<ul>${model.violations.map(v => `<li class="ev-${esc(v.severity)}"><b>${esc(v.code)}</b> ${span(v.start_s, v.end_s)} · ${esc(v.message)}</li>`).join('')}</ul>`
+        : '<p class="ev-none">No constraint violations</p>';
+
+    box.innerHTML = `<div class="label">Charging events</div>${charging}<div class="label">Constraint violations</div>${violations}`;
+    box.hidden = false;
+}
+
+// State of health and usable energy per year against a stint between charges (GET /api/results/:id/aging)
+async function initBatteryAging(resultId) {
+    const box = document.getElementById('batteryAging');
+    if (!box) return;
+    const aging = await tryLoad(`/api/results/${encodeURIComponent(resultId)}/aging`);
+    if (!aging) return;
+    box.hidden = false;
+
+    const { duty, endOfLife, sohThreshold } = aging;
+    const summary = document.getElementById('agingSummary');
+    if (summary) {
+        const eol = endOfLife
+            ? `<span class="aging-eol">End of life in year ${endOfLife.year} (SoH ${endOfLife.sohPct.toFixed(1)} %): the usable window no longer covers a stint</span>`
+            : `Covers a stint for all ${aging.years.length - 1} years`;
+        const worn = sohThreshold.year == null ? '' : ` · SoH below ${sohThreshold.pct} % in year ${sohThreshold.year}`;
+        // Fractional with a fleet scenario: the mean bus of the timetable
+        const runs = duty.source === 'fleet' ? `${duty.runsPerDay.toFixed(1)} runs/day (fleet timetable)` : `${duty.runsPerDay} runs/day`;
+        summary.innerHTML = `${aging.chemistry.name} · ${runs}, ${duty.dailyEnergyKwh.toFixed(1)} kWh/day · `
+            + `${duty.stintEnergyKwh.toFixed(1)} kWh between charges (${duty.stintDodPct.toFixed(0)} % DoD) · ${eol}${worn}`;
+    }
+
+    const years = aging.years.map(r => `Y${r.year}`);
+    const mount = document.getElementById('agingChart');
+    if (mount) mount.style.height = '260px'; // the box has no height for the default 100 %
+    mountChart('agingChart', {
+        grid: { left: 50, right: 60, top: 30, bottom: 30 },
+        tooltip: { trigger: 'axis' },
+        legend: { top: 0, data: ['SoH (%)', 'Usable energy (kWh)'] },
+        xAxis: { type: 'category', data: years },
+        yAxis: [
+            { type: 'value', name: '%', min: 0, max: 100 },
+            { type: 'value', name: 'kWh', min: 0 },
+        ],
+        series: [
+            { name: 'SoH (%)', type: 'line', data: aging.years.map(r => r.sohPct), color: '#27ae60', showSymbol: false },
+            {
+                name: 'Usable energy (kWh)',
+                type: 'line',
+                yAxisIndex: 1,
+                data: aging.years.map(r => r.usableKwh),
+                color: '#4a90e2',
+                showSymbol: false,
+                markLine: {
+                    symbol: 'none',
+                    data: [
+                        { yAxis: duty.stintEnergyKwh, name: 'Stint energy', lineStyle: { color: '#e74c3c', type: 'dashed' }, label: { formatter: 'Stint: {c} kWh' } },
+                        ...(endOfLife ? [{ xAxis: `Y${endOfLife.year}`, lineStyle: { color: '#e74c3c' }, label: { formatter: 'End of life' } }] : []),
+                    ],
+                },
+            },
+        ],
+    });
+}
+
+// Daily fleet energy, mid-day charging and depot load for the Scenario_data timetable (GET /api/results/:id/fleet)
+async function initFleetScenario(resultId) {
+    const box = document.getElementById('fleetScenario');
+    if (!box) return;
+    const fleet = await tryLoad(`/api/results/${encodeURIComponent(resultId)}/fleet`);
+    if (!fleet) return; // no Scenario_data, or no fleet or depot charger set
+    box.hidden = false;
+
+    const { scenario, daily, midDayCharging, depot } = fleet;
+    const clock = s => {
+        const minutes = Math.round(s / 60) % (24 * 60);
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    };
+    const summary = document.getElementById('fleetSummary');
+    if (summary) {
+        summary.textContent = `${scenario.buses} buses · ${scenario.tripDistanceKm} km return trips at ${scenario.averageSpeedKph} km/h `
+            + `every ${Math.round(scenario.headwayS / 60)} min, ${clock(scenario.serviceStartS)}–${clock(scenario.serviceEndS)} · ${daily.trips} trips, `
+            + `${daily.distanceKm.toFixed(0)} km/day`;
+    }
+
+    const figures = document.getElementById('fleetFigures');
+    if (figures) {
+        const short = depot.chargersMissing > 0 || depot.busesNotReady > 0;
+        const installed = depot.depotChargingEnabled ? `${depot.chargersInstalled} installed` : 'depot charging is off in the inputs';
+        const rows = [
+            ['Daily fleet energy', `${daily.energyKwh.toFixed(0)} kWh`],
+            ['From the depot', `${daily.depotEnergyKwh.toFixed(0)} kWh`],
+            ['On-route charging', `${daily.onRouteChargedKwh.toFixed(0)} kWh`],
+            ['Buses needing mid-day charging', `${midDayCharging.buses} of ${scenario.buses}`, midDayCharging.buses > 0],
+            ['Depot chargers needed', `${depot.chargersRequired} (${installed})`, short],
+            ['Peak depot load', `${depot.peakLoadKw.toFixed(0)} kW (all on arrival: ${depot.unmanagedPeakLoadKw.toFixed(0)} kW)`],
+        ];
+        figures.innerHTML = rows.map(([label, value, warn]) => `<div><dt>${label}</dt><dd${warn ? ' class="fleet-short"' : ''}>${value}</dd></div>`).join('');
+    }
+
+    if (!depot.profile.length) return;
+    const mount = document.getElementById('fleetChart');
+    if (mount) mount.style.height = '220px'; // the box has no height for the default 100 %
+    // One day from midnight; the last step holds until 24:00 (and carries over to 00:00)
+    const day = 86400;
+    const profile = [...depot.profile, [day, depot.profile[depot.profile.length - 1][1]]];
+    mountChart('fleetChart', {
+        grid: { left: 60, right: 20, top: 30, bottom: 30 },
+        tooltip: { trigger: 'axis', valueFormatter: v => `${v} kW` },
+        legend: { top: 0, data: ['Depot load (kW)'] },
+        xAxis: { type: 'value', min: 0, max: day, interval: 4 * 3600, axisLabel: { formatter: clock }, axisPointer: { label: { formatter: ({ value }) => clock(value) } } },
+        yAxis: { type: 'value', name: 'kW', min: 0 },
+        series: [{
+            name: 'Depot load (kW)',
+            type: 'line',
+            step: 'end',
+            data: profile,
+            color: '#27ae60',
+            showSymbol: false,
+            areaStyle: { opacity: 0.2 },
+        }],
+    });
+}
+
+const TCO_CATEGORIES = {
+    vehicle: { label: 'Vehicle', color: '#7f8c8d' },
+    battery: { label: 'Battery', color: '#27ae60' },
+    motors: { label: 'Motors', color: '#16a085' },
+    battery_replacement: { label: 'Battery replacement', color: '#2ecc71' },
+    chargers: { label: 'Chargers', color: '#8e44ad' },
+    energy: { label: 'Energy', color: '#4a90e2' },
+    demand_charge: { label: 'Demand charge', color: '#f39c12' },
+    maintenance: { label: 'Maintenance', color: '#e67e22' },
+};
+
+// Fleet cost per year by category, with per-bus and per-km totals; the horizon can be changed
+async function initTco(resultId) {
+    const box = document.getElementById('tcoPanel');
+    const select = document.getElementById('tcoYears');
+    if (!box) return;
+    let chart = null;
+
+    async function render() {
+        const years = select ? select.value : 12;
+        const tco = await tryLoad(`/api/results/${encodeURIComponent(resultId)}/tco?years=${encodeURIComponent(years)}`);
+        if (!tco) return;
+        box.hidden = false;
+
+        const money = v => new Intl.NumberFormat('en-GB', { style: 'currency', currency: tco.currency, maximumFractionDigits: 0 }).format(v);
+        const summary = document.getElementById('tcoSummary');
+        if (summary) {
+            const fleet = tco.basis.fleet ? `${tco.fleet.buses} buses: ${money(tco.fleet.total)} · ` : '';
+            const renewals = tco.battery.replacementYears.length
+                ? `battery replaced in year ${tco.battery.replacementYears.join(', ')}`
+                : 'no battery replacement';
+            const perKm = tco.perKm == null ? '' : `${tco.perKm.toFixed(2)} ${tco.currency}/km · `;
+            summary.textContent = `Per bus: ${money(tco.perBus.total)} · ${fleet}${perKm}${renewals} · `
+                + `discounted at ${tco.discountRatePct} %, prices ${tco.pricesVersion} (${tco.pricesSource})`;
+        }
+
+        const mount = document.getElementById('tcoChart');
+        if (mount) mount.style.height = '280px'; // the box has no height for the default 100 %
+        const option = {
+            grid: { left: 80, right: 20, top: 50, bottom: 30 },
+            tooltip: { trigger: 'axis', axisPointer: { type: 'shadow' }, valueFormatter: money },
+            legend: { top: 0, data: Object.values(TCO_CATEGORIES).map(c => c.label) },
+            xAxis: { type: 'category', data: tco.yearly.map(r => `Y${r.year}`) },
+            yAxis: { type: 'value', name: tco.currency, axisLabel: { formatter: v => `${Math.round(v / 1000)}k` } },
+            series: Object.entries(TCO_CATEGORIES).map(([key, c]) => ({
+                name: c.label,
+                type: 'bar',
+                stack: 'tco',
+                color: c.color,
+                data: tco.yearly.map(r => r[key]),
+            })),
+        };
+        if (chart) chart.setOption(option, true);
+        else chart = mountChart('tcoChart', option);
+    }
+
+    if (select) select.addEventListener('change', render);
+    await render();
+}
+
+// Second chart: pick which v2 series to plot (SoC by default)
+function initEvSeriesSelect(model, msgChart) {
+    const header = document.querySelector('.message-chart .chart-header');
+    document.querySelectorAll('.message-chart .chart-legend, .marker-popup').forEach(el => { el.style.display = 'none'; });
+    if (!header) return;
+    header.textContent = '';
+    const select = document.createElement('select');
+    select.id = 'evSeriesSelect';
+    Object.keys(model.seriesByKey).forEach(key => {
+        const opt = document.createElement('option');
+        opt.value = key;
+        opt.textContent = EV_SERIES[key].label;
+        select.appendChild(opt);
+    });
+    select.addEventListener('change', () => {
+        const def = EV_SERIES[select.value];
+        msgChart.setOption({
+            yAxis: { min: def.min ?? null, max: def.max ?? null, scale: def.min == null },
+            series: [{ id: 'msg', name: select.value, data: model.seriesByKey[select.value] }],
+        });
+    });
+    header.append('Battery: ', select);
+    const speedHeader = document.querySelector('.speed-chart .chart-header');
+    if (speedHeader) speedHeader.textContent = 'Speed (km/h) · green: charging, red: constraint violations (lower chart)';
+}
+
 const mean = series => (series.length ? series.reduce((a, [, v]) => a + v, 0) / series.length : 0);
 function findNearest(series, target) {
     let lo = 0, hi = series.length - 1;
@@ -279,10 +685,10 @@ function initChartsContinuous(model) {
         grid: baseGrid,
         tooltip: { trigger: 'axis', axisPointer: { type: 'line' } },
         xAxis: xTime,
-        yAxis: yVal(0, 100),
+        yAxis: yVal(...(model.msgRange || [0, 100])),
         dataZoom: zoom,
         series: [{
-            id: 'msg', name: 'AVG_s01pid0d_vehiclespeed', type: 'line', data: msgSeries, smooth: true, symbol: 'none', sampling: 'lttb',
+            id: 'msg', name: model.msgName || 'AVG_s01pid0d_vehiclespeed', type: 'line', data: msgSeries, smooth: true, symbol: 'none', sampling: 'lttb',
             lineStyle: { width: 2, color: '#27ae60' },
             areaStyle: { opacity: 1, color: new echarts.graphic.LinearGradient(0, 0, 0, 1, [{ offset: 0, color: 'rgba(39,174,96,0.25)' }, { offset: 1, color: 'rgba(39,174,96,0.04)' }]) }
         }]
@@ -325,7 +731,7 @@ function initChartsContinuous(model) {
         }, { replaceMerge: ['series'] });
 
         msgChart.setOption({
-            series: [{ id: 'msg', markArea: { itemStyle: { color: 'rgba(60,60,60,0.18)' }, data: [[{ xAxis: areaStart }, { xAxis: areaEnd }]] } }]
+            series: [{ id: 'msg', markArea: { itemStyle: { color: 'rgba(60,60,60,0.18)' }, data: [[{ xAxis: areaStart }, { xAxis: areaEnd }], ...(model.msgMarkAreas || [])] } }]
         }, { replaceMerge: ['series'] });
     }
 
@@ -363,6 +769,123 @@ function initChartsContinuous(model) {
     return { speedChart, msgChart };
 }
 
+/* ------------------ Comparison mode ------------------ */
+const RUN_COLORS = ['#4a90e2', '#27ae60', '#ff8c00', '#9b59b6', '#e74c3c', '#16a085', '#f1c40f', '#34495e', '#d35400', '#7f8c8d'];
+
+// Display transforms per series key: label + unit conversion
+const SERIES_DISPLAY = {
+    speed_ms: { label: 'Speed (km/h)', scale: 3.6 },
+    ...EV_SERIES,
+};
+
+async function initComparison(ids) {
+    let cmp = null;
+    try {
+        const res = await fetch(`/api/compare?ids=${ids.map(encodeURIComponent).join(',')}`, { cache: 'no-store' });
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        cmp = await res.json();
+    } catch (e) {
+        console.warn('Could not load comparison:', e);
+    }
+
+    // Gauges/tiles show the baseline run
+    const baseline = await tryLoad(`/simulationOutput/${encodeURIComponent(ids[0])}.json`);
+    const model = coerceToViewModel(baseline);
+    renderMetrics(model);
+
+    if (!cmp) {
+        const ctx = initChartsContinuous(model);
+        echarts.connect([ctx.speedChart, ctx.msgChart]);
+        return;
+    }
+
+    const ctx = initComparisonCharts(cmp);
+    echarts.connect([ctx.speedChart, ctx.msgChart]);
+}
+
+function initComparisonCharts(cmp) {
+    const startMs = new Date(`${BASE_DATE}T00:00:00`).getTime();
+    const time = cmp.timeseries.time_s || [];
+    const t0 = time.length ? time[0] : 0;
+    const xMin = startMs;
+    const xMax = startMs + ((time.length ? time[time.length - 1] : 0) - t0) * 1000;
+
+    const runColor = i => RUN_COLORS[i % RUN_COLORS.length];
+    const pairs = (values, scale = 1) => time.map((t, i) => [
+        startMs + (t - t0) * 1000,
+        values?.[i] == null ? null : Number(values[i]) * scale
+    ]);
+
+    function overlaySeries(key) {
+        const scale = SERIES_DISPLAY[key]?.scale ?? 1;
+        return cmp.runs.map((run, i) => ({
+            id: `${key}-${run.id}`,
+            name: run.label,
+            type: 'line',
+            data: pairs(cmp.timeseries.runs[i]?.[key], scale),
+            smooth: true, symbol: 'none', sampling: 'lttb', connectNulls: false,
+            lineStyle: { width: i === 0 ? 2.5 : 1.5, color: runColor(i) },
+            itemStyle: { color: runColor(i) }
+        }));
+    }
+
+    const baseGrid = { top: 40, right: 18, bottom: 36, left: 46, containLabel: false };
+    const legend = { top: 0, type: 'scroll', data: cmp.runs.map(r => r.label), textStyle: { color: '#6b6b6b' } };
+    const xTime = {
+        type: 'time', boundaryGap: false, min: xMin, max: xMax,
+        axisLine: { lineStyle: { color: '#d6d6d6' } }, axisTick: { show: false },
+        axisLabel: { color: '#6b6b6b', formatter: (v) => echarts.format.formatTime('hh:mm:ss', v) }
+    };
+    const yVal = {
+        type: 'value', scale: true,
+        splitLine: { lineStyle: { color: '#eef0f2' } },
+        axisLine: { show: false }, axisTick: { show: false }, axisLabel: { color: '#6b6b6b' }
+    };
+    const zoom = [
+        { type: 'inside', xAxisIndex: 0, filterMode: 'none' },
+        { type: 'slider', xAxisIndex: 0, filterMode: 'none', bottom: 6, height: 16, labelFormatter: v => echarts.format.formatTime('hh:mm:ss', v) }
+    ];
+    const chartOption = key => ({
+        grid: baseGrid, legend,
+        tooltip: { trigger: 'axis', axisPointer: { type: 'line' }, valueFormatter: v => (v == null ? '--' : Number(v).toFixed(2)) },
+        xAxis: xTime, yAxis: yVal, dataZoom: zoom,
+        series: overlaySeries(key)
+    });
+
+    // The single-run decorations don't apply to overlays
+    document.querySelectorAll('.marker-popup, .chart-legend').forEach(el => { el.style.display = 'none'; });
+
+    const speedHeader = document.querySelector('.speed-chart .chart-header');
+    if (speedHeader) speedHeader.textContent = `Speed (km/h) · comparing ${cmp.runs.length} runs`;
+    const speedChart = mountChart('speedChart', chartOption('speed_ms'));
+
+    // Second chart: any other series, picked from a dropdown
+    const others = (cmp.timeseries.series || []).filter(k => k !== 'speed_ms');
+    const msgChart = mountChart('messageChart', chartOption(others[0] || 'speed_ms'));
+    const msgHeader = document.querySelector('.message-chart .chart-header');
+    if (msgHeader) {
+        msgHeader.textContent = 'Overlay series: ';
+        if (others.length) {
+            const select = document.createElement('select');
+            select.id = 'compareSeriesSelect';
+            others.forEach(k => {
+                const opt = document.createElement('option');
+                opt.value = k;
+                opt.textContent = SERIES_DISPLAY[k]?.label || k;
+                select.appendChild(opt);
+            });
+            select.addEventListener('change', () => {
+                msgChart.setOption({ series: overlaySeries(select.value) }, { replaceMerge: ['series'] });
+            });
+            msgHeader.appendChild(select);
+        } else {
+            msgHeader.textContent += 'speed only';
+        }
+    }
+
+    return { speedChart, msgChart };
+}
+
 /* ------------------ ECharts Gauges ------------------ */
 function gaugeOption(value, max, color, small = false) {
     return {
@@ -0,0 +1,179 @@
+/**
+ * Parameter sweep expansion for simulation batches.
+ *
+ * A sweep declares parameters by backend path ("Group.BackendKey") with either an
+ * explicit list of values or a numeric range { from, to, step }. The sweep expands
+ * into points, each a { path: value } map:
+ *   - cartesian: every combination of every parameter's values
+ *   - lhs: `samples` Latin-hypercube points (one sample per stratum per parameter),
+ *          reproducible through `seed`
+ */
+
+// Float noise guard for range stepping and rounding
+const EPS = 1e-9;
+const round = v => Math.round(v * 1e9) / 1e9;
+
+/**
+ * Number of values in a { from, to, step } range, counted without building it
+ */
+function rangeCount({ from, to, step }) {
+    if (!(step > 0)) throw batchError(`Range step must be positive (got ${step})`);
+    if (to < from) throw batchError(`Range end ${to} is below its start ${from}`);
+    return Math.floor((to - from) / step + EPS) + 1;
+}
+
+/**
+ * Values of a { from, to, step } range, inclusive of both ends when they line up with step
+ */
+function rangeValues(range) {
+    const count = rangeCount(range);
+    return Array.from({ length: count }, (_, i) => round(range.from + i * range.step));
+}
+
+function parameterValues(param) {
+    if (Array.isArray(param.values)) return param.values;
+    return rangeValues(param.range);
+}
+
+function parameterCount(param) {
+    return Array.isArray(param.values) ? param.values.length : rangeCount(param.range);
+}
+
+function cartesian(params) {
+    let points = [{}];
+    for (const param of params) {
+        const values = parameterValues(param);
+        const next = [];
+        for (const point of points) {
+            for (const v of values) next.push({ ...point, [param.path]: v });
+        }
+        points = next;
+    }
+    return points;
+}
+
+/**
+ * Small deterministic PRNG (mulberry32) so LHS batches can be reproduced from their seed
+ */
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function shuffle(arr, random) {
+    for (let i = arr.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [arr[i], arr[j]] = [arr[j], arr[i]];
+    }
+    return arr;
+}
+
+/**
+ * Map a unit sample u ∈ [0,1) onto a parameter: lists pick an entry, ranges
+ * interpolate and snap to the step grid.
+ */
+function sampleParameter(param, u) {
+    if (Array.isArray(param.values)) {
+        return param.values[Math.min(param.values.length - 1, Math.floor(u * param.values.length))];
+    }
+    const { from, to, step } = param.range;
+    const raw = from + u * (to - from);
+    const snapped = step > 0 ? from + Math.round((raw - from) / step) * step : raw;
+    return round(Math.min(to, Math.max(from, snapped)));
+}
+
+function latinHypercube(params, samples, seed) {
+    const random = createRandom(seed);
+    const points = Array.from({ length: samples }, () => ({}));
+    for (const param of params) {
+        const strata = shuffle(Array.from({ length: samples }, (_, i) => i), random);
+        strata.forEach((stratum, i) => {
+            const u = (stratum + random()) / samples;
+            points[i][param.path] = sampleParameter(param, u);
+        });
+    }
+    return points;
+}
+
+/**
+ * Expand a sweep definition into points. Throws (status 400) when it exceeds maxPoints, before
+ * any range is built.
+ */
+function expandSweep({ parameters, mode = 'cartesian', samples, seed = 1 }, { maxPoints = 500 } = {}) {
+    if (mode === 'cartesian') {
+        const total = parameters.reduce((n, p) => n * parameterCount(p), 1);
+        if (total > maxPoints) {
+            throw batchError(`Sweep expands to ${total} points; the limit is ${maxPoints}`);
+        }
+        return cartesian(parameters);
+    }
+    if (mode === 'lhs') {
+        if (!(samples > 0)) throw batchError('Latin-hypercube sweeps require samples > 0');
+        if (samples > maxPoints) {
+            throw batchError(`Sweep requests ${samples} samples; the limit is ${maxPoints}`);
+        }
+        return latinHypercube(parameters, samples, seed);
+    }
+    throw batchError(`Unknown sweep mode: ${mode}`);
+}
+
+/**
+ * Turn a point { 'Group.Key': value } into a nested inputData override
+ */
+function pointToOverrides(point) {
+    const overrides = {};
+    for (const [path, value] of Object.entries(point)) {
+        const parts = path.split('.');
+        let node = overrides;
+        for (const part of parts.slice(0, -1)) {
+            node[part] = node[part] || {};
+            node = node[part];
+        }
+        node[parts[parts.length - 1]] = value;
+    }
+    return overrides;
+}
+
+/**
+ * Aggregate progress over a batch's simulations (finished runs count as 1)
+ */
+function summarizeProgress(sims, invalidCount = 0) {
+    const counts = { pending: 0, processing: 0, completed: 0, failed: 0, invalid: invalidCount };
+    let sum = 0;
+    for (const sim of sims) {
+        counts[sim.status] = (counts[sim.status] || 0) + 1;
+        sum += sim.status === 'completed' || sim.status === 'failed' ? 1 : Number(sim.progress) || 0;
+    }
+    const total = sims.length;
+    const finished = counts.completed + counts.failed;
+
+    let status = 'running';
+    if (total === 0 || finished === total) {
+        status = counts.failed || counts.invalid ? 'completed_with_errors' : 'completed';
+        if (total > 0 && counts.completed === 0) status = 'failed';
+    } else if (counts.processing === 0 && finished === 0) {
+        status = 'pending';
+    }
+
+    return { status, progress: total ? round(sum / total) : 1, counts, total: total + invalidCount };
+}
+
+function batchError(message) {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+module.exports = {
+    expandSweep,
+    rangeValues,
+    pointToOverrides,
+    summarizeProgress,
+    createRandom,
+};
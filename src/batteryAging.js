@@ -0,0 +1,192 @@
+/**
+ * Battery aging: state of health projected year by year from the daily duty of a completed
+ * v2 (electric) simulation, and the year the usable capacity no longer covers a stint between
+ * two charges.
+ *
+ *   calendar fade  k_cal · f_T · f_SoC · √age            (age in years)
+ *   cycle fade     20 % · EFC / cycle_life_efc · f_DoD   (EFC: equivalent full cycles so far)
+ *   SoH            100 % − calendar fade − cycle fade
+ *
+ *   f_T    Arrhenius factor against 25 °C with the chemistry's activation energy
+ *   f_SoC  1 at a 50 % mean SoC, soc_stress per 50 points above (less below)
+ *   f_DoD  (stint DoD / 80 %) ^ dod_exponent; cycle_life_efc is quoted at 80 % DoD
+ *
+ * Duty: the simulated run repeats runsPerDay times a day on daysPerYear days, runsPerDay as
+ * ./fleet.js busDuty derives it for the fleet scenario and TCO as well; the day's throughput sets
+ * the EFC. The pack is charged between runs (terminus or depot)
+ * and at the run's on-route chargers, so what it must cover between MaximumSoC_pct and
+ * MinimumSoC_pct is one stint: the most energy drawn between two charges. The past is assumed to
+ * have had the same duty (Initial_Battery_Age_years).
+ *
+ * Parameters are indicative values for bus-sized packs, not a cell datasheet.
+ */
+
+const { busDuty } = require('./fleet');
+
+// Keyed by enums.battery_chemistry id
+const CHEMISTRIES = {
+    1: { name: 'NMC', calendar_fade_pct: 3.0, activation_energy_kj_mol: 40, soc_stress: 0.5, cycle_life_efc: 3000, dod_exponent: 0.8 },
+    2: { name: 'LFP', calendar_fade_pct: 2.0, activation_energy_kj_mol: 45, soc_stress: 0.3, cycle_life_efc: 6000, dod_exponent: 0.6 },
+    3: { name: 'LTO', calendar_fade_pct: 1.0, activation_energy_kj_mol: 35, soc_stress: 0.2, cycle_life_efc: 20000, dod_exponent: 0.4 },
+};
+
+const GAS_CONSTANT = 8.314; // J/(mol·K)
+const REFERENCE_TEMP_C = 25;
+const REFERENCE_DOD = 0.8;
+const CYCLE_LIFE_FADE_PCT = 20; // cycle_life_efc ends at 80 % SoH
+const SOH_END_OF_LIFE_PCT = 80; // the usual warranty threshold, reported alongside the route check
+const DEFAULT_DAYS_PER_YEAR = 365;
+
+const round = (v, digits = 2) => Math.round(v * 10 ** digits) / 10 ** digits;
+
+function agingError(message, status = 409) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+// Energy through the pack terminals over the run, both directions (kWh)
+function throughputKwh({ time_s, pack_current_a, pack_voltage_v }) {
+    let total = 0;
+    for (let i = 1; i < time_s.length; i++) {
+        const p0 = Math.abs(pack_current_a[i - 1] * pack_voltage_v[i - 1]);
+        const p1 = Math.abs(pack_current_a[i] * pack_voltage_v[i]);
+        total += ((p0 + p1) / 2) * (time_s[i] - time_s[i - 1]);
+    }
+    return total / 3.6e6;
+}
+
+/**
+ * Most energy (kWh) drawn from the pack between two charges: from the end of one charging stretch
+ * (charge_power_kw > 0) to the start of the next, the run repeating back to back; the whole run
+ * when it has no on-route charging. null without an energy_kwh series.
+ */
+function stintKwh({ energy_kwh, charge_power_kw = [] }) {
+    if (!Array.isArray(energy_kwh)) return null;
+    const n = energy_kwh.length;
+    const charging = i => charge_power_kw[i] > 0;
+    const passes = charge_power_kw.some((_, i) => charging(i)) ? 2 : 1; // a stint may wrap into the next run
+    let drawn = 0;
+    let most = 0;
+    for (let k = 1; k < passes * n; k++) {
+        const i = k % n;
+        if (charging(i)) {
+            drawn = 0;
+            continue;
+        }
+        // Back to back: the next run starts where this one ended
+        if (i > 0) drawn = Math.max(0, drawn + energy_kwh[i] - energy_kwh[i - 1]);
+        most = Math.max(most, drawn);
+    }
+    return most;
+}
+
+/**
+ * Daily duty of a run repeated as `bus` (./fleet.js busDuty) says: { source, runDurationS,
+ * runEnergyKwh, runEfc, stintEnergyKwh, stintDodPct, runsPerDay, daysPerYear, dailyDistanceKm,
+ * dailyEnergyKwh, dailyEfc, meanSocPct, temperatureC }
+ */
+function dailyDuty(response, storage, bus, { daysPerYear = DEFAULT_DAYS_PER_YEAR } = {}) {
+    const { timeseries: ts, metrics } = response;
+    const capacity = storage.BatteryPackStorageCapacity_kWh;
+    const duration = metrics.duration_s ?? ts.time_s[ts.time_s.length - 1] - ts.time_s[0];
+    if (!(duration > 0)) throw agingError('The simulated run has no duration', 422);
+
+    const runEnergy = Math.max(0, metrics.energy_kwh);
+    const runEfc = throughputKwh(ts) / (2 * capacity);
+    const stint = stintKwh(ts) ?? runEnergy;
+    const dod = Math.min(1, stint / capacity);
+    return {
+        source: bus.source,
+        runDurationS: duration,
+        runEnergyKwh: round(runEnergy, 3),
+        runEfc: round(runEfc, 5),
+        stintEnergyKwh: round(stint, 2),
+        stintDodPct: round(dod * 100, 1),
+        runsPerDay: round(bus.runsPerDay, 3),
+        daysPerYear,
+        dailyDistanceKm: round(bus.distanceKm, 1),
+        dailyEnergyKwh: round(bus.energyKwh, 1),
+        dailyEfc: round(bus.runsPerDay * runEfc, 4),
+        // Charged to MaximumSoC_pct, driven down over a stint
+        meanSocPct: round(Math.max(0, storage.MaximumSoC_pct - (dod * 100) / 2), 1),
+        temperatureC: metrics.ambient_c ?? REFERENCE_TEMP_C,
+    };
+}
+
+/**
+ * SoH (%) and its calendar / cycle parts after `ageYears` of `duty`
+ */
+function stateOfHealth(params, duty, ageYears) {
+    const kelvin = c => c + 273.15;
+    const fTemp = Math.exp(((params.activation_energy_kj_mol * 1000) / GAS_CONSTANT) * (1 / kelvin(REFERENCE_TEMP_C) - 1 / kelvin(duty.temperatureC)));
+    const fSoc = Math.max(0.1, 1 + (params.soc_stress * (duty.meanSocPct - 50)) / 50);
+    const calendar = params.calendar_fade_pct * fTemp * fSoc * Math.sqrt(ageYears);
+
+    const efc = duty.dailyEfc * duty.daysPerYear * ageYears;
+    const fDod = Math.max(duty.stintDodPct / 100, 0.01) / REFERENCE_DOD;
+    const cycle = (CYCLE_LIFE_FADE_PCT * efc * fDod ** params.dod_exponent) / params.cycle_life_efc;
+
+    return { sohPct: Math.max(0, 100 - calendar - cycle), calendarFadePct: calendar, cycleFadePct: cycle, efc };
+}
+
+/**
+ * Aging projection for a completed simulation: `payload` in backend keys (Energy_Storage_data),
+ * `response` its v2 validator response. Options: years (horizon), runsPerDay or hoursPerDay
+ * (without a fleet scenario; see ./fleet.js busDuty), daysPerYear. Throws (status 409) for
+ * results without battery data and (422) for unknown chemistries.
+ */
+function projectAging(payload, response, { years = 15, daysPerYear, ...busOptions } = {}) {
+    const metrics = response?.metrics;
+    if (!response?.timeseries?.pack_current_a || typeof metrics?.energy_kwh !== 'number'
+        || typeof metrics.kwh_per_km !== 'number' || !(metrics.distance_km > 0)) {
+        throw agingError('Battery aging needs v2 (electric) results with pack current, energy and distance');
+    }
+    const storage = payload?.Energy_Storage_data || {};
+    const params = CHEMISTRIES[storage.Battery_Chemistry];
+    if (!params) {
+        throw agingError(`No aging parameters for Battery_Chemistry ${JSON.stringify(storage.Battery_Chemistry)} (known: ${Object.keys(CHEMISTRIES).join(', ')})`, 422);
+    }
+    for (const key of ['BatteryPackStorageCapacity_kWh', 'MaximumSoC_pct', 'MinimumSoC_pct']) {
+        if (typeof storage[key] !== 'number') throw agingError(`Energy_Storage_data.${key} is required`, 422);
+    }
+
+    const duty = dailyDuty(response, storage, busDuty(payload, response, busOptions), { daysPerYear });
+    const initialAge = Math.max(0, storage.Initial_Battery_Age_years || 0);
+    const window = (storage.MaximumSoC_pct - storage.MinimumSoC_pct) / 100;
+
+    const rows = [];
+    for (let year = 0; year <= years; year++) {
+        const ageYears = initialAge + year;
+        const soh = stateOfHealth(params, duty, ageYears);
+        const usableKwh = storage.BatteryPackStorageCapacity_kWh * (soh.sohPct / 100) * window;
+        rows.push({
+            year,
+            ageYears,
+            sohPct: round(soh.sohPct),
+            calendarFadePct: round(soh.calendarFadePct),
+            cycleFadePct: round(soh.cycleFadePct),
+            efc: Math.round(soh.efc),
+            usableKwh: round(usableKwh, 1),
+            coversRoute: usableKwh >= duty.stintEnergyKwh,
+        });
+    }
+
+    const firstShort = rows.find(r => !r.coversRoute);
+    const firstWorn = rows.find(r => r.sohPct < SOH_END_OF_LIFE_PCT);
+    return {
+        chemistry: { id: storage.Battery_Chemistry, name: params.name, parameters: params },
+        capacityKwh: storage.BatteryPackStorageCapacity_kWh,
+        socWindowPct: [storage.MinimumSoC_pct, storage.MaximumSoC_pct],
+        initialAgeYears: initialAge,
+        duty,
+        years: rows,
+        // First projected year the usable window is smaller than a stint's energy; null within the horizon
+        endOfLife: firstShort
+            ? { year: firstShort.year, ageYears: firstShort.ageYears, sohPct: firstShort.sohPct, reason: 'route' }
+            : null,
+        sohThreshold: { pct: SOH_END_OF_LIFE_PCT, year: firstWorn ? firstWorn.year : null },
+    };
+}
+
+module.exports = { projectAging, dailyDuty, stintKwh, stateOfHealth, CHEMISTRIES };
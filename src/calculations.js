@@ -0,0 +1,117 @@
+/**
+ * Calculated (show-only) ui_schema fields.
+ *
+ * Values are derived from a backend payload (template defaults merged with the user's
+ * input) for display on the parameter pages, in results, exports and reports. They are
+ * never sent to the validator: buildBackendPayload strips every calculated key.
+ *
+ *   Rated_power_kW                    P = T_max · n_rated · 2π / 60 (per motor)
+ *   Minimum_Regenerative_Speed_RPM    n = P_regen / T_regen · 60 / 2π, the lowest speed at which
+ *                                     regen reaches its power limit P_regen = T_atMax · n_max · 2π / 60
+ *   BatteryPackUsableCapacity_kWh     capacity · (SoC_max − SoC_min)
+ *   Number_of_Cells_in_Series_Ns      ⌈V_pack / V_cell⌉
+ *   Number_of_Strings_in_Parallel_Np  ⌈E_pack / (Ns · V_cell · C_cell)⌉
+ *
+ * Cell parameters come from the `cell` block of the spec's battery_chemistry enum.
+ */
+
+// Used when a spec's battery_chemistry entries carry no `cell` block (specs before 1.3.0)
+const DEFAULT_CELLS = {
+    1: { nominal_voltage_V: 3.65, capacity_Ah: 60 }, // NMC
+    2: { nominal_voltage_V: 3.2, capacity_Ah: 105 }, // LFP
+    3: { nominal_voltage_V: 2.3, capacity_Ah: 40 },  // LTO
+};
+
+const num = v => (v === null || v === undefined || v === '' ? NaN : Number(v));
+const positive = (...values) => values.every(v => Number.isFinite(v) && v > 0);
+const round = (v, digits = 0) => Math.round(v * 10 ** digits) / 10 ** digits;
+
+/**
+ * Cell parameters for a battery chemistry id, or null when unknown
+ */
+function cellFor(spec, chemistryId) {
+    const entry = (spec?.enums?.battery_chemistry || []).find(e => Number(e.id) === Number(chemistryId));
+    return entry?.cell || DEFAULT_CELLS[Number(chemistryId)] || null;
+}
+
+function seriesCells(storage, spec) {
+    const cell = cellFor(spec, storage.Battery_Chemistry);
+    const voltage = num(storage.BatteryPackVoltage_V);
+    if (!cell || !positive(voltage, cell.nominal_voltage_V)) return null;
+    return Math.ceil(voltage / cell.nominal_voltage_V - 1e-9);
+}
+
+// "Group.key" -> (payload, spec) => value | null
+const CALCULATORS = {
+    'Electric_Motor_data.Rated_power_kW': ({ Electric_Motor_data: motor = {} }) => {
+        const torque = num(motor.Max_Traction_Torque_Nm);
+        const speed = num(motor.Rated_Motor_Speed_RPM);
+        if (!positive(torque, speed)) return null;
+        return round((torque * speed * 2 * Math.PI) / 60 / 1000, 1);
+    },
+
+    // The regen power limit is what the motor recovers at its maximum speed; below the speed
+    // where the peak regen torque reaches that power, regeneration is torque-limited
+    'Electric_Motor_data.Minimum_Regenerative_Speed_RPM': ({ Electric_Motor_data: motor = {} }) => {
+        const maxTorque = num(motor.Max_Regenerative_Torque_Nm);
+        const torqueAtMax = num(motor.Regenerative_Torque_at_Max_Speed_Nm);
+        const maxSpeed = num(motor.Max_Motor_Speed_RPM);
+        if (!positive(maxTorque, torqueAtMax, maxSpeed) || torqueAtMax > maxTorque) return null;
+        const powerLimitW = (torqueAtMax * maxSpeed * 2 * Math.PI) / 60;
+        return round(((powerLimitW / maxTorque) * 60) / (2 * Math.PI));
+    },
+
+    'Energy_Storage_data.BatteryPackUsableCapacity_kWh': ({ Energy_Storage_data: storage = {} }) => {
+        const capacity = num(storage.BatteryPackStorageCapacity_kWh);
+        const max = num(storage.MaximumSoC_pct);
+        const min = num(storage.MinimumSoC_pct);
+        if (!positive(capacity) || !Number.isFinite(max) || !Number.isFinite(min) || max <= min) return null;
+        return round((capacity * (max - min)) / 100, 1);
+    },
+
+    'Energy_Storage_data.Number_of_Cells_in_Series_Ns': ({ Energy_Storage_data: storage = {} }, spec) =>
+        seriesCells(storage, spec),
+
+    'Energy_Storage_data.Number_of_Strings_in_Parallel_Np': ({ Energy_Storage_data: storage = {} }, spec) => {
+        const ns = seriesCells(storage, spec);
+        const cell = cellFor(spec, storage.Battery_Chemistry);
+        const capacity = num(storage.BatteryPackStorageCapacity_kWh);
+        if (!ns || !positive(capacity, cell?.capacity_Ah)) return null;
+        const stringKWh = (ns * cell.nominal_voltage_V * cell.capacity_Ah) / 1000;
+        return Math.ceil(capacity / stringKWh - 1e-9);
+    },
+};
+
+/**
+ * Values of every calculated ui_schema field: { group: { key: value } }.
+ * A value is null when its inputs are missing or out of range, or no calculator exists.
+ */
+function calculateFields(payload, spec) {
+    const result = {};
+    for (const [group, cfg] of Object.entries(spec?.ui_schema || {})) {
+        for (const field of cfg.fields || []) {
+            if (field.type !== 'calculated' && field.show_only !== true) continue;
+            const key = field.backend_key || field.key;
+            const calculate = CALCULATORS[`${group}.${key}`];
+            (result[group] = result[group] || {})[key] = calculate ? calculate(payload || {}, spec) : null;
+        }
+    }
+    return result;
+}
+
+/**
+ * calculateFields as flat rows with labels: [{ group, key, label, value }]
+ */
+function calculatedRows(payload, spec) {
+    const rows = [];
+    for (const [group, values] of Object.entries(calculateFields(payload, spec))) {
+        const fields = spec?.ui_schema?.[group]?.fields || [];
+        for (const [key, value] of Object.entries(values)) {
+            const field = fields.find(f => (f.backend_key || f.key) === key);
+            rows.push({ group, key, label: field?.label || key, value });
+        }
+    }
+    return rows;
+}
+
+module.exports = { calculateFields, calculatedRows, cellFor, CALCULATORS };
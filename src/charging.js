@@ -0,0 +1,180 @@
+/**
+ * Charging infrastructure along a route, for the reference validator's EV model (./evModel.js).
+ *
+ * A charger type takes part when its flag is set and it has chargers and power (Charger_data):
+ *   opportunity  Opp_Charger_Placement 1 (Terminus): the first charger at the end terminus, a
+ *                second at the start; 2 (Stops): Num_Opp_Charger stops spread evenly over the
+ *                route. The bus charges while it stands at the site, once connected (CONNECT_S).
+ *   in-motion    Num_IMC_Charger electrified segments covering IMC_Segment_Share_pct of the
+ *                route distance, centred at even intervals; they supply the bus under the wire
+ *   depot        recharge to MaximumSoC_pct after the run at Dep_Charger_Power_kW
+ *
+ * Stops are the standstill stretches of the trace. Terminus_Layover_s adds standstill at the end
+ * terminus. What the pack accepts (Maximum_Charging_Current_A, nothing above MaximumSoC_pct) is
+ * applied by the model.
+ */
+
+const CONNECT_S = 10; // pantograph down and handshake before current flows
+const STANDSTILL_MS = 0.01;
+const PLACEMENTS = { 1: 'terminus', 2: 'stops' }; // enums.charger_placements
+
+const round = (v, digits = 3) => Math.round(v * 10 ** digits) / 10 ** digits;
+
+const enabled = (charger, flag, count, power) => charger?.[flag] === 1 && charger[count] > 0 && charger[power] > 0;
+
+/**
+ * Trace with `seconds` of standstill appended at 1 Hz (the layover at the end terminus)
+ */
+function withLayover({ time_s, speed_ms, altitude_m = null }, seconds) {
+    if (!(seconds > 0)) return { time_s, speed_ms, altitude_m };
+    const end = time_s[time_s.length - 1];
+    const extra = Array.from({ length: Math.ceil(seconds) }, (_, i) => Math.min(end + i + 1, end + seconds));
+    return {
+        time_s: [...time_s, ...extra],
+        speed_ms: [...speed_ms, ...extra.map(() => 0)],
+        altitude_m: Array.isArray(altitude_m) && altitude_m.length === time_s.length
+            ? [...altitude_m, ...extra.map(() => altitude_m[altitude_m.length - 1])]
+            : altitude_m,
+    };
+}
+
+// Standstill stretches as [first, last] point indices
+function standstills(speed_ms) {
+    const stretches = [];
+    let start = null;
+    speed_ms.forEach((v, i) => {
+        if (v <= STANDSTILL_MS) {
+            if (start === null) start = i;
+        } else if (start !== null) {
+            stretches.push([start, i - 1]);
+            start = null;
+        }
+    });
+    if (start !== null) stretches.push([start, speed_ms.length - 1]);
+    return stretches;
+}
+
+/**
+ * Charger at each point of the trace (null where there is none):
+ * { id, type, location, power_kw, from_s } — no current flows before from_s
+ */
+function placeChargers(charger, { time_s, speed_ms }) {
+    const n = time_s.length;
+    const sites = new Array(n).fill(null);
+
+    if (enabled(charger, 'IMC_Charger_Flag', 'Num_IMC_Charger', 'IMC_Charger_Power_kW') && charger.IMC_Segment_Share_pct > 0) {
+        const distance = [0];
+        for (let i = 1; i < n; i++) distance.push(distance[i - 1] + ((speed_ms[i] + speed_ms[i - 1]) / 2) * (time_s[i] - time_s[i - 1]));
+        const total = distance[n - 1];
+        const count = Math.round(charger.Num_IMC_Charger);
+        const half = (Math.min(100, charger.IMC_Segment_Share_pct) / 100) * (total / count) / 2;
+        for (let k = 0; k < count; k++) {
+            const centre = ((k + 0.5) * total) / count;
+            const site = { id: `imc-${k + 1}`, type: 'in_motion', location: `IMC segment ${k + 1}`, power_kw: charger.IMC_Charger_Power_kW, from_s: -Infinity };
+            for (let i = 0; i < n; i++) {
+                if (distance[i] >= centre - half && distance[i] <= centre + half) sites[i] = site;
+            }
+        }
+    }
+
+    if (enabled(charger, 'Opp_Charger_Flag', 'Num_Opp_Charger', 'Opp_Charger_Power_kW')) {
+        const stops = standstills(speed_ms);
+        const atStart = stops.length && stops[0][0] === 0 ? stops[0] : null;
+        const atEnd = stops.length && stops[stops.length - 1][1] === n - 1 && stops[stops.length - 1] !== atStart ? stops[stops.length - 1] : null;
+        const count = Math.round(charger.Num_Opp_Charger);
+        const chosen = []; // [stretch, location]
+        if ((PLACEMENTS[charger.Opp_Charger_Placement] || 'terminus') === 'terminus') {
+            if (atEnd) chosen.push([atEnd, 'End terminus']);
+            if (atStart && count >= 2) chosen.push([atStart, 'Start terminus']);
+        } else {
+            const middle = stops.filter(s => s !== atStart && s !== atEnd);
+            const used = Math.min(count, middle.length);
+            for (let k = 0; k < used; k++) {
+                const index = Math.floor(((k + 0.5) * middle.length) / used);
+                chosen.push([middle[index], `Stop ${index + 1}`]);
+            }
+        }
+        chosen.forEach(([[first, last], location], k) => {
+            const site = { id: `opp-${k + 1}`, type: 'opportunity', location, power_kw: charger.Opp_Charger_Power_kW, from_s: time_s[first] + CONNECT_S, dwell_s: time_s[last] - time_s[first] };
+            for (let i = first; i <= last; i++) sites[i] = site;
+        });
+    }
+    return sites;
+}
+
+/**
+ * Charging events from the model's series: one per visit to a site, from its first to its last
+ * charging point. A charger that pauses during the visit (the pack full while regenerating under
+ * an in-motion segment) does not split the event. energy_kwh is what the charger delivered (the bus's own load included); dwell_needed_s is the
+ * time this site would need to put back the energy used since the previous charge, up to
+ * MaximumSoC_pct, at the power it delivered.
+ */
+function collectEvents({ time_s, soc_pct, energy_kwh, charge_power_kw }, sites, { capacityKwh, maxSocPct }) {
+    const events = [];
+    let lastEnd = 0; // point index where the previous charge ended
+    let i = 0;
+    while (i < time_s.length) {
+        const site = sites[i];
+        if (!site || !(charge_power_kw[i] > 0)) {
+            i++;
+            continue;
+        }
+        const first = i;
+        for (let j = i + 1; j < time_s.length && sites[j] === site; j++) if (charge_power_kw[j] > 0) i = j;
+        const last = i;
+
+        let energy = 0;
+        for (let j = first + 1; j <= last; j++) energy += ((charge_power_kw[j] + charge_power_kw[j - 1]) / 2) * (time_s[j] - time_s[j - 1]);
+        energy /= 3600;
+        const duration = time_s[last] - time_s[first];
+        const avgPower = duration > 0 ? energy / (duration / 3600) : charge_power_kw[first];
+
+        const event = {
+            type: site.type,
+            start_s: time_s[first],
+            end_s: time_s[last],
+            energy_kwh: round(energy),
+            avg_power_kw: round(avgPower, 1),
+            soc_start_pct: soc_pct[first],
+            soc_end_pct: soc_pct[last],
+            location: site.location,
+        };
+        if (site.type === 'opportunity') {
+            const used = Math.max(0, energy_kwh[first] - energy_kwh[lastEnd]);
+            const headroom = Math.max(0, ((maxSocPct - soc_pct[first]) / 100) * capacityKwh);
+            event.dwell_s = site.dwell_s;
+            event.dwell_needed_s = Math.round(CONNECT_S + (avgPower > 0 ? (Math.min(used, headroom) / avgPower) * 3600 : 0));
+        } else {
+            event.dwell_s = duration;
+        }
+        events.push(event);
+        lastEnd = last;
+        i++;
+    }
+    return events;
+}
+
+/**
+ * Recharge to MaximumSoC_pct at the depot after the run (constant power, no taper), or null
+ */
+function depotEvent(charger, { startS, socPct, capacityKwh, maxSocPct, acceptKw }) {
+    if (!enabled(charger, 'Dep_Charger_Flag', 'Num_Dep_Charger', 'Dep_Charger_Power_kW')) return null;
+    const energy = ((maxSocPct - socPct) / 100) * capacityKwh;
+    const power = Math.min(charger.Dep_Charger_Power_kW, acceptKw);
+    if (!(energy > 0) || !(power > 0)) return null;
+    const duration = Math.round((energy / power) * 3600);
+    return {
+        type: 'depot',
+        start_s: startS,
+        end_s: startS + duration,
+        energy_kwh: round(energy),
+        avg_power_kw: round(power, 1),
+        soc_start_pct: socPct,
+        soc_end_pct: maxSocPct,
+        location: 'Depot (after the run)',
+        dwell_s: duration,
+        dwell_needed_s: duration,
+    };
+}
+
+module.exports = { withLayover, placeChargers, collectEvents, depotEvent, standstills, CONNECT_S };
@@ -0,0 +1,149 @@
+const fs = require('fs');
+
+/**
+ * City catalog (json/cities.json): coordinates, region and a representative bus route per
+ * city, used for City_Specific runs (Cycle_Type 0) and the map picker.
+ *
+ * A route is a list of stop-to-stop sections [distance_m, cruise_kmh]. Each section is driven
+ * as accelerate (accel_ms2) → cruise → brake (decel_ms2) → dwell_s at the stop; a section too
+ * short to reach its cruise speed peaks lower. The trace starts and ends standing at a stop.
+ * Altitude is interpolated along the route distance from elevation_profile [[km, m], ...].
+ */
+
+const round = (v, digits) => Math.round(v * 10 ** digits) / 10 ** digits;
+
+function catalogError(message) {
+    const err = new Error(message);
+    err.status = 404;
+    return err;
+}
+
+/**
+ * Structural checks for the catalog file; throws on the first problem
+ */
+function validateCatalog(catalog, source) {
+    if (!Array.isArray(catalog?.cities)) throw new Error(`City catalog ${source} must have a cities array`);
+    const ids = new Set();
+    for (const city of catalog.cities) {
+        const where = `City catalog ${source}, city ${JSON.stringify(city?.name ?? city?.id)}`;
+        if (!Number.isInteger(city?.id) || ids.has(city.id)) throw new Error(`${where}: id must be a unique integer`);
+        ids.add(city.id);
+        if (typeof city.name !== 'string' || !city.name) throw new Error(`${where}: name is required`);
+        if (!Number.isFinite(city.lat) || !Number.isFinite(city.lon)) throw new Error(`${where}: lat and lon are required`);
+        const { route } = city;
+        if (!Array.isArray(route?.sections) || !route.sections.length) throw new Error(`${where}: route.sections must be a non-empty array`);
+        if (route.sections.some(s => !Array.isArray(s) || !(s[0] > 0) || !(s[1] > 0))) {
+            throw new Error(`${where}: route sections must be [distance_m > 0, cruise_kmh > 0]`);
+        }
+        if (!(route.accel_ms2 > 0) || !(route.decel_ms2 > 0) || !(route.dwell_s >= 0)) {
+            throw new Error(`${where}: route needs accel_ms2 > 0, decel_ms2 > 0 and dwell_s >= 0`);
+        }
+    }
+}
+
+// Piecewise-linear speed phases: [start_s, duration_s, v0_mps, a_ms2]
+function routePhases({ sections, dwell_s: dwell, accel_ms2: a, decel_ms2: b }) {
+    const phases = [];
+    let t = 0;
+    const push = (duration, v0, acc) => {
+        if (duration <= 0) return;
+        phases.push([t, duration, v0, acc]);
+        t += duration;
+    };
+    push(dwell, 0, 0);
+    for (const [distance, cruiseKmh] of sections) {
+        // Peak speed: cruise, or lower when accelerating and braking alone cover the section
+        const peak = Math.min(cruiseKmh / 3.6, Math.sqrt((2 * distance * a * b) / (a + b)));
+        const rampDistance = (peak * peak) / (2 * a) + (peak * peak) / (2 * b);
+        push(peak / a, 0, a);
+        push((distance - rampDistance) / peak, peak, 0);
+        push(peak / b, peak, -b);
+        push(dwell, 0, 0);
+    }
+    return { phases, duration: t };
+}
+
+function interpolate(profile, x) {
+    if (!Array.isArray(profile) || !profile.length) return null;
+    if (x <= profile[0][0]) return profile[0][1];
+    for (let i = 1; i < profile.length; i++) {
+        const [x1, y1] = profile[i];
+        if (x <= x1) {
+            const [x0, y0] = profile[i - 1];
+            return y0 + ((y1 - y0) * (x - x0)) / (x1 - x0);
+        }
+    }
+    return profile[profile.length - 1][1];
+}
+
+/**
+ * 1 Hz trace of a city's route: { time_s, speed_mps, altitude_m (or null) }
+ */
+function routeTrace(city) {
+    const { phases, duration } = routePhases(city.route);
+    const time_s = [];
+    const speed_mps = [];
+    let phase = 0;
+    for (let t = 0; t <= Math.ceil(duration); t++) {
+        while (phase < phases.length - 1 && t >= phases[phase][0] + phases[phase][1]) phase++;
+        const [start, length, v0, acc] = phases[phase];
+        const v = t >= duration ? 0 : v0 + acc * Math.min(t - start, length);
+        time_s.push(t);
+        speed_mps.push(round(Math.max(0, v), 4));
+    }
+
+    let altitude_m = null;
+    if (Array.isArray(city.elevation_profile) && city.elevation_profile.length) {
+        altitude_m = [];
+        let distance = 0;
+        for (let i = 0; i < time_s.length; i++) {
+            if (i) distance += ((speed_mps[i] + speed_mps[i - 1]) / 2) * (time_s[i] - time_s[i - 1]);
+            altitude_m.push(round(interpolate(city.elevation_profile, distance / 1000), 2));
+        }
+    }
+    return { time_s, speed_mps, altitude_m };
+}
+
+function createCityCatalog({ file }) {
+    const catalog = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    validateCatalog(catalog, file);
+    const traces = new Map(); // id -> trace
+
+    /**
+     * City by id (number or numeric string) or name (case-insensitive), or null
+     */
+    function find(idOrName) {
+        if (idOrName == null || idOrName === '') return null;
+        const text = String(idOrName).trim();
+        if (/^\d+$/.test(text)) return catalog.cities.find(c => c.id === Number(text)) || null;
+        return catalog.cities.find(c => c.name.toLowerCase() === text.toLowerCase()) || null;
+    }
+
+    /**
+     * Route trace of a city; throws (status 404) for cities not in the catalog
+     */
+    function trace(idOrName) {
+        const city = find(idOrName);
+        if (!city) {
+            throw catalogError(`No city "${idOrName}" in the catalog (available: ${catalog.cities.map(c => c.name).join(', ')})`);
+        }
+        if (!traces.has(city.id)) traces.set(city.id, routeTrace(city));
+        return { city, ...traces.get(city.id) };
+    }
+
+    // Catalog entries without the section lists (map picker, GET /api/cities)
+    function list() {
+        return catalog.cities.map(({ route, elevation_profile, ...city }) => ({
+            ...city,
+            route: {
+                description: route.description || null,
+                stops: route.sections.length + 1,
+                length_km: round(route.sections.reduce((sum, [d]) => sum + d, 0) / 1000, 2),
+            },
+        }));
+    }
+
+    return { version: catalog._meta?.version || null, find, trace, list };
+}
+
+module.exports = { createCityCatalog, routeTrace, validateCatalog };
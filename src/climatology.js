@@ -0,0 +1,85 @@
+const fs = require('fs');
+
+/**
+ * Monthly climate normals per city (json/climate.json), keyed by the city catalog id
+ * (json/cities.json, enums.cities). Each city has twelve rows, January–December, with one
+ * column per entry in `fields` (Environment_data backend keys):
+ *
+ *   "fields": ["AvgTemp_C", "Humidity_pct", "WindSpeed_ms", "Solar_Irradiance_Wh_m2"],
+ *   "cities": { "2": { "name": "Athens", "months": [[10.0, 69, 3.0, 2200], ...] } }
+ *
+ * Suggestions are fitted to the spec's Environment_data fields (slider bounds and steps), so
+ * they can be sent as they are.
+ */
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+function validateClimatology(data, source) {
+    if (!Array.isArray(data?.fields) || !data.fields.length) throw new Error(`Climatology ${source} must list its fields`);
+    if (!data.cities || typeof data.cities !== 'object') throw new Error(`Climatology ${source} must have a cities object`);
+    for (const [id, city] of Object.entries(data.cities)) {
+        const where = `Climatology ${source}, city ${id}`;
+        if (!/^\d+$/.test(id)) throw new Error(`${where}: keys must be city catalog ids`);
+        if (!Array.isArray(city?.months) || city.months.length !== 12) throw new Error(`${where}: months must have 12 rows`);
+        city.months.forEach((row, i) => {
+            if (!Array.isArray(row) || row.length !== data.fields.length || !row.every(Number.isFinite)) {
+                throw new Error(`${where}, ${MONTHS[i]}: expected ${data.fields.length} numbers (${data.fields.join(', ')})`);
+            }
+        });
+    }
+}
+
+/**
+ * Month as { id, name } from its number (1–12) or English name (case-insensitive), or null
+ */
+function resolveMonth(value) {
+    if (value == null || value === '') return null;
+    const text = String(value).trim();
+    const id = /^\d+$/.test(text) ? Number(text) : MONTHS.findIndex(m => m.toLowerCase() === text.toLowerCase()) + 1;
+    return id >= 1 && id <= 12 ? { id, name: MONTHS[id - 1] } : null;
+}
+
+/**
+ * Clamp values to the ui_schema fields' min / max and snap them to the field step.
+ * Returns { values, adjusted: [{ key, climate, value }] } for the values that changed.
+ */
+function fitToFields(values, fields) {
+    const byBackendKey = new Map(fields.map(f => [f.backend_key || f.key, f]));
+    const fitted = {};
+    const adjusted = [];
+    for (const [key, climate] of Object.entries(values)) {
+        const field = byBackendKey.get(key);
+        let value = climate;
+        if (field?.type === 'slider') {
+            if (typeof field.min === 'number') value = Math.max(field.min, value);
+            if (typeof field.max === 'number') value = Math.min(field.max, value);
+            if (field.step > 0) {
+                const base = field.min ?? 0;
+                const decimals = (String(field.step).split('.')[1] || '').length;
+                value = Number((base + Math.round((value - base) / field.step) * field.step).toFixed(decimals));
+            }
+        }
+        fitted[key] = value;
+        if (value !== climate) adjusted.push({ key, climate, value });
+    }
+    return { values: fitted, adjusted };
+}
+
+function createClimatology({ file }) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    validateClimatology(data, file);
+
+    /**
+     * Climate normals of a city id for a month (1–12) as { backendKey: value }, or null
+     */
+    function lookup(cityId, month) {
+        const row = data.cities[String(cityId)]?.months[month - 1];
+        return row ? Object.fromEntries(data.fields.map((key, i) => [key, row[i]])) : null;
+    }
+
+    const has = cityId => Boolean(data.cities[String(cityId)]);
+
+    return { version: data._meta?.version || null, fields: [...data.fields], lookup, has };
+}
+
+module.exports = { createClimatology, resolveMonth, fitToFields, validateClimatology, MONTHS };
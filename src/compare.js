@@ -0,0 +1,170 @@
+const { flattenObject } = require('./utils');
+
+/**
+ * Multi-run comparison: input differences, metric deltas and timeseries
+ * resampled onto a common time base. The first run is the baseline.
+ */
+
+// Changed positions listed per array summary; `changed` always has the full count
+const MAX_CHANGED_INDICES = 20;
+
+/**
+ * An array input as { length, changed, changedIndices } against the baseline run's value
+ * (a position counts as changed when either side lacks it)
+ */
+function summarizeArray(value, baseline) {
+    const base = Array.isArray(baseline) ? baseline : [];
+    const changedIndices = [];
+    let changed = 0;
+    for (let i = 0; i < Math.max(value.length, base.length); i++) {
+        if (i < value.length && i < base.length && JSON.stringify(value[i]) === JSON.stringify(base[i])) continue;
+        changed++;
+        if (changedIndices.length < MAX_CHANGED_INDICES) changedIndices.push(i);
+    }
+    return { length: value.length, changed, changedIndices };
+}
+
+/**
+ * Leaf paths whose values differ between any of the payloads.
+ * Returns [{ path, values: [one per run, null when absent] }]; array values (traces) are
+ * summarized with summarizeArray instead of being repeated whole.
+ */
+function compareInputs(payloads) {
+    const flat = payloads.map(p => flattenObject(p || {}));
+    const paths = new Set(flat.flatMap(f => Object.keys(f)));
+    const diffs = [];
+    for (const path of [...paths].sort()) {
+        const values = flat.map(f => (Object.prototype.hasOwnProperty.call(f, path) ? f[path] : null));
+        const distinct = new Set(values.map(v => JSON.stringify(v)));
+        if (distinct.size <= 1) continue;
+        diffs.push({ path, values: values.map(v => (Array.isArray(v) ? summarizeArray(v, values[0]) : v)) });
+    }
+    return diffs;
+}
+
+/**
+ * Numeric metrics side by side with deltas against the baseline run
+ */
+function compareMetrics(metricsList) {
+    const keys = new Set(metricsList.flatMap(m => Object.keys(m || {})));
+    const rows = [];
+    for (const key of [...keys].sort()) {
+        const values = metricsList.map(m => (typeof m?.[key] === 'number' ? m[key] : null));
+        if (values.every(v => v === null)) continue;
+        const base = values[0];
+        rows.push({
+            key,
+            values,
+            deltas: values.map(v => (v === null || base === null ? null : v - base)),
+            pctDeltas: values.map(v => (v === null || !base ? null : ((v - base) / Math.abs(base)) * 100)),
+        });
+    }
+    return rows;
+}
+
+function medianStep(time) {
+    const steps = [];
+    for (let i = 1; i < time.length; i++) {
+        const dt = time[i] - time[i - 1];
+        if (dt > 0) steps.push(dt);
+    }
+    if (!steps.length) return null;
+    steps.sort((a, b) => a - b);
+    return steps[Math.floor(steps.length / 2)];
+}
+
+/**
+ * Linear interpolation of (time, values) at t; null outside the sampled range
+ */
+function interpolate(time, values, t) {
+    if (!time.length || t < time[0] || t > time[time.length - 1]) return null;
+    let lo = 0, hi = time.length - 1;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (time[mid] <= t) lo = mid; else hi = mid;
+    }
+    const a = Number(values[lo]), b = Number(values[hi]);
+    if (!Number.isFinite(a) || !Number.isFinite(b)) return Number.isFinite(a) ? a : null;
+    if (time[hi] === time[lo]) return a;
+    return a + (b - a) * ((t - time[lo]) / (time[hi] - time[lo]));
+}
+
+/**
+ * Resample every numeric series of every run onto one shared time axis.
+ * The axis spans all runs; its step is the finest median step (or `step`),
+ * widened if needed to stay under maxPoints.
+ */
+function resampleTimeseries(timeseriesList, { step, maxPoints = 5000 } = {}) {
+    const usable = timeseriesList.map(ts => (Array.isArray(ts?.time_s) && ts.time_s.length > 1 ? ts : null));
+    const present = usable.filter(Boolean);
+    if (!present.length) return { time_s: [], series: [], runs: usable.map(() => null) };
+
+    const start = Math.min(...present.map(ts => ts.time_s[0]));
+    const end = Math.max(...present.map(ts => ts.time_s[ts.time_s.length - 1]));
+    let dt = step > 0 ? step : Math.min(...present.map(ts => medianStep(ts.time_s)).filter(Boolean));
+    if (!(dt > 0)) dt = 1;
+    if ((end - start) / dt + 1 > maxPoints) dt = (end - start) / (maxPoints - 1);
+
+    const time = [];
+    for (let i = 0; start + i * dt <= end + 1e-9; i++) time.push(Math.round((start + i * dt) * 1e6) / 1e6);
+
+    const seriesKeys = new Set();
+    for (const ts of present) {
+        for (const [key, arr] of Object.entries(ts)) {
+            if (key !== 'time_s' && Array.isArray(arr) && arr.length === ts.time_s.length) seriesKeys.add(key);
+        }
+    }
+
+    const runs = usable.map(ts => {
+        if (!ts) return null;
+        const out = {};
+        for (const key of seriesKeys) {
+            out[key] = Array.isArray(ts[key]) && ts[key].length === ts.time_s.length
+                ? time.map(t => interpolate(ts.time_s, ts[key], t))
+                : null;
+        }
+        return out;
+    });
+
+    return { time_s: time, step: dt, series: [...seriesKeys].sort(), runs };
+}
+
+/**
+ * Build the full comparison for a list of simulation documents (baseline first)
+ */
+function compareSimulations(docs, spec, options = {}) {
+    const cycleNames = new Map((spec?.enums?.cycle_types || []).map(c => [c.id, c.name]));
+    const payloads = docs.map(d => d.preparedPayload || d.requestJSON?.payload || {});
+    const responses = docs.map(d => d.validatedResponse || null);
+    const timeseries = resampleTimeseries(responses.map(r => r?.timeseries), options);
+
+    return {
+        baseline: String(docs[0]._id),
+        runs: docs.map((d, i) => {
+            const cycleType = payloads[i]?.Driving_Cycle?.Cycle_Type ?? null;
+            return {
+                id: String(d._id),
+                label: `${cycleNames.get(Number(cycleType)) || 'Run'} · ${String(d._id).slice(-6)}`,
+                status: d.status,
+                cycleType,
+                createdAt: d.createdAt,
+            };
+        }),
+        inputDiffs: compareInputs(payloads),
+        metrics: compareMetrics(responses.map(r => r?.metrics || null)),
+        timeseries: {
+            time_s: timeseries.time_s,
+            step: timeseries.step ?? null,
+            series: timeseries.series,
+            runs: docs.map((d, i) => ({ id: String(d._id), ...(timeseries.runs[i] || {}) })),
+        },
+    };
+}
+
+module.exports = {
+    compareSimulations,
+    compareInputs,
+    compareMetrics,
+    resampleTimeseries,
+    interpolate,
+};
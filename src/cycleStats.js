@@ -0,0 +1,145 @@
+/**
+ * Kinematic statistics of a drive cycle trace (time s, speed m/s, optional altitude m).
+ *
+ * Quantities are computed per interval between consecutive points and weighted by the
+ * interval's duration (or distance, for grades), so unevenly sampled traces are handled.
+ *
+ *   idle          both ends of the interval below IDLE_SPEED_MPS
+ *   accelerating  a > ACCEL_THRESHOLD_MS2, decelerating a < −ACCEL_THRESHOLD_MS2
+ *   stop          the trace drops to idle after moving
+ *   PKE           Σ max(0, v₂² − v₁²) / distance (positive kinetic energy, m/s²)
+ *   grade         Δaltitude / Δdistance over GRADE_WINDOW_M stretches of road
+ */
+
+const IDLE_SPEED_MPS = 0.1;
+const ACCEL_THRESHOLD_MS2 = 0.1;
+const GRADE_WINDOW_M = 10;
+
+const round = (v, digits) => (Number.isFinite(v) ? Math.round(v * 10 ** digits) / 10 ** digits : null);
+const toKmh = v => v * 3.6;
+// reduce instead of Math.max(...values): traces can exceed the engine's argument limit
+const max = values => values.reduce((m, v) => (v > m ? v : m), -Infinity);
+const min = values => values.reduce((m, v) => (v < m ? v : m), Infinity);
+
+/**
+ * Weighted percentile of [value, weight] pairs (p in 0..100), or null when empty
+ */
+function percentile(pairs, p) {
+    if (!pairs.length) return null;
+    const sorted = [...pairs].sort((a, b) => a[0] - b[0]);
+    const total = sorted.reduce((sum, [, w]) => sum + w, 0);
+    const target = (p / 100) * total;
+    let cumulative = 0;
+    for (const [value, weight] of sorted) {
+        cumulative += weight;
+        if (cumulative >= target) return value;
+    }
+    return sorted[sorted.length - 1][0];
+}
+
+function weightedMean(pairs) {
+    const total = pairs.reduce((sum, [, w]) => sum + w, 0);
+    return total ? pairs.reduce((sum, [v, w]) => sum + v * w, 0) / total : null;
+}
+
+// Share of time, mean, percentiles and the extreme value ('max' for acceleration, 'min' for braking)
+function accelerationStats(pairs, duration, percentiles, extreme) {
+    const time = pairs.reduce((sum, [, w]) => sum + w, 0);
+    const stats = {
+        share_pct: round(duration ? (time / duration) * 100 : 0, 1),
+        mean: round(weightedMean(pairs), 3),
+    };
+    for (const p of percentiles) stats[`p${p}`] = round(percentile(pairs, p), 3);
+    stats[extreme] = round(pairs.length ? (extreme === 'max' ? max : min)(pairs.map(([a]) => a)) : null, 3);
+    return stats;
+}
+
+// Grade over fixed stretches of road; null when the trace has no altitude profile
+function gradeStats(time, speed, altitude) {
+    if (!Array.isArray(altitude) || altitude.length !== time.length) return null;
+
+    let gain = 0;
+    let loss = 0;
+    for (let i = 1; i < altitude.length; i++) {
+        const dh = altitude[i] - altitude[i - 1];
+        if (dh > 0) gain += dh;
+        else loss -= dh;
+    }
+
+    const grades = []; // [grade %, distance m]
+    let start = 0;
+    let distance = 0;
+    for (let i = 1; i < time.length; i++) {
+        distance += ((speed[i] + speed[i - 1]) / 2) * (time[i] - time[i - 1]);
+        if (distance >= GRADE_WINDOW_M || (i === time.length - 1 && distance > 0)) {
+            grades.push([((altitude[i] - altitude[start]) / distance) * 100, distance]);
+            start = i;
+            distance = 0;
+        }
+    }
+
+    return {
+        min_pct: round(grades.length ? min(grades.map(g => g[0])) : 0, 2),
+        max_pct: round(grades.length ? max(grades.map(g => g[0])) : 0, 2),
+        mean_abs_pct: round(weightedMean(grades.map(([g, d]) => [Math.abs(g), d])) ?? 0, 2),
+        elevation_gain_m: round(gain, 1),
+        elevation_loss_m: round(loss, 1),
+        min_altitude_m: round(min(altitude), 1),
+        max_altitude_m: round(max(altitude), 1),
+    };
+}
+
+/**
+ * Statistics for a trace: { time_s, speed_mps, altitude_m? } with strictly increasing time
+ * and arrays of equal length (see ./driveCycleParser.js). altitude_m may be a scalar (flat).
+ */
+function analyzeCycle({ time_s: time, speed_mps: speed, altitude_m: altitude = null }) {
+    const duration = time.length ? time[time.length - 1] - time[0] : 0;
+    let distance = 0;
+    let idleTime = 0;
+    let pke = 0;
+    let stops = 0;
+    let moving = false;
+    const accel = []; // [a, dt]
+    const decel = [];
+
+    for (let i = 1; i < time.length; i++) {
+        const dt = time[i] - time[i - 1];
+        const v1 = speed[i - 1];
+        const v2 = speed[i];
+        distance += ((v1 + v2) / 2) * dt;
+
+        if (v1 < IDLE_SPEED_MPS && v2 < IDLE_SPEED_MPS) idleTime += dt;
+        if (v2 >= IDLE_SPEED_MPS) moving = true;
+        else if (moving) {
+            stops++;
+            moving = false;
+        }
+
+        const a = (v2 - v1) / dt;
+        if (a > ACCEL_THRESHOLD_MS2) accel.push([a, dt]);
+        else if (a < -ACCEL_THRESHOLD_MS2) decel.push([a, dt]);
+        if (v2 > v1) pke += v2 * v2 - v1 * v1;
+    }
+
+    const drivingTime = duration - idleTime;
+    const distanceKm = distance / 1000;
+    return {
+        points: time.length,
+        duration_s: round(duration, 1),
+        distance_km: round(distanceKm, 3),
+        avg_speed_kmh: round(duration ? toKmh(distance / duration) : 0, 2),
+        avg_driving_speed_kmh: round(drivingTime > 0 ? toKmh(distance / drivingTime) : 0, 2),
+        max_speed_kmh: round(toKmh(Math.max(0, max(speed))), 2),
+        idle_time_s: round(idleTime, 1),
+        idle_share_pct: round(duration ? (idleTime / duration) * 100 : 0, 1),
+        stops,
+        stops_per_km: round(distanceKm > 0 ? stops / distanceKm : 0, 2),
+        acceleration: accelerationStats(accel, duration, [50, 75, 95], 'max'), // m/s²
+        deceleration: accelerationStats(decel, duration, [50, 25, 5], 'min'),  // m/s², p5 / min are the hardest braking
+        pke_ms2: round(distance > 0 ? pke / distance : 0, 4),
+        grade: gradeStats(time, speed, altitude),
+    };
+}
+
+module.exports = { analyzeCycle, percentile, IDLE_SPEED_MPS, ACCEL_THRESHOLD_MS2, GRADE_WINDOW_M };
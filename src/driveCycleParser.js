@@ -0,0 +1,242 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+
+/**
+ * Custom drive cycle files (CSV / TXT / XLSX) in the template layout (app/templates/custom-template.csv):
+ *
+ *   Time(s),Speed(km/h),Acceleration(m/s²)
+ *   0,0,0
+ *   10,25,2.5
+ *
+ * Columns are found by header name, units by the bracketed part of the header. Speed is
+ * converted to m/s (the backend unit), time to seconds and altitude to metres. An altitude
+ * column is optional; other columns (e.g. acceleration, derived by the backend) are ignored
+ * and listed in `ignoredColumns`.
+ *
+ * Text files may be comma, semicolon, tab or whitespace separated; with `;` or tabs a decimal
+ * comma is accepted. Lines starting with `#` are comments.
+ */
+
+const MAX_POINTS = 100000; // same limit as array-number inputs (see ./validation.js)
+const MAX_ERRORS = 20;
+
+const FORMATS = {
+    '.csv': 'csv',
+    '.txt': 'txt',
+    '.xlsx': 'xlsx',
+};
+
+const CONTENT_TYPES = {
+    'text/csv': 'csv',
+    'text/plain': 'txt',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+};
+
+// column -> header pattern and unit -> factor to the backend unit
+const COLUMNS = {
+    time: {
+        pattern: /^(time|t)\b/i,
+        units: { s: 1, sec: 1, min: 60, h: 3600 },
+        defaultUnit: 's',
+    },
+    speed: {
+        pattern: /^(speed|velocity|v)\b/i,
+        units: { 'km/h': 1 / 3.6, kph: 1 / 3.6, kmh: 1 / 3.6, 'm/s': 1, mps: 1, mph: 0.44704 },
+        defaultUnit: 'km/h', // template layout
+    },
+    altitude: {
+        pattern: /^(altitude|elevation|alt)\b/i,
+        units: { m: 1, ft: 0.3048 },
+        defaultUnit: 'm',
+    },
+};
+
+function parseError(message, details) {
+    const err = new Error(message);
+    err.status = 422;
+    if (details) err.details = details;
+    return err;
+}
+
+/**
+ * File format from the file name, falling back to the content type
+ */
+function detectFormat(filename, contentType) {
+    const ext = path.extname(filename || '').toLowerCase();
+    if (FORMATS[ext]) return FORMATS[ext];
+    if (ext === '.xls') {
+        const err = new Error('Legacy .xls workbooks are not supported; save the file as .xlsx or .csv');
+        err.status = 415;
+        throw err;
+    }
+    const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+    if (CONTENT_TYPES[type]) return CONTENT_TYPES[type];
+    const err = new Error('Unsupported drive cycle file; expected .csv, .txt or .xlsx');
+    err.status = 415;
+    throw err;
+}
+
+/* ===== Reading rows ===== */
+
+function splitLine(line, delimiter) {
+    return delimiter === 'whitespace' ? line.trim().split(/\s+/) : line.split(delimiter).map(c => c.trim());
+}
+
+function detectDelimiter(headerLine) {
+    if (headerLine.includes('\t')) return '\t';
+    if (headerLine.includes(';')) return ';';
+    if (headerLine.includes(',')) return ',';
+    return 'whitespace';
+}
+
+// Text rows as { line, cells }; strips a BOM, comments and blank lines
+function textRows(buffer) {
+    const lines = buffer.toString('utf-8').replace(/^\uFEFF/, '').split(/\r?\n/);
+    const rows = [];
+    let delimiter = null;
+    lines.forEach((raw, i) => {
+        const line = raw.trim();
+        if (!line || line.startsWith('#')) return;
+        delimiter = delimiter || detectDelimiter(line);
+        const decimalComma = delimiter === ';' || delimiter === '\t';
+        const cells = splitLine(line, delimiter).map(c => (decimalComma ? c.replace(/^(-?\d+),(\d+)$/, '$1.$2') : c));
+        rows.push({ line: i + 1, cells });
+    });
+    return rows;
+}
+
+async function xlsxRows(buffer) {
+    const wb = new ExcelJS.Workbook();
+    try {
+        await wb.xlsx.load(buffer);
+    } catch (e) {
+        throw parseError(`Could not read workbook: ${e.message}`);
+    }
+    const sheet = wb.worksheets[0];
+    if (!sheet) throw parseError('Workbook has no worksheets');
+    const rows = [];
+    sheet.eachRow({ includeEmpty: false }, (row, number) => {
+        const cells = [];
+        row.eachCell({ includeEmpty: true }, (cell, col) => {
+            const v = cell.value;
+            // Formula cells carry their cached result
+            cells[col - 1] = v && typeof v === 'object' && 'result' in v ? v.result : v;
+        });
+        const normalized = Array.from(cells, c => (c == null ? '' : String(c).trim()));
+        if (normalized.some(Boolean)) rows.push({ line: number, cells: normalized });
+    });
+    return rows;
+}
+
+/* ===== Header ===== */
+
+function parseHeaderCell(text) {
+    const m = /^(.*?)\s*[([]\s*([^)\]]+?)\s*[)\]]\s*$/.exec(text);
+    return m ? { name: m[1], unit: m[2] } : { name: text, unit: null };
+}
+
+function normalizeUnit(unit) {
+    return unit.toLowerCase().replace(/\s+/g, '').replace('²', '2');
+}
+
+/**
+ * Column index and unit factor for time, speed and (optional) altitude
+ */
+function mapColumns(header, warnings) {
+    const columns = {};
+    const ignoredColumns = [];
+    header.forEach((text, index) => {
+        const { name, unit } = parseHeaderCell(text);
+        const kind = Object.keys(COLUMNS).find(k => COLUMNS[k].pattern.test(name.trim()));
+        if (!kind || columns[kind]) {
+            if (text) ignoredColumns.push(text);
+            return;
+        }
+        const def = COLUMNS[kind];
+        let unitKey = unit ? normalizeUnit(unit) : null;
+        if (!unitKey) {
+            unitKey = def.defaultUnit;
+            warnings.push(`No unit in "${text}" header; assuming ${def.defaultUnit}`);
+        }
+        if (!(unitKey in def.units)) {
+            throw parseError(`Unsupported ${kind} unit "${unit}" in column "${text}" (expected one of: ${Object.keys(def.units).join(', ')})`);
+        }
+        columns[kind] = { index, header: text, unit: unitKey, factor: def.units[unitKey] };
+    });
+    for (const kind of ['time', 'speed']) {
+        if (!columns[kind]) throw parseError(`Missing ${kind} column; expected a header like Time(s),Speed(km/h)`);
+    }
+    return { columns, ignoredColumns };
+}
+
+/* ===== Parse ===== */
+
+const round = (v, digits) => Math.round(v * 10 ** digits) / 10 ** digits;
+
+/**
+ * Parse a drive cycle file. Resolves to
+ * { format, time_s, speed_mps, altitude_m (array or null), units, ignoredColumns, warnings };
+ * rejects with status 415 (format) or 422 (content, `details: [{ line, column, message }]`).
+ */
+async function parseDriveCycle(buffer, { filename, contentType } = {}) {
+    const format = detectFormat(filename, contentType);
+    if (!buffer || !buffer.length) throw parseError('File is empty');
+    const rows = format === 'xlsx' ? await xlsxRows(buffer) : textRows(buffer);
+
+    const headerAt = rows.findIndex(r => r.cells.some(c => c !== '' && !Number.isFinite(Number(c))));
+    if (headerAt === -1) throw parseError('Missing header row; expected a header like Time(s),Speed(km/h)');
+    const warnings = [];
+    const { columns, ignoredColumns } = mapColumns(rows[headerAt].cells, warnings);
+
+    const data = rows.slice(headerAt + 1);
+    if (data.length < 2) throw parseError('A drive cycle needs at least two data rows');
+    if (data.length > MAX_POINTS) throw parseError(`Too many rows (${data.length}); at most ${MAX_POINTS} are accepted`);
+
+    const errors = [];
+    const addError = (line, column, message) => errors.push({ line, column, message });
+    const series = { time: [], speed: [], altitude: [] };
+
+    for (const { line, cells } of data) {
+        for (const kind of Object.keys(columns)) {
+            const col = columns[kind];
+            const raw = cells[col.index];
+            const value = raw === '' || raw == null ? NaN : Number(raw);
+            if (!Number.isFinite(value)) {
+                addError(line, col.header, `"${raw ?? ''}" is not a number`);
+                series[kind].push(NaN);
+                continue;
+            }
+            series[kind].push(value * col.factor);
+        }
+    }
+
+    series.time.forEach((t, i) => {
+        if (i && Number.isFinite(t) && Number.isFinite(series.time[i - 1]) && t <= series.time[i - 1]) {
+            addError(data[i].line, columns.time.header, `Time must increase (${series.time[i - 1]} → ${t} s)`);
+        }
+    });
+    series.speed.forEach((v, i) => {
+        if (v < 0) {
+            addError(data[i].line, columns.speed.header, `Speed must not be negative (${round(v / columns.speed.factor, 6)} ${columns.speed.unit})`);
+        }
+    });
+
+    if (errors.length) {
+        const details = errors.sort((a, b) => a.line - b.line).slice(0, MAX_ERRORS);
+        const more = errors.length > details.length ? ` (first ${details.length} shown)` : '';
+        throw parseError(`Drive cycle has ${errors.length} invalid value(s)${more}`, details);
+    }
+    if (series.time[0] !== 0) warnings.push(`Time starts at ${series.time[0]} s, not 0`);
+
+    return {
+        format,
+        time_s: series.time.map(t => round(t, 3)),
+        speed_mps: series.speed.map(v => round(v, 4)),
+        altitude_m: columns.altitude ? series.altitude.map(a => round(a, 3)) : null,
+        units: Object.fromEntries(Object.entries(columns).map(([kind, c]) => [kind, c.unit])),
+        ignoredColumns,
+        warnings,
+    };
+}
+
+module.exports = { parseDriveCycle, detectFormat, MAX_POINTS };
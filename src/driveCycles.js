@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const { parseDriveCycle } = require('./driveCycleParser');
+
+/**
+ * Standard drive cycle library (enums.cycle_types 1–5).
+ *
+ * A cycle is defined one of two ways:
+ *   - modal: the regulation's table of constant-acceleration segments, expanded here to a
+ *     1 Hz trace (NEDC). Each segment is [duration_s, end speed km/h]; speed ramps linearly
+ *     from the previous segment's end speed.
+ *   - sampled: the published second-by-second trace, read from `<dir>/<file>` in the upload
+ *     layout (Time(s),Speed(km/h|m/s|mph)[,Altitude(m)]) with ./driveCycleParser.js.
+ *
+ * Traces are in the backend units (s, m/s) and cached after the first read. The CSV templates
+ * offered on the drive cycle page are generated from the same traces (toTemplateCsv).
+ *
+ * `published` holds the duration and distance the source states for a cycle, where known; the
+ * tests check installed traces against them.
+ */
+
+// UN ECE R83 Annex 4a: elementary urban cycle (ECE-15, 195 s) and extra-urban cycle (EUDC, 400 s)
+const ECE15 = [
+    [11, 0], [4, 15], [8, 15], [2, 10], [3, 0], [21, 0],
+    [5, 15], [2, 15], [5, 32], [24, 32], [8, 10], [3, 0], [21, 0],
+    [5, 15], [2, 15], [9, 35], [2, 35], [8, 50], [12, 50], [8, 35], [13, 35], [2, 32], [7, 10], [3, 0], [7, 0],
+];
+const EUDC = [
+    [20, 0], [5, 15], [2, 15], [9, 35], [2, 35], [8, 50], [2, 50], [13, 70], [50, 70], [8, 50], [69, 50],
+    [13, 70], [50, 70], [35, 100], [30, 100], [20, 120], [10, 120], [16, 80], [8, 50], [10, 0], [20, 0],
+];
+
+// Keyed by enums.cycle_types name
+const STANDARD_CYCLES = {
+    WLTC: {
+        id: 1, title: 'WLTC Class 3b', source: 'UN GTR No. 15, Annex 1', file: 'wltc-class3b.csv',
+        published: { duration_s: 1800, distance_km: 23.266 },
+    },
+    NEDC: {
+        id: 2, title: 'NEDC (4 × ECE-15 + EUDC)', source: 'UN ECE R83, Annex 4a', segments: [...ECE15, ...ECE15, ...ECE15, ...ECE15, ...EUDC],
+        published: { duration_s: 1180, distance_km: 11.007 }, // 4 × 1.013 km + 6.955 km
+    },
+    SORT: { id: 3, title: 'SORT 2 (easy urban)', source: 'UITP SORT methodology', file: 'sort2.csv' },
+    VECTO: { id: 4, title: 'VECTO Urban (heavy-duty bus)', source: 'EU VECTO declaration cycles', file: 'vecto-urban.csv' },
+    FTP: {
+        id: 5, title: 'FTP-75', source: 'US EPA, 40 CFR 86 Appendix I', file: 'ftp75.csv',
+        published: { duration_s: 1874, distance_km: 17.77 }, // 11.04 mi
+    },
+};
+
+const KMH = 1 / 3.6;
+const round = (v, digits) => Math.round(v * 10 ** digits) / 10 ** digits;
+
+function notFound(message) {
+    const err = new Error(message);
+    err.status = 404;
+    return err;
+}
+
+/**
+ * 1 Hz trace from modal segments: { time_s, speed_mps }
+ */
+function expandSegments(segments) {
+    const time_s = [0];
+    const speed_mps = [0];
+    let t = 0;
+    let v = 0;
+    for (const [duration, endKmh] of segments) {
+        for (let i = 1; i <= duration; i++) {
+            time_s.push(t + i);
+            speed_mps.push(round((v + ((endKmh - v) * i) / duration) * KMH, 4));
+        }
+        t += duration;
+        v = endKmh;
+    }
+    return { time_s, speed_mps };
+}
+
+/**
+ * Duration and distance of a trace (trapezoidal distance)
+ */
+function summarize({ time_s, speed_mps }) {
+    let distance = 0;
+    for (let i = 1; i < time_s.length; i++) {
+        distance += ((speed_mps[i] + speed_mps[i - 1]) / 2) * (time_s[i] - time_s[i - 1]);
+    }
+    return {
+        points: time_s.length,
+        duration_s: time_s.length ? time_s[time_s.length - 1] - time_s[0] : 0,
+        distance_km: round(distance / 1000, 3),
+    };
+}
+
+/**
+ * Trace in the template layout: Time(s),Speed(km/h),Acceleration(m/s²) with the
+ * acceleration towards the next point (0 on the last row)
+ */
+function toTemplateCsv({ time_s, speed_mps }) {
+    const lines = ['Time(s),Speed(km/h),Acceleration(m/s²)'];
+    for (let i = 0; i < time_s.length; i++) {
+        const accel = i < time_s.length - 1 ? (speed_mps[i + 1] - speed_mps[i]) / (time_s[i + 1] - time_s[i]) : 0;
+        lines.push(`${time_s[i]},${round(speed_mps[i] / KMH, 2)},${round(accel, 3)}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+function createDriveCycleLibrary({ dir }) {
+    const cache = new Map(); // name -> Promise<cycle>
+
+    const resolveName = name => Object.keys(STANDARD_CYCLES).find(n => n.toLowerCase() === String(name).toLowerCase());
+    const fileFor = def => path.join(dir, def.file);
+
+    async function read(name) {
+        const def = STANDARD_CYCLES[name];
+        let trace;
+        if (def.segments) {
+            trace = expandSegments(def.segments);
+        } else {
+            const file = fileFor(def);
+            let buffer;
+            try {
+                buffer = await fs.promises.readFile(file);
+            } catch (e) {
+                if (e.code !== 'ENOENT') throw e;
+                const where = path.relative(path.resolve(__dirname, '..'), file);
+                throw notFound(`The ${name} trace (${def.source}) is not installed; expected at ${where}`);
+            }
+            const parsed = await parseDriveCycle(buffer, { filename: def.file });
+            trace = { time_s: parsed.time_s, speed_mps: parsed.speed_mps, altitude_m: parsed.altitude_m };
+        }
+        return { name, id: def.id, title: def.title, source: def.source, ...summarize(trace), ...trace };
+    }
+
+    /**
+     * Standard cycle by name (case-insensitive): { name, id, title, source, points, duration_s,
+     * distance_km, time_s, speed_mps, altitude_m? }. Rejects with status 404 for unknown names
+     * and sampled cycles whose trace file is missing.
+     */
+    function get(name) {
+        const key = resolveName(name);
+        if (!key) {
+            return Promise.reject(notFound(`Unknown standard drive cycle "${name}" (available: ${Object.keys(STANDARD_CYCLES).join(', ')})`));
+        }
+        if (!cache.has(key)) {
+            const pending = read(key);
+            cache.set(key, pending);
+            pending.catch(() => cache.delete(key)); // a file added later is picked up on the next request
+        }
+        return cache.get(key);
+    }
+
+    /**
+     * Whether a standard cycle's trace can be read: built in, or its file is installed
+     */
+    function available(name) {
+        const def = STANDARD_CYCLES[resolveName(name)];
+        return Boolean(def) && (Boolean(def.segments) || fs.existsSync(fileFor(def)));
+    }
+
+    /**
+     * Every standard cycle with its metadata and whether its trace is available
+     */
+    function list() {
+        return Object.entries(STANDARD_CYCLES).map(([name, def]) => ({
+            name,
+            id: def.id,
+            title: def.title,
+            source: def.source,
+            available: available(name),
+        }));
+    }
+
+    return { get, list, available };
+}
+
+module.exports = { createDriveCycleLibrary, expandSegments, summarize, toTemplateCsv, STANDARD_CYCLES };
@@ -0,0 +1,335 @@
+/**
+ * Backward-facing longitudinal model of an electric bus, used by the reference validator
+ * (validator-example.js). The speed trace is imposed and every point is worked back from the
+ * road to the battery:
+ *
+ *   road load   F = m·k·a + ½·ρ·Cd·A·(v + v_wind)² + m·g·(Cr·cos θ + sin θ)
+ *               A = width × height, ρ from the ambient temperature, wind taken as headwind,
+ *               θ from the altitude profile; rolling resistance only while moving
+ *   driveline   one fixed gear, sized so the motors reach Max_Motor_Speed_RPM at
+ *               VehMaxSpeed_kph; the load is shared evenly by Number_of_Motors
+ *   motor       torque limits flat up to Rated_Motor_Speed_RPM, then linear to the values at
+ *               Max_Motor_Speed_RPM. Traction demand above the limit is clipped (the bus cannot
+ *               follow the trace); braking beyond the regen limit, below REGEN_MIN_SPEED_MS or
+ *               beyond the pack's charge limits goes to the friction brakes
+ *   pack        P = motor power ÷ or × efficiency + auxiliaries + HVAC − charger supply; the
+ *               current solves P = V_oc·I − R·I², SoC follows by coulomb counting
+ *   chargers    placed along the route by ./charging.js; a charger supplies the bus's load plus
+ *               what the pack accepts, up to its power
+ *
+ * Pure and deterministic: identical payloads and traces give identical results.
+ */
+
+const { withLayover, placeChargers, collectEvents, depotEvent } = require('./charging');
+
+const G = 9.81;
+const AIR_GAS_CONSTANT = 287.05; // J/(kg·K), dry air
+const AIR_PRESSURE_PA = 101325;
+const ROTATING_MASS_FACTOR = 1.05; // wheels, driveline and rotor inertia as extra mass
+const GEAR_EFFICIENCY = 0.97;
+const MOTOR_EFFICIENCY = { 1: 0.91, 2: 0.93, 3: 0.95 }; // enums.motor_types, incl. inverter
+const REGEN_MIN_SPEED_MS = 5 / 3.6;
+const HVAC_KW_PER_C = 0.4; // between the cabin target and ambient
+const OCV_RANGE = [0.9, 1.05]; // open-circuit voltage at 0 % and 100 % SoC, × nominal voltage
+const VOLTAGE_DROP_AT_1C = 0.03; // sets the pack resistance: 3 % of nominal voltage at 1C
+const MOVING_SPEED_MS = 0.01;
+
+const MODEL_GROUPS = ['Environment_data', 'Vehicle_data', 'Electric_Motor_data', 'Energy_Storage_data'];
+
+/**
+ * Model defaults for fields a payload omits: the model groups of a spec's
+ * backend_payload_template, from the spec version the payload was built with
+ */
+function defaultsFrom(template) {
+    if (!template || MODEL_GROUPS.some(name => typeof template[name] !== 'object')) {
+        throw new Error(`The EV model needs a backend_payload_template with ${MODEL_GROUPS.join(', ')}`);
+    }
+    return Object.fromEntries(MODEL_GROUPS.map(name => [name, { ...template[name] }]));
+}
+
+const round = (v, digits = 3) => Math.round(v * 10 ** digits) / 10 ** digits;
+const rpmToRads = rpm => (rpm * 2 * Math.PI) / 60;
+// reduce instead of Math.max(...values): traces can exceed the engine's argument limit
+const max = values => values.reduce((m, v) => (v > m ? v : m), -Infinity);
+const min = values => values.reduce((m, v) => (v < m ? v : m), Infinity);
+
+// Payload group with the defaults filled in for missing or non-numeric values
+function group(payload, name, defaults) {
+    const values = { ...defaults[name] };
+    for (const [key, value] of Object.entries(payload?.[name] || {})) {
+        if (typeof value === 'number' && Number.isFinite(value)) values[key] = value;
+    }
+    return values;
+}
+
+/**
+ * Torque limit (Nm, per motor) at a motor speed: flat to the rated speed, then linear to the
+ * value at maximum speed (held beyond it)
+ */
+function torqueLimit(rpm, { peak, atMaxSpeed, ratedRpm, maxRpm }) {
+    if (rpm <= ratedRpm || maxRpm <= ratedRpm) return peak;
+    const share = Math.min(1, (rpm - ratedRpm) / (maxRpm - ratedRpm));
+    return peak + (atMaxSpeed - peak) * share;
+}
+
+/**
+ * Pack current (A, positive = discharge) drawing `powerW` from an open-circuit voltage and
+ * internal resistance; { current, limited } where limited means the power is beyond what
+ * the pack can deliver (the current is held at its maximum-power point)
+ */
+function packCurrent(powerW, ocv, resistance) {
+    const discriminant = ocv * ocv - 4 * resistance * powerW;
+    if (discriminant < 0) return { current: ocv / (2 * resistance), limited: true };
+    return { current: (ocv - Math.sqrt(discriminant)) / (2 * resistance), limited: false };
+}
+
+// Per-point derivative of `values` over `x` (central differences, one-sided at the ends)
+function gradient(x, values) {
+    const n = x.length;
+    return x.map((_, i) => {
+        const a = Math.max(0, i - 1);
+        const b = Math.min(n - 1, i + 1);
+        const dx = x[b] - x[a];
+        return dx > 0 ? (values[b] - values[a]) / dx : 0;
+    });
+}
+
+/**
+ * Consecutive points where `flags` is set, as violations of `code`; `describe(peak)` gives the
+ * message for the stretch's extreme value (largest, or smallest with lowest = true)
+ */
+function stretches(time_s, flags, values, { code, severity, limit, describe, lowest = false }) {
+    const violations = [];
+    let start = null;
+    let peak = null;
+    flags.forEach((flag, i) => {
+        if (flag) {
+            if (start === null) start = i;
+            if (peak === null || (lowest ? values[i] < peak : values[i] > peak)) peak = values[i];
+        }
+        const last = i === flags.length - 1;
+        if (start !== null && (!flag || last)) {
+            violations.push({
+                code,
+                severity,
+                message: describe(round(peak, 1)),
+                start_s: time_s[start],
+                end_s: time_s[flag ? i : i - 1],
+                value: round(peak, 2),
+                ...(limit != null && { limit }),
+            });
+            start = null;
+            peak = null;
+        }
+    });
+    return violations;
+}
+
+/**
+ * Simulate a run: `payload` in backend keys, `trace` { time_s, speed_ms, altitude_m } with
+ * altitude an array of the same length, a scalar or null. Returns
+ * { timeseries, metrics, charging_events, violations } in the v2 response layout, plus the
+ * model's own series (motor_speed_rpm, motor_torque_nm per motor, friction_brake_power_kw,
+ * charge_power_kw). The trace is extended by Charger_data.Terminus_Layover_s. `template` is the
+ * backend_payload_template of the payload's spec version; it fills the fields the payload omits.
+ */
+function simulateEv(payload, trace, { template } = {}) {
+    const defaults = defaultsFrom(template);
+    const charger = payload?.Charger_data || {};
+    const { time_s, speed_ms, altitude_m = null } = withLayover(trace, charger.Terminus_Layover_s);
+    const sites = placeChargers(charger, { time_s, speed_ms });
+    const env = group(payload, 'Environment_data', defaults);
+    const vehicle = group(payload, 'Vehicle_data', defaults);
+    const motor = group(payload, 'Electric_Motor_data', defaults);
+    const storage = group(payload, 'Energy_Storage_data', defaults);
+    const n = time_s.length;
+
+    const mass = vehicle.VehicleMass_kg;
+    const radius = vehicle.WheelRadius_m;
+    const airDensity = AIR_PRESSURE_PA / (AIR_GAS_CONSTANT * (env.AvgTemp_C + 273.15));
+    const dragFactor = 0.5 * airDensity * vehicle.AirDragCoeff * vehicle.VehicleWidth_m * vehicle.VehicleHeight_m;
+    const motors = Math.max(1, Math.round(motor.Number_of_Motors));
+    const gearRatio = (rpmToRads(motor.Max_Motor_Speed_RPM) * radius) / (vehicle.VehMaxSpeed_kph / 3.6);
+    const motorEfficiency = MOTOR_EFFICIENCY[motor.Motor_Type] ?? MOTOR_EFFICIENCY[1];
+    const tractionEnvelope = {
+        peak: motor.Max_Traction_Torque_Nm, atMaxSpeed: motor.Traction_Torque_at_Max_Speed_Nm,
+        ratedRpm: motor.Rated_Motor_Speed_RPM, maxRpm: motor.Max_Motor_Speed_RPM,
+    };
+    const regenEnvelope = { ...tractionEnvelope, peak: motor.Max_Regenerative_Torque_Nm, atMaxSpeed: motor.Regenerative_Torque_at_Max_Speed_Nm };
+
+    const nominalV = storage.BatteryPackVoltage_V;
+    const capacityAh = (storage.BatteryPackStorageCapacity_kWh * 1000) / nominalV;
+    const resistance = (VOLTAGE_DROP_AT_1C * nominalV) / capacityAh;
+    const ocvAt = soc => nominalV * (OCV_RANGE[0] + ((OCV_RANGE[1] - OCV_RANGE[0]) * soc) / 100);
+    const auxKw = env.AuxiliarySystemTotalPower_kW;
+    const hvacKw = HVAC_KW_PER_C * Math.abs(env.CabinTempRef_C - env.AvgTemp_C);
+
+    // Distance along the trace and road grade from the altitude profile
+    const distance = [0];
+    for (let i = 1; i < n; i++) distance.push(distance[i - 1] + ((speed_ms[i] + speed_ms[i - 1]) / 2) * (time_s[i] - time_s[i - 1]));
+    const altitude = Array.isArray(altitude_m) && altitude_m.length === n ? altitude_m : new Array(n).fill(Number(altitude_m) || 0);
+    const slope = gradient(distance, altitude);
+    const accel = gradient(time_s, speed_ms);
+
+    const series = {
+        soc_pct: [], pack_current_a: [], pack_voltage_v: [], traction_power_kw: [], regen_power_kw: [],
+        aux_power_kw: [], hvac_power_kw: [], energy_kwh: [], motor_speed_rpm: [], motor_torque_nm: [], friction_brake_power_kw: [],
+        charge_power_kw: [],
+    };
+    const flags = { torque: [], torqueDemand: [], overspeed: [], traceKph: [], current: [], power: [], powerDemand: [] };
+    let soc = storage.Initial_Battery_SoC_pct;
+    let energyWh = 0;
+    let previousPowerW = 0;
+
+    for (let i = 0; i < n; i++) {
+        const v = speed_ms[i];
+        const moving = v > MOVING_SPEED_MS;
+        const dt = i ? time_s[i] - time_s[i - 1] : 0;
+        // An empty pack stays at 0 %; SOC_BELOW_MINIMUM reports the shortfall. Charge stops at
+        // MaximumSoC_pct (or the initial SoC, when that is higher) within the step that reaches it.
+        if (i) {
+            const next = soc - (series.pack_current_a[i - 1] * dt * 100) / (capacityAh * 3600);
+            soc = Math.max(0, Math.min(next, Math.max(soc, storage.MaximumSoC_pct)));
+        }
+
+        // Road load and its motor operating point
+        const theta = Math.atan(slope[i]);
+        const force = moving
+            ? mass * ROTATING_MASS_FACTOR * accel[i] + dragFactor * (v + env.WindSpeed_ms) ** 2 + mass * G * (vehicle.RollResist * Math.cos(theta) + Math.sin(theta))
+            : 0;
+        // Above VehMaxSpeed_kph the trace asks for more than the motor can turn: it is held at
+        // Max_Motor_Speed_RPM and TRACE_SPEED_SHORTFALL reports that the bus falls behind
+        const traceRpm = (((v / radius) * gearRatio) * 60) / (2 * Math.PI);
+        const overspeed = traceRpm > motor.Max_Motor_Speed_RPM;
+        const rpm = Math.min(traceRpm, motor.Max_Motor_Speed_RPM);
+        const motorSpeed = rpmToRads(rpm);
+        const wheelTorque = force * radius;
+        // The pack takes no charge above MaximumSoC_pct and at most Maximum_Charging_Current_A
+        const chargeLimitKw = soc >= storage.MaximumSoC_pct ? 0 : (storage.Maximum_Charging_Current_A * ocvAt(soc)) / 1000;
+
+        let torque = 0; // per motor, negative when braking
+        let frictionKw = 0;
+        let tractionKw = 0;
+        let regenKw = 0;
+        let torqueDemand = 0;
+        if (force > 0) {
+            torqueDemand = wheelTorque / (gearRatio * GEAR_EFFICIENCY * motors);
+            torque = Math.min(torqueDemand, torqueLimit(rpm, tractionEnvelope));
+            tractionKw = (torque * motors * motorSpeed) / motorEfficiency / 1000;
+        } else if (force < 0) {
+            const braking = (-wheelTorque * GEAR_EFFICIENCY) / (gearRatio * motors);
+            const regenTorque = v >= REGEN_MIN_SPEED_MS ? Math.min(braking, torqueLimit(rpm, regenEnvelope)) : 0;
+            regenKw = (regenTorque * motors * motorSpeed * motorEfficiency) / 1000;
+            regenKw = Math.max(0, Math.min(regenKw, chargeLimitKw + auxKw + hvacKw));
+            torque = -(regenKw * 1000) / (motorEfficiency * motors * motorSpeed || 1);
+            frictionKw = (-force * v) / 1000 - (regenKw / motorEfficiency) / GEAR_EFFICIENCY;
+        }
+
+        const demandKw = tractionKw - regenKw + auxKw + hvacKw;
+        const site = sites[i];
+        const chargerKw = site && time_s[i] >= site.from_s ? Math.max(0, Math.min(site.power_kw, demandKw + chargeLimitKw)) : 0;
+        const powerW = (demandKw - chargerKw) * 1000;
+        const ocv = ocvAt(soc);
+        const { current, limited } = packCurrent(powerW, ocv, resistance);
+        const voltage = ocv - resistance * current;
+        energyWh += (((previousPowerW + current * voltage) / 2) * dt) / 3600;
+        previousPowerW = current * voltage;
+
+        series.soc_pct.push(round(soc, 3));
+        series.pack_current_a.push(round(current, 1));
+        series.pack_voltage_v.push(round(voltage, 1));
+        series.traction_power_kw.push(round(tractionKw, 3));
+        series.regen_power_kw.push(round(regenKw, 3));
+        series.aux_power_kw.push(auxKw);
+        series.hvac_power_kw.push(round(hvacKw, 3));
+        series.energy_kwh.push(round(energyWh / 1000, 4));
+        series.motor_speed_rpm.push(round(rpm, 1));
+        series.motor_torque_nm.push(round(torque, 1));
+        series.friction_brake_power_kw.push(round(Math.max(0, frictionKw), 3));
+        series.charge_power_kw.push(round(chargerKw, 3));
+
+        flags.torque.push(!overspeed && force > 0 && torqueDemand > torque);
+        flags.torqueDemand.push(torqueDemand);
+        flags.overspeed.push(overspeed);
+        flags.traceKph.push(v * 3.6);
+        flags.current.push(!limited && current > storage.Maximum_Discharging_Current_A);
+        flags.power.push(limited);
+        flags.powerDemand.push(powerW / 1000);
+    }
+
+    const integrateKwh = values => {
+        let total = 0;
+        for (let i = 1; i < n; i++) total += ((values[i] + values[i - 1]) / 2) * (time_s[i] - time_s[i - 1]);
+        return round(total / 3600, 3);
+    };
+    const distanceKm = distance[n - 1] / 1000;
+    const duration = time_s[n - 1] - time_s[0];
+    const energy = series.energy_kwh[n - 1];
+    const chargedKwh = integrateKwh(series.charge_power_kw);
+    const consumed = energy + chargedKwh; // from the pack and the chargers together
+    const minSoc = storage.MinimumSoC_pct;
+    const capacityKwh = storage.BatteryPackStorageCapacity_kWh;
+
+    const charging_events = collectEvents({ time_s, ...series }, sites, { capacityKwh, maxSocPct: storage.MaximumSoC_pct });
+    const depot = depotEvent(charger, {
+        startS: time_s[n - 1],
+        socPct: series.soc_pct[n - 1],
+        capacityKwh,
+        maxSocPct: storage.MaximumSoC_pct,
+        acceptKw: (storage.Maximum_Charging_Current_A * nominalV) / 1000,
+    });
+    if (depot) charging_events.push(depot);
+
+    const violations = [
+        ...stretches(time_s, series.soc_pct.map(s => s < minSoc), series.soc_pct, {
+            code: 'SOC_BELOW_MINIMUM', severity: 'error', limit: minSoc, lowest: true,
+            describe: peak => `SoC fell to ${peak} %, below the ${minSoc} % minimum`,
+        }),
+        ...stretches(time_s, flags.torque, flags.torqueDemand, {
+            code: 'TRACTION_TORQUE_LIMIT', severity: 'warning', limit: motor.Max_Traction_Torque_Nm,
+            describe: peak => `Traction torque demand reached ${peak} Nm per motor, above the motor limit; the bus cannot follow the trace`,
+        }),
+        ...stretches(time_s, flags.overspeed, flags.traceKph, {
+            code: 'TRACE_SPEED_SHORTFALL', severity: 'warning', limit: vehicle.VehMaxSpeed_kph,
+            describe: peak => `Trace speed reached ${peak} km/h, above the ${vehicle.VehMaxSpeed_kph} km/h top speed; the motor is held at ${motor.Max_Motor_Speed_RPM} rpm and the bus cannot follow the trace`,
+        }),
+        ...stretches(time_s, flags.current, series.pack_current_a, {
+            code: 'DISCHARGE_CURRENT_LIMIT', severity: 'warning', limit: storage.Maximum_Discharging_Current_A,
+            describe: peak => `Pack current reached ${peak} A, above the ${storage.Maximum_Discharging_Current_A} A discharge limit`,
+        }),
+        ...stretches(time_s, flags.power, flags.powerDemand, {
+            code: 'PACK_POWER_LIMIT', severity: 'error',
+            describe: peak => `Power demand reached ${peak} kW, more than the pack can deliver at its state of charge`,
+        }),
+    ].sort((a, b) => a.start_s - b.start_s);
+
+    return {
+        timeseries: { time_s, speed_ms, ...series },
+        metrics: {
+            distance_km: round(distanceKm, 3),
+            duration_s: duration,
+            energy_kwh: round(energy, 3),
+            kwh_per_km: distanceKm > 0 ? round(consumed / distanceKm, 3) : null,
+            traction_energy_kwh: integrateKwh(series.traction_power_kw),
+            regen_energy_kwh: integrateKwh(series.regen_power_kw),
+            aux_energy_kwh: integrateKwh(series.aux_power_kw),
+            hvac_energy_kwh: integrateKwh(series.hvac_power_kw),
+            friction_brake_energy_kwh: integrateKwh(series.friction_brake_power_kw),
+            charged_energy_kwh: chargedKwh,
+            ...(depot && { depot_energy_kwh: depot.energy_kwh, depot_charge_time_s: depot.end_s - depot.start_s }),
+            soc_start_pct: series.soc_pct[0],
+            soc_end_pct: series.soc_pct[n - 1],
+            soc_min_pct: min(series.soc_pct),
+            peak_traction_power_kw: max(series.traction_power_kw),
+            peak_regen_power_kw: max(series.regen_power_kw),
+            peak_motor_speed_rpm: max(series.motor_speed_rpm),
+            gear_ratio: round(gearRatio, 3),
+            avg_speed_kmh: duration > 0 ? round((distanceKm / duration) * 3600, 2) : 0,
+            ambient_c: env.AvgTemp_C,
+        },
+        charging_events,
+        violations,
+    };
+}
+
+module.exports = { simulateEv, defaultsFrom, torqueLimit, packCurrent };
@@ -0,0 +1,157 @@
+const ExcelJS = require('exceljs');
+const { calculatedRows, calculateFields } = require('./calculations');
+
+/**
+ * Result exports: CSV (flattened timeseries), XLSX (inputs / metrics / timeseries sheets, plus
+ * charging events and violations for v2 responses) and a JSON bundle with everything needed to
+ * reproduce the run.
+ */
+
+function csvCell(value) {
+    if (value == null) return '';
+    const s = Array.isArray(value) ? value.join(' ') : String(value);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Columns of a validator timeseries: time_s first, then every array of matching length
+ */
+function timeseriesColumns(timeseries) {
+    const time = Array.isArray(timeseries?.time_s) ? timeseries.time_s : [];
+    const others = Object.keys(timeseries || {})
+        .filter(k => k !== 'time_s' && Array.isArray(timeseries[k]) && timeseries[k].length === time.length);
+    return time.length ? ['time_s', ...others] : [];
+}
+
+function timeseriesToCsv(timeseries) {
+    const columns = timeseriesColumns(timeseries);
+    const lines = [columns.join(',')];
+    const rows = columns.length ? timeseries.time_s.length : 0;
+    for (let i = 0; i < rows; i++) {
+        lines.push(columns.map(c => csvCell(timeseries[c][i])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * One row per preparedPayload value, labelled from ui_schema (by backend_key), followed by
+ * the group's calculated fields (`calculated: true`, see ./calculations.js)
+ */
+function inputRows(preparedPayload, spec) {
+    const rows = [];
+    const calculated = calculatedRows(preparedPayload, spec);
+    for (const [group, values] of Object.entries(preparedPayload || {})) {
+        const fields = spec?.ui_schema?.[group]?.fields || [];
+        for (const [key, value] of Object.entries(values || {})) {
+            const field = fields.find(f => f.backend_key === key);
+            rows.push({ group, key, label: field?.label || key, value });
+        }
+        rows.push(...calculated.filter(r => r.group === group).map(r => ({ ...r, calculated: true })));
+    }
+    return rows;
+}
+
+function metricRows(metrics) {
+    return Object.entries(metrics || {}).map(([key, value]) => ({ key, value }));
+}
+
+function specVersionOf(doc) {
+    return doc.specVersion || doc.requestJSON?.version || null;
+}
+
+async function toXlsx(doc, spec) {
+    const wb = new ExcelJS.Workbook();
+    wb.creator = 'eBRT 2030';
+    wb.created = new Date();
+
+    // Inputs, grouped by spec group with a bold header row per group
+    const inputs = wb.addWorksheet('Inputs');
+    inputs.columns = [
+        { header: 'Group', key: 'group', width: 22 },
+        { header: 'Parameter', key: 'key', width: 34 },
+        { header: 'Label', key: 'label', width: 38 },
+        { header: 'Value', key: 'value', width: 24 },
+    ];
+    inputs.getRow(1).font = { bold: true };
+    let currentGroup = null;
+    for (const row of inputRows(doc.preparedPayload, spec)) {
+        if (row.group !== currentGroup) {
+            currentGroup = row.group;
+            const groupRow = inputs.addRow({ group: row.group });
+            groupRow.font = { bold: true };
+            groupRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE6F6F5' } };
+        }
+        const value = Array.isArray(row.value) ? JSON.stringify(row.value) : row.value;
+        const { calculated, ...cells } = row;
+        const added = inputs.addRow({ ...cells, group: '', value });
+        if (calculated) added.font = { italic: true };
+    }
+
+    const metrics = wb.addWorksheet('Metrics');
+    metrics.columns = [
+        { header: 'Metric', key: 'key', width: 28 },
+        { header: 'Value', key: 'value', width: 18 },
+    ];
+    metrics.getRow(1).font = { bold: true };
+    metricRows(doc.validatedResponse?.metrics).forEach(r => metrics.addRow(r));
+
+    const timeseries = doc.validatedResponse?.timeseries;
+    const series = wb.addWorksheet('Timeseries');
+    const columns = timeseriesColumns(timeseries);
+    series.columns = columns.map(c => ({ header: c, key: c, width: 14 }));
+    series.getRow(1).font = { bold: true };
+    if (columns.length) {
+        for (let i = 0; i < timeseries.time_s.length; i++) {
+            series.addRow(columns.map(c => timeseries[c][i]));
+        }
+    }
+
+    // v2 responses: one row per charging event / constraint violation
+    const lists = [
+        ['Charging', doc.validatedResponse?.charging_events, ['type', 'start_s', 'end_s', 'location', 'energy_kwh', 'avg_power_kw', 'soc_start_pct', 'soc_end_pct', 'dwell_s', 'dwell_needed_s']],
+        ['Violations', doc.validatedResponse?.violations, ['code', 'severity', 'message', 'start_s', 'end_s', 'value', 'limit']],
+    ];
+    for (const [name, rows, keys] of lists) {
+        if (!Array.isArray(rows)) continue;
+        const sheet = wb.addWorksheet(name);
+        sheet.columns = keys.map(k => ({ header: k, key: k, width: k === 'message' ? 48 : 14 }));
+        sheet.getRow(1).font = { bold: true };
+        rows.forEach(r => sheet.addRow(r));
+    }
+
+    const about = wb.addWorksheet('About');
+    about.columns = [{ header: 'Field', key: 'k', width: 20 }, { header: 'Value', key: 'v', width: 40 }];
+    about.getRow(1).font = { bold: true };
+    [
+        ['Simulation ID', String(doc._id)],
+        ['Status', doc.status],
+        ['Spec version', specVersionOf(doc)],
+        ['Computed at', doc.validatedResponse?.computed_at || null],
+        ['Created at', doc.createdAt ? new Date(doc.createdAt).toISOString() : null],
+    ].forEach(([k, v]) => about.addRow({ k, v }));
+
+    return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+function toJsonBundle(doc, spec) {
+    return {
+        id: String(doc._id),
+        status: doc.status,
+        specVersion: specVersionOf(doc),
+        inputData: doc.inputData,
+        preparedPayload: doc.preparedPayload || null,
+        calculated: calculateFields(doc.preparedPayload, spec),
+        validatedResponse: doc.validatedResponse || null,
+        createdAt: doc.createdAt,
+        completedAt: doc.completedAt || null,
+        exportedAt: new Date().toISOString(),
+    };
+}
+
+module.exports = {
+    timeseriesToCsv,
+    toXlsx,
+    toJsonBundle,
+    inputRows,
+    timeseriesColumns,
+};
@@ -0,0 +1,299 @@
+/**
+ * Fleet scenario: a completed v2 (electric) simulation scaled to the timetable in Scenario_data.
+ *
+ * Timetable: Number_of_Buses_in_Fleet buses run return trips of Return_Trip_Distance_km at
+ * Average_Velocity_of_Route_kph, with Terminus_Layover_s (Charger_data) per trip. Departures leave
+ * every trip time / buses from Service_Start_h until Service_End_h and go to the buses in
+ * rotation, so some buses run one trip more than others. A distance or speed of 0 takes the
+ * simulated run's own.
+ *
+ * Energy comes from the run's results: kwh_per_km consumed, in-motion charging per km and, per
+ * trip, what the run's opportunity stops can deliver in their dwell (charging_events). A bus
+ * leaves the depot at MaximumSoC_pct and is followed trip by trip; when it would drop below
+ * MinimumSoC_pct, it needs mid-day charging for the rest.
+ *
+ * Depot: buses recharge after their last trip at Dep_Charger_Power_kW (at most what the pack
+ * accepts at Maximum_Charging_Current_A), constant power, and must be full before their first
+ * departure the next day. They take the next free charger in order of arrival; chargersRequired
+ * is the smallest number of chargers that has every bus ready in time. It is a recommendation:
+ * it is sized even when Charger_data has depot charging off (Dep_Charger_Flag), and is reported
+ * next to what is installed.
+ *
+ * Duty (busDuty): one bus's day in runs of the simulated cycle. Battery aging (./batteryAging.js)
+ * and TCO (./tco.js) take it from here too, so the three agree for a result. With a fleet
+ * scenario it is the timetable's mean distance per bus over the run's distance (fractional);
+ * without one, runsPerDay, or the whole runs that fit back to back in hoursPerDay.
+ */
+
+const { CONNECT_S } = require('./charging');
+
+const DAY_S = 86400;
+const DEFAULT_HOURS_PER_DAY = 16;
+
+const round = (v, digits = 2) => Math.round(v * 10 ** digits) / 10 ** digits;
+
+function fleetError(message, status = 409) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/**
+ * Trips per bus: [{ bus, trips, firstDepartureS, arrivalS }], times in seconds from midnight
+ */
+function timetable({ buses, tripS, startS, endS }) {
+    const headway = tripS / buses;
+    const rows = Array.from({ length: buses }, (_, i) => ({ bus: i + 1, trips: 0, firstDepartureS: null, arrivalS: null }));
+    for (let k = 0; startS + k * headway < endS; k++) {
+        const departure = startS + k * headway;
+        const row = rows[k % buses];
+        if (row.firstDepartureS === null) row.firstDepartureS = departure;
+        row.trips++;
+        row.arrivalS = departure + tripS;
+    }
+    return rows;
+}
+
+/**
+ * One bus's day, trip by trip, in kWh above MinimumSoC_pct: { midDayKwh, opportunityKwh, depotKwh }
+ */
+function busDay(trips, { windowKwh, tripDrawKwh, tripOpportunityKwh }) {
+    let energy = windowKwh;
+    let midDay = 0;
+    let opportunity = 0;
+    for (let k = 0; k < trips; k++) {
+        energy -= tripDrawKwh;
+        if (energy < 0) {
+            midDay -= energy;
+            energy = 0;
+        }
+        const added = Math.min(tripOpportunityKwh, windowKwh - energy);
+        energy += added;
+        opportunity += added;
+    }
+    return { midDayKwh: midDay, opportunityKwh: opportunity, depotKwh: windowKwh - energy };
+}
+
+/**
+ * Queue `sessions` ({ arriveS, durationS, deadlineS }, in order of arrival) on `chargers`
+ * chargers; each takes the one that frees up first. Returns the sessions with startS / endS
+ * and how many finish after their deadline.
+ */
+function scheduleCharging(sessions, chargers) {
+    const free = new Array(chargers).fill(-Infinity);
+    let late = 0;
+    const scheduled = sessions.map(s => {
+        let slot = 0;
+        for (let c = 1; c < chargers; c++) if (free[c] < free[slot]) slot = c;
+        const startS = Math.max(s.arriveS, free[slot]);
+        const endS = startS + s.durationS;
+        free[slot] = endS;
+        if (endS > s.deadlineS) late++;
+        return { ...s, startS, endS };
+    });
+    return { sessions: scheduled, late };
+}
+
+// Seconds from midnight of a time that may run into the next day
+const clock = t => ((t % DAY_S) + DAY_S) % DAY_S;
+
+/**
+ * Depot load over one day as step points [[seconds from midnight, kW]] and its peak, for sessions
+ * at `powerKw` each. The schedule repeats daily, so a session past midnight is split and its end
+ * counted from 0.
+ */
+function loadProfile(sessions, powerKw) {
+    const changes = [];
+    for (const s of sessions) {
+        if (!(s.endS > s.startS)) continue;
+        // To the millisecond, so a charger freed and taken at once lines up after the wrap
+        const start = round(clock(s.startS), 3);
+        const end = round(start + Math.min(s.endS - s.startS, DAY_S), 3);
+        changes.push([start, 1]);
+        if (end < DAY_S) changes.push([end, -1]);
+        else if (end > DAY_S) changes.push([0, 1], [round(end - DAY_S, 3), -1]); // on until midnight, then from 0
+    }
+    changes.sort((a, b) => a[0] - b[0] || a[1] - b[1]); // a charger freed and taken at once is not a peak
+    const points = [];
+    let active = 0;
+    let peak = 0;
+    for (const [t, step] of changes) {
+        active += step;
+        peak = Math.max(peak, active);
+        if (points.length && points[points.length - 1][0] === t) points[points.length - 1][1] = round(active * powerKw, 1);
+        else points.push([t, round(active * powerKw, 1)]);
+    }
+    return { points, peakKw: round(peak * powerKw, 1) };
+}
+
+/**
+ * `runsPerDay` runs of the simulated cycle: { source, runsPerDay, distanceKm, energyKwh } per bus
+ * and day, energy as consumed (pack and on-route chargers together)
+ */
+function runDuty(metrics, runsPerDay, source) {
+    const distanceKm = runsPerDay * metrics.distance_km;
+    return { source, runsPerDay, distanceKm, energyKwh: distanceKm * metrics.kwh_per_km };
+}
+
+/**
+ * Fleet projection for a completed simulation: `payload` in backend keys (Scenario_data,
+ * Energy_Storage_data, Charger_data), `response` its v2 validator response. Throws (status 409)
+ * for results without v2 data and (422) for a missing or unusable scenario.
+ */
+function projectFleet(payload, response) {
+    const metrics = response?.metrics;
+    if (typeof metrics?.energy_kwh !== 'number' || typeof metrics.kwh_per_km !== 'number' || !(metrics.distance_km > 0)) {
+        throw fleetError('The fleet scenario needs v2 (electric) results with energy and distance');
+    }
+    const scenario = payload?.Scenario_data;
+    if (!scenario) throw fleetError('This simulation has no Scenario_data (it is sent only for standard cycles)', 422);
+    const storage = payload.Energy_Storage_data || {};
+    const charger = payload.Charger_data || {};
+
+    const buses = Math.round(scenario.Number_of_Buses_in_Fleet || 0);
+    if (buses < 1) throw fleetError('Scenario_data.Number_of_Buses_in_Fleet must be at least 1', 422);
+    const startS = (scenario.Service_Start_h ?? 0) * 3600;
+    const endS = (scenario.Service_End_h ?? 24) * 3600;
+    if (!(endS > startS)) throw fleetError('Scenario_data.Service_End_h must be after Service_Start_h', 422);
+    for (const key of ['BatteryPackStorageCapacity_kWh', 'MaximumSoC_pct', 'MinimumSoC_pct']) {
+        if (typeof storage[key] !== 'number') throw fleetError(`Energy_Storage_data.${key} is required`, 422);
+    }
+    if (!(charger.Dep_Charger_Power_kW > 0)) throw fleetError('Charger_data.Dep_Charger_Power_kW is needed to plan depot charging', 422);
+
+    const tripKm = scenario.Return_Trip_Distance_km > 0 ? scenario.Return_Trip_Distance_km : metrics.distance_km;
+    const speedKph = scenario.Average_Velocity_of_Route_kph > 0 ? scenario.Average_Velocity_of_Route_kph : metrics.avg_speed_kmh;
+    if (!(speedKph > 0)) throw fleetError('The route speed is unknown; set Scenario_data.Average_Velocity_of_Route_kph', 422);
+    const layoverS = charger.Terminus_Layover_s || 0;
+    const tripS = (tripKm / speedKph) * 3600 + layoverS;
+
+    const windowKwh = (storage.BatteryPackStorageCapacity_kWh * (storage.MaximumSoC_pct - storage.MinimumSoC_pct)) / 100;
+    const acceptKw = typeof storage.Maximum_Charging_Current_A === 'number' && typeof storage.BatteryPackVoltage_V === 'number'
+        ? (storage.Maximum_Charging_Current_A * storage.BatteryPackVoltage_V) / 1000
+        : Infinity;
+    const chargerKw = Math.min(charger.Dep_Charger_Power_kW, acceptKw);
+
+    // In-motion supply scales with distance; opportunity stops come once per trip, at full power for their dwell
+    const events = response.charging_events || [];
+    const inMotionPerKm = events.filter(e => e.type === 'in_motion').reduce((a, e) => a + e.energy_kwh, 0) / metrics.distance_km;
+    const oppKw = Math.min(charger.Opp_Charger_Power_kW || 0, acceptKw);
+    const tripOpportunityKwh = events
+        .filter(e => e.type === 'opportunity')
+        .reduce((a, e) => a + (oppKw * Math.max(0, (e.dwell_s ?? e.end_s - e.start_s) - CONNECT_S)) / 3600, 0);
+    const tripDrawKwh = tripKm * Math.max(0, metrics.kwh_per_km - inMotionPerKm);
+
+    const rows = timetable({ buses, tripS, startS, endS }).map(row => {
+        const km = row.trips * tripKm;
+        return {
+            ...row,
+            distanceKm: km,
+            energyKwh: km * metrics.kwh_per_km,
+            inMotionKwh: km * Math.min(inMotionPerKm, metrics.kwh_per_km),
+            ...busDay(row.trips, { windowKwh, tripDrawKwh, tripOpportunityKwh }),
+        };
+    });
+
+    // Overnight: in order of arrival, ready before the bus's first departure the next day
+    const sessions = rows
+        .filter(r => r.trips > 0 && r.depotKwh > 0)
+        .map(r => ({ bus: r.bus, arriveS: r.arrivalS, durationS: (r.depotKwh / chargerKw) * 3600, deadlineS: r.firstDepartureS + DAY_S }))
+        .sort((a, b) => a.arriveS - b.arriveS || a.bus - b.bus);
+    const unmanaged = scheduleCharging(sessions, Math.max(1, sessions.length));
+    let required = Math.max(1, sessions.length);
+    if (unmanaged.late === 0) {
+        let lo = 1;
+        while (lo < required) {
+            const mid = (lo + required) >> 1;
+            if (scheduleCharging(sessions, mid).late === 0) required = mid;
+            else lo = mid + 1;
+        }
+    }
+    const plan = sessions.length ? scheduleCharging(sessions, required) : { sessions: [], late: 0 };
+    const load = loadProfile(plan.sessions, chargerKw);
+    const byBus = new Map(plan.sessions.map(s => [s.bus, s]));
+
+    const sum = key => rows.reduce((a, r) => a + r[key], 0);
+    const duty = runDuty(metrics, sum('distanceKm') / buses / metrics.distance_km, 'fleet');
+    const needMidDay = rows.filter(r => r.midDayKwh > 0);
+    const installed = charger.Dep_Charger_Flag === 1 ? charger.Num_Dep_Charger || 0 : 0;
+    return {
+        scenario: {
+            buses,
+            activeBuses: rows.filter(r => r.trips > 0).length,
+            tripDistanceKm: round(tripKm, 3),
+            tripDistanceSource: scenario.Return_Trip_Distance_km > 0 ? 'scenario' : 'simulation',
+            averageSpeedKph: round(speedKph, 2),
+            averageSpeedSource: scenario.Average_Velocity_of_Route_kph > 0 ? 'scenario' : 'simulation',
+            layoverS,
+            tripTimeS: round(tripS, 1),
+            headwayS: round(tripS / buses, 1),
+            serviceStartS: startS,
+            serviceEndS: endS,
+        },
+        // The mean bus, as busDuty reports it for aging and TCO
+        duty: { ...duty, runsPerDay: round(duty.runsPerDay, 3), distanceKm: round(duty.distanceKm, 1), energyKwh: round(duty.energyKwh, 1) },
+        perTrip: {
+            consumedKwh: round(tripKm * metrics.kwh_per_km, 2),
+            inMotionKwh: round(tripKm * Math.min(inMotionPerKm, metrics.kwh_per_km), 2),
+            opportunityMaxKwh: round(tripOpportunityKwh, 2),
+        },
+        daily: {
+            trips: sum('trips'),
+            distanceKm: round(sum('distanceKm'), 1),
+            energyKwh: round(sum('energyKwh'), 1),
+            onRouteChargedKwh: round(sum('inMotionKwh') + sum('opportunityKwh'), 1),
+            depotEnergyKwh: round(sum('depotKwh'), 1),
+        },
+        midDayCharging: { buses: needMidDay.length, energyKwh: round(needMidDay.reduce((a, r) => a + r.midDayKwh, 0), 1), windowKwh: round(windowKwh, 1) },
+        depot: {
+            chargerPowerKw: round(chargerKw, 1),
+            // Sizing for the timetable, whatever Charger_data installs
+            chargersRequired: sessions.length ? required : 0,
+            // What Charger_data installs: Num_Dep_Charger, or none with Dep_Charger_Flag off
+            depotChargingEnabled: charger.Dep_Charger_Flag === 1,
+            chargersInstalled: installed,
+            chargersMissing: Math.max(0, (sessions.length ? required : 0) - installed),
+            // Buses not full by their first departure even with a charger each
+            busesNotReady: plan.late,
+            peakLoadKw: load.peakKw,
+            unmanagedPeakLoadKw: loadProfile(unmanaged.sessions, chargerKw).peakKw,
+            profile: load.points,
+        },
+        buses: rows.map(r => ({
+            bus: r.bus,
+            trips: r.trips,
+            firstDepartureS: r.firstDepartureS,
+            arrivalS: r.arrivalS,
+            distanceKm: round(r.distanceKm, 1),
+            energyKwh: round(r.energyKwh, 1),
+            onRouteKwh: round(r.inMotionKwh + r.opportunityKwh, 1),
+            midDayKwh: round(r.midDayKwh, 1),
+            depotKwh: round(r.depotKwh, 1),
+            chargeStartS: byBus.has(r.bus) ? round(clock(byBus.get(r.bus).startS), 0) : null,
+            chargeEndS: byBus.has(r.bus) ? round(clock(byBus.get(r.bus).endS), 0) : null,
+        })),
+    };
+}
+
+/**
+ * Daily duty of one bus for a completed simulation, with the fleet scenario when the payload has a
+ * usable one (runsPerDay and hoursPerDay then do not apply). Returns { source: 'fleet' |
+ * 'runsPerDay' | 'hoursPerDay', runsPerDay, distanceKm, energyKwh, fleet, fleetNote }: `fleet` is
+ * the projection (null without one) and `fleetNote` why there is none.
+ */
+function busDuty(payload, response, { runsPerDay, hoursPerDay = DEFAULT_HOURS_PER_DAY } = {}) {
+    const metrics = response?.metrics;
+    let fleet = null;
+    let fleetNote = null;
+    try {
+        fleet = projectFleet(payload, response);
+    } catch (err) {
+        if (err.status !== 422) throw err;
+        fleetNote = err.message;
+    }
+    if (fleet) return { ...fleet.duty, fleet, fleetNote };
+    if (!(metrics.duration_s > 0)) throw fleetError('The simulated run has no duration', 422);
+    const runs = runsPerDay ?? Math.max(1, Math.floor((hoursPerDay * 3600) / metrics.duration_s));
+    return { ...runDuty(metrics, runs, runsPerDay != null ? 'runsPerDay' : 'hoursPerDay'), fleet, fleetNote };
+}
+
+module.exports = { projectFleet, busDuty, timetable, busDay, scheduleCharging, loadProfile };
@@ -0,0 +1,155 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Storage-backed simulation job queue.
+ *
+ * Jobs are the Simulation documents themselves: a document with status 'pending'
+ * and a `queuedAt` timestamp is waiting for a worker. Enqueueing and claiming are each one
+ * conditional update in the store, so concurrent enqueues or a rerun cannot queue or claim
+ * the same job twice. Workers claim jobs (pending → processing), run the handler and record
+ * completed/failed. Because the state lives in the store (`simulations` repository, see
+ * ./storage), queued jobs survive a restart of a persistent backend.
+ *
+ * Single worker process: `recover()` puts every job left in 'processing' back in the queue
+ * at startup, assuming the process that held them is gone. Run one backend process per store;
+ * a second instance on the same MongoDB would requeue the first one's running jobs.
+ *
+ * Every state or progress change is emitted as an 'update' event on `events`
+ * ({ id, status, progress, error }) so routes can push it to clients.
+ */
+function createJobQueue({ simulations, handler, concurrency = 2, pollIntervalMs = 1000 }) {
+    if (typeof handler !== 'function') {
+        throw new Error('Job queue requires a handler function');
+    }
+
+    let running = false;
+    let timer = null;
+    let draining = false;
+    const active = new Set();
+    const events = new EventEmitter();
+    events.setMaxListeners(0); // one listener per open status stream
+
+    function emitUpdate(id, status, progress, error = null) {
+        events.emit('update', { id: String(id), status, progress, error, timestamp: new Date().toISOString() });
+    }
+
+    /**
+     * Put a simulation in the queue. Returns the document, or null if it does not exist.
+     * Documents already queued or processing are returned unchanged.
+     */
+    async function enqueue(id) {
+        const doc = await simulations.queue(id, {
+            status: 'pending',
+            queuedAt: new Date(),
+            startedAt: null,
+            completedAt: null,
+            durationMs: null,
+            error: null,
+            progress: 0,
+        });
+        if (!doc) return simulations.findById(id); // missing, or queued / processing already
+
+        emitUpdate(doc._id, 'pending', 0);
+        kick();
+        return doc;
+    }
+
+    /**
+     * Progress reporter handed to the job handler: persists and broadcasts a 0..1 value
+     */
+    function progressReporter(doc) {
+        let last = 0;
+        return async (value) => {
+            const progress = Math.max(last, Math.min(1, Number(value) || 0));
+            if (progress === last) return;
+            last = progress;
+            emitUpdate(doc._id, 'processing', progress);
+            await simulations.update(doc._id, { progress })
+                .catch(e => console.error('Failed to record job progress:', e.message));
+        };
+    }
+
+    async function runJob(doc) {
+        emitUpdate(doc._id, 'processing', 0);
+        try {
+            const result = await handler(doc, { progress: progressReporter(doc) });
+            const completedAt = new Date();
+            await simulations.update(doc._id, {
+                status: 'completed', validatedResponse: result, error: null, progress: 1, completedAt, durationMs: completedAt - doc.startedAt,
+            });
+            emitUpdate(doc._id, 'completed', 1);
+            console.log(`✅ Simulation ${doc._id} completed`);
+        } catch (err) {
+            console.error(`❌ Simulation ${doc._id} failed:`, err.message);
+            const completedAt = new Date();
+            await simulations.update(doc._id, { status: 'failed', error: err.message, completedAt, durationMs: completedAt - doc.startedAt })
+                .catch(e => console.error('Failed to record job failure:', e.message));
+            emitUpdate(doc._id, 'failed', null, err.message);
+        }
+    }
+
+    /**
+     * Fill free worker slots with queued jobs
+     */
+    async function drain() {
+        if (!running || draining) return;
+        draining = true;
+        try {
+            while (running && active.size < concurrency) {
+                const doc = await simulations.claimNext();
+                if (!doc) break;
+                const job = runJob(doc).finally(() => {
+                    active.delete(job);
+                    kick();
+                });
+                active.add(job);
+            }
+        } catch (err) {
+            console.error('❌ Job queue poll error:', err.message);
+        } finally {
+            draining = false;
+        }
+    }
+
+    function kick() {
+        if (running) setImmediate(drain);
+    }
+
+    /**
+     * Requeue jobs that were interrupted mid-run (e.g. process crash or restart); only safe
+     * with a single worker process per store
+     */
+    async function recover() {
+        const count = await simulations.requeueInterrupted();
+        if (count) {
+            console.log(`♻️  Requeued ${count} interrupted simulation(s)`);
+        }
+    }
+
+    async function start() {
+        if (running) return;
+        await recover();
+        running = true;
+        timer = setInterval(drain, pollIntervalMs);
+        kick();
+        console.log(`🧵 Job queue started (concurrency: ${concurrency})`);
+    }
+
+    /**
+     * Stop claiming new jobs and wait for in-flight ones to finish
+     */
+    async function stop() {
+        running = false;
+        if (timer) clearInterval(timer);
+        timer = null;
+        await Promise.allSettled([...active]);
+    }
+
+    function stats() {
+        return { running, active: active.size, concurrency };
+    }
+
+    return { enqueue, start, stop, recover, stats, events };
+}
+
+module.exports = { createJobQueue };
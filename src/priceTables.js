@@ -0,0 +1,44 @@
+const fs = require('fs');
+const { PriceTablesSchema, formatIssues } = require('./validation');
+
+/**
+ * Price tables for the total cost of ownership (./tco.js). The shipped defaults
+ * (json/prices.json) are used unless the operator keeps local tables in PRICES_PATH,
+ * read at startup. The API never writes them: a request prices a run with its own
+ * tables instead (checkTables).
+ */
+
+function priceError(message, details) {
+    const err = new Error(message);
+    err.status = 422;
+    err.details = details;
+    return err;
+}
+
+function readTables(file) {
+    const tables = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    const parsed = PriceTablesSchema.safeParse(tables);
+    if (!parsed.success) {
+        const [first] = formatIssues(parsed.error);
+        throw new Error(`Price tables ${file}: ${first.path || '(root)'}: ${first.message}`);
+    }
+    return tables;
+}
+
+/**
+ * Price tables sent with a request, validated against PriceTablesSchema.
+ * Throws (status 422, with `details`) when they do not match.
+ */
+function checkTables(tables) {
+    const parsed = PriceTablesSchema.safeParse(tables);
+    if (!parsed.success) throw priceError('Invalid price tables', formatIssues(parsed.error));
+    return tables;
+}
+
+function createPriceTables({ file, defaultsFile }) {
+    const source = fs.existsSync(file) ? 'local' : 'defaults';
+    const tables = readTables(source === 'local' ? file : defaultsFile);
+    return { get: () => tables, source: () => source };
+}
+
+module.exports = { createPriceTables, checkTables };
@@ -0,0 +1,304 @@
+const { inputRows } = require('./exporter');
+
+/**
+ * Self-contained HTML report for one simulation run.
+ *
+ * Everything is inlined (CSS + SVG charts) so the page can be saved, printed or
+ * rendered to PDF by a headless browser without fetching anything.
+ */
+
+const CYCLE_DESCRIPTIONS = {
+    City_Specific: 'Representative route profile recorded for the selected city.',
+    WLTC: 'Worldwide harmonised Light vehicles Test Cycle (class 3): low, medium, high and extra-high speed phases.',
+    NEDC: 'New European Driving Cycle: four repeated ECE-15 urban cycles followed by one extra-urban (EUDC) cycle.',
+    SORT: 'UITP Standardised On-Road Test cycle for city buses, with fixed stop-and-go segments.',
+    VECTO: 'EU VECTO heavy-duty mission profile for urban buses.',
+    FTP: 'US EPA Federal Test Procedure (FTP-75): cold start, transient and hot start phases.',
+    Custom: 'User-supplied time/speed trace.',
+};
+
+const SERIES_LABELS = {
+    speed_ms: 'Speed (m/s)',
+    soc_pct: 'Battery SoC (%)',
+    pack_current_a: 'Pack Current (A)',
+    pack_voltage_v: 'Pack Voltage (V)',
+    traction_power_kw: 'Traction Power (kW)',
+    regen_power_kw: 'Regen Power (kW)',
+    aux_power_kw: 'Auxiliary Power (kW)',
+    hvac_power_kw: 'HVAC Power (kW)',
+    energy_kwh: 'Cumulative Energy (kWh)',
+    motor_speed_rpm: 'Motor Speed (rpm)',
+    motor_torque_nm: 'Motor Torque per Motor (Nm)',
+    friction_brake_power_kw: 'Friction Brake Power (kW)',
+    charge_power_kw: 'Charger Power (kW)',
+};
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Unit from a ui_schema label, e.g. "Wind Speed (m/s)" → "m/s"
+ */
+function unitFromLabel(label) {
+    const m = /\(([^()]+)\)\s*$/.exec(label || '');
+    return m ? m[1] : '';
+}
+
+function formatValue(value) {
+    if (value == null) return '—';
+    if (Array.isArray(value)) {
+        if (value.length > 6) return `[${value.slice(0, 6).join(', ')}, … ${value.length} values]`;
+        return `[${value.join(', ')}]`;
+    }
+    if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toFixed(3).replace(/0+$/, '').replace(/\.$/, '');
+    return String(value);
+}
+
+function enumName(spec, enumKey, id) {
+    const item = (spec?.enums?.[enumKey] || []).find(e => e.id === Number(id) || e.name === id);
+    return item ? item.name : null;
+}
+
+/**
+ * Every prepared payload value (and calculated field) with label, unit and whether it
+ * differs from the template default
+ */
+function parameterRows(preparedPayload, spec) {
+    const template = spec?.backend_payload_template || {};
+    return inputRows(preparedPayload, spec).map(row => {
+        const field = (spec?.ui_schema?.[row.group]?.fields || []).find(f => f.backend_key === row.key);
+        // null in the template means "no default" (user must choose), so nothing to flag
+        const defaultValue = template[row.group]?.[row.key] ?? undefined;
+        const hasDefault = defaultValue !== undefined;
+        const display = v => (field?.enum && v !== undefined ? (enumName(spec, field.enum, v) ?? v) : v);
+        return {
+            ...row,
+            label: row.label.replace(/\s*\([^()]*\)\s*$/, ''),
+            unit: unitFromLabel(row.label),
+            value: display(row.value),
+            defaultValue: display(defaultValue),
+            differs: hasDefault && JSON.stringify(row.value) !== JSON.stringify(defaultValue),
+        };
+    });
+}
+
+/**
+ * Minimal static SVG line chart (downsampled to keep the report small)
+ */
+function svgLineChart(time, values, { title, color = '#01A79D', width = 720, height = 200 } = {}) {
+    const pts = [];
+    const stride = Math.max(1, Math.ceil(time.length / 600));
+    for (let i = 0; i < time.length; i += stride) {
+        const v = Number(values[i]);
+        if (Number.isFinite(v)) pts.push([Number(time[i]), v]);
+    }
+    if (pts.length < 2) return '';
+
+    const pad = { top: 24, right: 12, bottom: 28, left: 52 };
+    const xs = pts.map(p => p[0]);
+    const ys = pts.map(p => p[1]);
+    const [xMin, xMax] = [Math.min(...xs), Math.max(...xs)];
+    let [yMin, yMax] = [Math.min(...ys), Math.max(...ys)];
+    if (yMin === yMax) { yMin -= 1; yMax += 1; }
+    const sx = x => pad.left + ((x - xMin) / (xMax - xMin || 1)) * (width - pad.left - pad.right);
+    const sy = y => height - pad.bottom - ((y - yMin) / (yMax - yMin)) * (height - pad.top - pad.bottom);
+    const path = pts.map(([x, y], i) => `${i ? 'L' : 'M'}${sx(x).toFixed(1)},${sy(y).toFixed(1)}`).join('');
+
+    return `<svg class="chart" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg" role="img" aria-label="${escapeHtml(title)}">
+  <text x="${pad.left}" y="15" class="chart-title">${escapeHtml(title)}</text>
+  <line x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}" class="axis"/>
+  <line x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${height - pad.bottom}" class="axis"/>
+  <text x="${pad.left - 6}" y="${sy(yMax) + 4}" class="tick" text-anchor="end">${formatValue(yMax)}</text>
+  <text x="${pad.left - 6}" y="${sy(yMin) + 4}" class="tick" text-anchor="end">${formatValue(yMin)}</text>
+  <text x="${pad.left}" y="${height - 8}" class="tick">${formatValue(xMin)} s</text>
+  <text x="${width - pad.right}" y="${height - 8}" class="tick" text-anchor="end">${formatValue(xMax)} s</text>
+  <path d="${path}" fill="none" stroke="${color}" stroke-width="1.6"/>
+</svg>`;
+}
+
+function chartsFor(timeseries) {
+    const time = Array.isArray(timeseries?.time_s) ? timeseries.time_s : [];
+    const colors = ['#01A79D', '#4a90e2', '#ff8c00', '#9b59b6', '#e74c3c', '#27ae60'];
+    return Object.entries(timeseries || {})
+        .filter(([k, arr]) => k !== 'time_s' && Array.isArray(arr) && arr.length === time.length)
+        .map(([k, arr], i) => svgLineChart(time, arr, { title: SERIES_LABELS[k] || k, color: colors[i % colors.length] }))
+        .filter(Boolean);
+}
+
+// Charging events and constraint violations of a v2 response; empty for v1
+function eventsSection(response) {
+    if (!Array.isArray(response.charging_events) && !Array.isArray(response.violations)) return '';
+    const dwell = e => (e.dwell_needed_s == null ? formatValue(e.dwell_s ?? null) : `${formatValue(e.dwell_s ?? null)} / ${formatValue(e.dwell_needed_s)}`);
+    const seconds = (start, end) => (start == null ? '—' : end != null && end !== start ? `${formatValue(start)}–${formatValue(end)} s` : `${formatValue(start)} s`);
+    const events = response.charging_events || [];
+    const violations = response.violations || [];
+    return `<h3>Charging events</h3>
+${events.length ? `<table>
+  <thead><tr><th>Type</th><th>Time</th><th>Location</th><th>Energy (kWh)</th><th>SoC (%)</th><th>Dwell / needed (s)</th></tr></thead>
+  <tbody>${events.map(e => `<tr><td>${escapeHtml(e.type)}</td><td>${escapeHtml(seconds(e.start_s, e.end_s))}</td><td>${escapeHtml(e.location || '—')}</td>
+    <td class="num">${escapeHtml(formatValue(e.energy_kwh))}</td><td class="num">${escapeHtml(`${formatValue(e.soc_start_pct)} → ${formatValue(e.soc_end_pct)}`)}</td>
+    <td class="num">${escapeHtml(dwell(e))}</td></tr>`).join('')}</tbody>
+</table>` : '<p>None.</p>'}
+<h3>Constraint violations</h3>
+${violations.length ? `<table>
+  <thead><tr><th>Code</th><th>Severity</th><th>Time</th><th>Message</th></tr></thead>
+  <tbody>${violations.map(v => `<tr><td>${escapeHtml(v.code)}</td><td${v.severity === 'error' ? ' class="status-failed"' : ''}>${escapeHtml(v.severity)}</td>
+    <td>${escapeHtml(seconds(v.start_s, v.end_s))}</td><td>${escapeHtml(v.message)}</td></tr>`).join('')}</tbody>
+</table>` : '<p>None.</p>'}`;
+}
+
+function driveCycleSection(dc, spec) {
+    const cycleName = enumName(spec, 'cycle_types', dc.Cycle_Type) || 'Unknown';
+    const facts = [
+        ['Cycle', cycleName],
+        ['City', dc.City_Name != null ? (enumName(spec, 'cities', dc.City_Name) || dc.City_Name) : null],
+        ['Month', dc.Month != null ? enumName(spec, 'months', dc.Month) : null],
+        ['ECO options', dc.ECO_Options != null ? enumName(spec, 'eco_options', dc.ECO_Options) : null],
+        ['ECO threshold', dc.ECO_Threshold != null ? `${dc.ECO_Threshold} %` : null],
+    ];
+    if (Array.isArray(dc.Time_s) && dc.Time_s.length) {
+        facts.push(['Trace', `${dc.Time_s.length} points over ${formatValue(dc.Time_s[dc.Time_s.length - 1] - dc.Time_s[0])} s`]);
+    }
+    return `<p>${escapeHtml(CYCLE_DESCRIPTIONS[cycleName] || '')}</p>
+<dl class="facts">${facts.filter(([, v]) => v != null).map(([k, v]) => `<dt>${escapeHtml(k)}</dt><dd>${escapeHtml(v)}</dd>`).join('')}</dl>`;
+}
+
+const STYLES = `
+body { font-family: 'Segoe UI', Roboto, Arial, sans-serif; color: #222; margin: 32px; font-size: 13px; }
+h1 { color: #01A79D; margin: 0 0 4px; font-size: 24px; }
+h2 { border-bottom: 2px solid #01A79D; padding-bottom: 4px; margin-top: 28px; font-size: 17px; }
+h3 { margin: 16px 0 6px; font-size: 14px; color: #555; }
+.meta { color: #666; }
+table { border-collapse: collapse; width: 100%; }
+th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #e6e6e6; vertical-align: top; }
+th { background: #f5f7f8; }
+td.num { text-align: right; font-variant-numeric: tabular-nums; }
+tr.differs td { background: #fff6e5; }
+.badge { display: inline-block; padding: 0 6px; border-radius: 8px; background: #F4A63B; color: #fff; font-size: 11px; }
+.badge.calculated { background: #01A79D; }
+.facts { display: grid; grid-template-columns: max-content 1fr; gap: 2px 16px; }
+.facts dt { font-weight: 600; }
+.facts dd { margin: 0; }
+.chart { width: 100%; max-width: 720px; display: block; margin: 8px 0 16px; }
+.chart .axis { stroke: #bbb; }
+.chart .tick { font-size: 10px; fill: #777; }
+.chart .chart-title { font-size: 12px; font-weight: 600; fill: #333; }
+.status-failed { color: #e74c3c; }
+@media print { body { margin: 12mm; } h2 { page-break-after: avoid; } .chart, tr { page-break-inside: avoid; } }
+`;
+
+/**
+ * Render the report HTML for a simulation document
+ */
+function renderReport(doc, spec) {
+    const payload = doc.preparedPayload || doc.requestJSON?.payload || {};
+    const response = doc.validatedResponse || {};
+    const rows = parameterRows(payload, spec);
+    const changed = rows.filter(r => r.differs).length;
+    const specVersion = doc.specVersion || doc.requestJSON?.version || spec?._meta?.version || 'unknown';
+    const ts = v => (v ? new Date(v).toISOString() : '—');
+
+    const paramTables = [...new Set(rows.map(r => r.group))].map(group => `
+<h3>${escapeHtml(group.replace(/_/g, ' '))}</h3>
+<table>
+  <thead><tr><th>Parameter</th><th>Value</th><th>Unit</th><th>Default</th></tr></thead>
+  <tbody>${rows.filter(r => r.group === group).map(r => `
+    <tr class="${r.differs ? 'differs' : ''}">
+      <td>${escapeHtml(r.label)} <small>(${escapeHtml(r.key)})</small></td>
+      <td class="num">${escapeHtml(formatValue(r.value))} ${r.differs ? '<span class="badge">changed</span>' : ''}${r.calculated ? '<span class="badge calculated">calculated</span>' : ''}</td>
+      <td>${escapeHtml(r.unit)}</td>
+      <td class="num">${r.defaultValue === undefined ? '—' : escapeHtml(formatValue(r.defaultValue))}</td>
+    </tr>`).join('')}
+  </tbody>
+</table>`).join('');
+
+    const metrics = Object.entries(response.metrics || {});
+    const charts = chartsFor(response.timeseries);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>eBRT Simulation Report ${escapeHtml(doc._id)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>eBRT 2030 Simulation Report</h1>
+  <div class="meta">
+    Simulation <strong>${escapeHtml(doc._id)}</strong> ·
+    status <strong class="status-${escapeHtml(doc.status)}">${escapeHtml(doc.status)}</strong> ·
+    spec version <strong>${escapeHtml(specVersion)}</strong>
+  </div>
+  <div class="meta">
+    Created ${escapeHtml(ts(doc.createdAt))} · Completed ${escapeHtml(ts(doc.completedAt))} ·
+    Computed ${escapeHtml(response.computed_at || '—')} · Report generated ${escapeHtml(new Date().toISOString())}
+  </div>
+  ${doc.error ? `<p class="status-failed">Error: ${escapeHtml(doc.error)}</p>` : ''}
+</header>
+
+<h2>Drive Cycle</h2>
+${driveCycleSection(payload.Driving_Cycle || {}, spec)}
+
+<h2>Results</h2>
+${metrics.length ? `<table>
+  <thead><tr><th>Metric</th><th>Value</th></tr></thead>
+  <tbody>${metrics.map(([k, v]) => `<tr><td>${escapeHtml(k)}</td><td class="num">${escapeHtml(formatValue(v))}</td></tr>`).join('')}</tbody>
+</table>` : '<p>No results available.</p>'}
+${eventsSection(response)}
+${charts.join('\n')}
+
+<h2>Input Parameters</h2>
+<p>${changed} parameter(s) differ from the spec defaults (<code>backend_payload_template</code>) and are highlighted.</p>
+${paramTables}
+</body>
+</html>`;
+}
+
+function pdfUnavailable(message) {
+    const err = new Error(`${message}; print the HTML report to PDF instead`);
+    err.status = 501;
+    return err;
+}
+
+/**
+ * Render HTML to PDF with puppeteer when it is installed (a manual install, see README).
+ * Chrome keeps its sandbox unless PUPPETEER_NO_SANDBOX=true, for containers that cannot provide one
+ */
+async function renderPdf(html) {
+    let puppeteer;
+    try {
+        puppeteer = require('puppeteer');
+    } catch (e) {
+        throw pdfUnavailable("PDF rendering needs the 'puppeteer' package (npm install --no-save puppeteer)");
+    }
+    let browser;
+    try {
+        const args = process.env.PUPPETEER_NO_SANDBOX === 'true' ? ['--no-sandbox'] : [];
+        browser = await puppeteer.launch({ headless: true, args });
+    } catch (e) {
+        throw pdfUnavailable(`puppeteer could not start its browser (npx puppeteer browsers install chrome): ${e.message}`);
+    }
+    try {
+        const page = await browser.newPage();
+        await page.setContent(html, { waitUntil: 'load' });
+        return await page.pdf({ format: 'A4', printBackground: true, margin: { top: '12mm', bottom: '12mm', left: '10mm', right: '10mm' } });
+    } finally {
+        await browser.close();
+    }
+}
+
+module.exports = {
+    renderReport,
+    renderPdf,
+    parameterRows,
+    svgLineChart,
+    escapeHtml,
+    unitFromLabel,
+};
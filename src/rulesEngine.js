@@ -0,0 +1,274 @@
+/**
+ * Declarative rules engine for `rules_engine.rules` in the spec.
+ *
+ * A rule is { id, description?, when?, actions }. Rules run in order against the backend
+ * payload (after template merge). Paths are "Group.Key" backend paths, or "Group" for a
+ * whole group; `*` matches any run of characters within a segment ("*.*_Flag").
+ *
+ * Conditions (`when`, omitted = always):
+ *   { "Group.Key": value }                     equality (numeric strings compare as numbers)
+ *   { "Group.Key": { eq | ne | in | not_in | empty | provided } }
+ *   { "all": [cond...] }, { "any": [cond...] }, { "not": cond }
+ * Several keys in one object must all hold. `empty` is true for null/undefined/""/[];
+ * `provided` checks the user's input rather than the merged payload.
+ *
+ * Actions:
+ *   { "set": path, "value": v }                       assign a value
+ *   { "omit": path }                                  drop a key or a whole group
+ *   { "require": path, "message"? }                   fail (status 400) when the value is empty
+ *   { "default_from": path, "from": path }            copy `from` when the user did not provide `path`
+ *   { "encode_bool": pattern }                        checkbox encoding: truthy → 1, falsy → 0
+ *
+ * Every rule whose condition holds is recorded in the trace with the effect of each action.
+ */
+
+const CONDITION_OPS = ['eq', 'ne', 'in', 'not_in', 'empty', 'provided'];
+const ACTIONS = ['set', 'omit', 'require', 'default_from', 'encode_bool'];
+
+// Rules that were hand-coded in buildBackendPayload before specs carried their own
+// (used for specs without rules_engine.rules, e.g. archived 1.0.0 simulations)
+const LEGACY_RULES = [
+    {
+        id: 'AltitudeStandardCycles',
+        when: { 'Driving_Cycle.Cycle_Type': { in: [1, 2, 3, 4, 5] } },
+        actions: [
+            { set: 'Driving_Cycle.Time_s', value: null },
+            { set: 'Driving_Cycle.Speed_mps', value: null },
+            { set: 'Driving_Cycle.Altitude_m', value: 0 },
+        ],
+    },
+    { id: 'AltitudeCitySpecific', when: { 'Driving_Cycle.Cycle_Type': 0 }, actions: [{ omit: 'Driving_Cycle.Altitude_m' }] },
+    {
+        id: 'AltitudeCustomDefault',
+        when: { 'Driving_Cycle.Cycle_Type': 6, 'Driving_Cycle.Altitude_m': { empty: true } },
+        actions: [{ set: 'Driving_Cycle.Altitude_m', value: 0 }],
+    },
+    { id: 'ScenarioVisibility', when: { 'Driving_Cycle.Cycle_Type': { not_in: [1, 2, 3, 4, 5] } }, actions: [{ omit: 'Scenario_data' }] },
+    {
+        id: 'EcoThresholdRequired',
+        when: { 'Driving_Cycle.ECO_Options': 2 },
+        actions: [{ require: 'Driving_Cycle.ECO_Threshold', message: 'ECO_Threshold is required when ECO_Options = ECO_Threshold' }],
+    },
+    { id: 'EcoThresholdHidden', when: { 'Driving_Cycle.ECO_Options': { ne: 2 } }, actions: [{ set: 'Driving_Cycle.ECO_Threshold', value: null }] },
+    { id: 'CheckboxEncoding', actions: [{ encode_bool: '*.*_Flag' }] },
+    {
+        id: 'InitialSocDefault',
+        actions: [{ default_from: 'Energy_Storage_data.Initial_Battery_SoC_pct', from: 'Energy_Storage_data.MaximumSoC_pct' }],
+    },
+];
+
+/* ===== Paths ===== */
+
+const has = (obj, key) => obj != null && typeof obj === 'object' && Object.prototype.hasOwnProperty.call(obj, key);
+
+function splitPath(path) {
+    const [group, key] = path.split('.');
+    return { group, key };
+}
+
+function getPath(obj, path) {
+    const { group, key } = splitPath(path);
+    return key === undefined ? obj?.[group] : obj?.[group]?.[key];
+}
+
+function hasPath(obj, path) {
+    const { group, key } = splitPath(path);
+    return key === undefined ? has(obj, group) : has(obj?.[group], key);
+}
+
+function globToRegExp(segment) {
+    return new RegExp(`^${segment.split('*').map(s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+}
+
+/**
+ * Concrete paths in `obj` matching a pattern ("Charger_data.*_Flag", "*.*_Flag")
+ */
+function expandPath(obj, pattern) {
+    if (!pattern.includes('*')) return [pattern];
+    const { group, key } = splitPath(pattern);
+    const groupRe = globToRegExp(group);
+    const keyRe = key === undefined ? null : globToRegExp(key);
+    const paths = [];
+    for (const g of Object.keys(obj || {}).filter(g => groupRe.test(g))) {
+        if (!keyRe) { paths.push(g); continue; }
+        if (!obj[g] || typeof obj[g] !== 'object') continue;
+        for (const k of Object.keys(obj[g]).filter(k => keyRe.test(k))) paths.push(`${g}.${k}`);
+    }
+    return paths;
+}
+
+/* ===== Conditions ===== */
+
+const isEmpty = v => v == null || v === '' || (Array.isArray(v) && v.length === 0);
+
+function same(a, b) {
+    if (a === b) return true;
+    if (a == null || b == null || typeof a === 'object' || typeof b === 'object') return false;
+    return a !== '' && b !== '' && Number(a) === Number(b);
+}
+
+function testField(path, cond, ctx) {
+    const value = getPath(ctx.payload, path);
+    if (cond === null || typeof cond !== 'object' || Array.isArray(cond)) return same(value, cond);
+    return Object.entries(cond).every(([op, arg]) => {
+        switch (op) {
+            case 'eq': return same(value, arg);
+            case 'ne': return !same(value, arg);
+            case 'in': return arg.some(a => same(value, a));
+            case 'not_in': return !arg.some(a => same(value, a));
+            case 'empty': return isEmpty(value) === Boolean(arg);
+            case 'provided': return (hasPath(ctx.input, path) && getPath(ctx.input, path) != null) === Boolean(arg);
+            default: throw new Error(`Unknown condition operator "${op}"`);
+        }
+    });
+}
+
+function evaluate(when, ctx) {
+    if (!when) return true;
+    return Object.entries(when).every(([key, cond]) => {
+        if (key === 'all') return cond.every(c => evaluate(c, ctx));
+        if (key === 'any') return cond.some(c => evaluate(c, ctx));
+        if (key === 'not') return !evaluate(cond, ctx);
+        return testField(key, cond, ctx);
+    });
+}
+
+/* ===== Actions ===== */
+
+function ruleError(message, rule, trace) {
+    const err = new Error(message);
+    err.status = 400;
+    err.rule = rule.id;
+    err.trace = trace;
+    return err;
+}
+
+function runAction(action, ctx, rule, trace) {
+    const { payload } = ctx;
+    const effects = [];
+
+    if ('set' in action) {
+        const { group, key } = splitPath(action.set);
+        const before = getPath(payload, action.set);
+        if (key === undefined) payload[group] = action.value;
+        else (payload[group] = payload[group] || {})[key] = action.value;
+        effects.push({ action: 'set', path: action.set, before, after: action.value });
+    } else if ('omit' in action) {
+        for (const path of expandPath(payload, action.omit)) {
+            if (!hasPath(payload, path)) continue;
+            const { group, key } = splitPath(path);
+            const before = getPath(payload, path);
+            if (key === undefined) delete payload[group];
+            else delete payload[group][key];
+            effects.push({ action: 'omit', path, before });
+        }
+    } else if ('require' in action) {
+        const value = getPath(payload, action.require);
+        if (isEmpty(value)) throw ruleError(action.message || `${action.require} is required`, rule, trace);
+        effects.push({ action: 'require', path: action.require, value });
+    } else if ('default_from' in action) {
+        const source = getPath(payload, action.from);
+        const provided = hasPath(ctx.input, action.default_from) && getPath(ctx.input, action.default_from) != null;
+        if (!provided && source != null && hasPath(payload, splitPath(action.default_from).group)) {
+            const { group, key } = splitPath(action.default_from);
+            const before = payload[group][key];
+            payload[group][key] = source;
+            effects.push({ action: 'default_from', path: action.default_from, from: action.from, before, after: source });
+        }
+    } else if ('encode_bool' in action) {
+        for (const path of expandPath(payload, action.encode_bool)) {
+            const { group, key } = splitPath(path);
+            if (!has(payload[group], key)) continue;
+            const before = payload[group][key];
+            const after = before && before !== '0' && before !== 'false' ? 1 : 0;
+            payload[group][key] = after;
+            if (before !== after) effects.push({ action: 'encode_bool', path, before, after });
+        }
+    }
+    return effects;
+}
+
+/**
+ * Run rules against `payload` (mutated in place). `input` is the user's input mapped to
+ * backend keys, for `provided` and `default_from`. Applied rules are appended to `trace`
+ * (also returned, and attached to a failing `require` error):
+ * [{ rule, description, effects: [{ action, path, before?, after?, ... }] }]
+ */
+function applyRules(payload, { rules, input = {}, trace = [] }) {
+    const ctx = { payload, input };
+    for (const rule of rules) {
+        if (!evaluate(rule.when, ctx)) continue;
+        const entry = { rule: rule.id, description: rule.description || null, effects: [] };
+        trace.push(entry);
+        for (const action of rule.actions) {
+            entry.effects.push(...runAction(action, ctx, rule, trace));
+        }
+    }
+    return trace;
+}
+
+/**
+ * Rules declared by a spec, or the legacy built-in rules for specs that predate them
+ */
+function rulesForSpec(spec) {
+    return Array.isArray(spec?.rules_engine?.rules) ? spec.rules_engine.rules : LEGACY_RULES;
+}
+
+/**
+ * Check rule definitions; returns a list of problems (empty when valid)
+ */
+function validateRules(rules) {
+    const problems = [];
+    const ids = new Set();
+    const checkCondition = (when, where) => {
+        if (when == null) return;
+        if (typeof when !== 'object' || Array.isArray(when)) {
+            problems.push(`${where}: condition must be an object`);
+            return;
+        }
+        for (const [key, cond] of Object.entries(when)) {
+            if (key === 'all' || key === 'any') {
+                if (!Array.isArray(cond)) problems.push(`${where}: "${key}" must be an array`);
+                else cond.forEach((c, i) => checkCondition(c, `${where}.${key}[${i}]`));
+            } else if (key === 'not') {
+                checkCondition(cond, `${where}.not`);
+            } else if (cond && typeof cond === 'object' && !Array.isArray(cond)) {
+                for (const [op, arg] of Object.entries(cond)) {
+                    if (!CONDITION_OPS.includes(op)) problems.push(`${where}: unknown operator "${op}" on ${key}`);
+                    if ((op === 'in' || op === 'not_in') && !Array.isArray(arg)) problems.push(`${where}: "${op}" on ${key} needs an array`);
+                }
+            }
+        }
+    };
+
+    if (!Array.isArray(rules)) return ['rules must be an array'];
+    rules.forEach((rule, i) => {
+        const where = `rules[${i}]${rule?.id ? ` (${rule.id})` : ''}`;
+        if (!rule || typeof rule.id !== 'string') problems.push(`${where}: id is required`);
+        else if (ids.has(rule.id)) problems.push(`${where}: duplicate id`);
+        else ids.add(rule.id);
+        checkCondition(rule?.when, `${where}.when`);
+        if (!Array.isArray(rule?.actions) || !rule.actions.length) {
+            problems.push(`${where}: actions must be a non-empty array`);
+            return;
+        }
+        rule.actions.forEach((action, j) => {
+            const kinds = ACTIONS.filter(a => action && a in action);
+            if (kinds.length !== 1) {
+                problems.push(`${where}.actions[${j}]: exactly one of ${ACTIONS.join(', ')} is required`);
+            } else if (kinds[0] === 'set' && !('value' in action)) {
+                problems.push(`${where}.actions[${j}]: set needs a value`);
+            } else if (kinds[0] === 'default_from' && typeof action.from !== 'string') {
+                problems.push(`${where}.actions[${j}]: default_from needs a "from" path`);
+            }
+        });
+    });
+    return problems;
+}
+
+module.exports = {
+    applyRules,
+    rulesForSpec,
+    validateRules,
+    LEGACY_RULES,
+};
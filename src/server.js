@@ -3,7 +3,6 @@ const fs = require('fs');
 const express = require('express');
 const cors = require('cors');
 const morgan = require('morgan');
-const mongoose = require('mongoose');
 const axios = require('axios');
 const axiosRetry = require('axios-retry').default;
 const { exponentialDelay } = require('axios-retry');
@@ -11,31 +10,66 @@ const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 // Import our new modules
-const { RequestSchema, ValidatorResponseSchema } = require('./validation');
+const { RequestSchema, WizardCompileRequestSchema, parseValidatorResponse, SimulationListQuerySchema, RerunRequestSchema, BatchRequestSchema, CompareQuerySchema, AgingQuerySchema, TcoQuerySchema, DriveCycleTraceSchema, formatIssues } = require('./validation');
 const { 
     createHmacSignature, 
     verifyHmacSignature, 
     generateIdempotencyKey,
     validateEnvironment,
     createErrorResponse,
-    sanitizeFilename
+    sanitizeFilename,
+    deepMerge,
+    diffObjects
 } = require('./utils');
+const { createStorage, isValidId } = require('./storage');
+const { createJobQueue } = require('./jobQueue');
+const { createSpecRegistry } = require('./specRegistry');
+const { applyRules, rulesForSpec } = require('./rulesEngine');
+const { listSimulations } = require('./simulationHistory');
+const { expandSweep, pointToOverrides, summarizeProgress } = require('./batch');
+const { compareSimulations } = require('./compare');
+const { timeseriesToCsv, toXlsx, toJsonBundle } = require('./exporter');
+const { renderReport, renderPdf } = require('./report');
+const { calculateFields } = require('./calculations');
+const WizardState = require('./wizardState');
+const { parseDriveCycle } = require('./driveCycleParser');
+const { createDriveCycleLibrary, summarize, toTemplateCsv, STANDARD_CYCLES } = require('./driveCycles');
+const { analyzeCycle } = require('./cycleStats');
+const { createCityCatalog } = require('./cityCatalog');
+const { createClimatology, resolveMonth, fitToFields } = require('./climatology');
+const { projectAging } = require('./batteryAging');
+const { projectFleet } = require('./fleet');
+const { computeTco } = require('./tco');
+const { createPriceTables, checkTables } = require('./priceTables');
 
 /* ========= Environment ========= */
 const config = {
     PORT: process.env.PORT || 4000,
+    STORAGE_BACKEND: (process.env.STORAGE_BACKEND || 'mongo').toLowerCase(), // mongo | file | memory
+    STORAGE_FILE: process.env.STORAGE_FILE || path.resolve(__dirname, '..', 'data', 'store.json'),
     MONGODB_URI: process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/ebrt',
     VALIDATOR_URL: process.env.VALIDATOR_URL || 'http://localhost:5001/validate',
+    // Validator response contract versions we accept, preferred first (sent as Accept-Version)
+    VALIDATOR_RESPONSE_VERSIONS: (process.env.VALIDATOR_RESPONSE_VERSIONS || '2,1').split(',').map(v => parseInt(v, 10)).filter(Number.isInteger),
     NODE_ENV: process.env.NODE_ENV || 'development',
     CORS_ORIGIN: process.env.CORS_ORIGIN || '*',
     REQUEST_TIMEOUT: parseInt(process.env.REQUEST_TIMEOUT) || 15000,
     MAX_FILE_SIZE: parseInt(process.env.MAX_FILE_SIZE) || 2097152, // 2MB
     SPEC_PATH: process.env.SPEC_PATH || path.resolve(__dirname, '..', 'json', 'driveCycleOption.json'),
+    SPEC_ARCHIVE_DIR: process.env.SPEC_ARCHIVE_DIR || path.resolve(__dirname, '..', 'data', 'specs'),
+    SPEC_WATCH: process.env.SPEC_WATCH !== 'false', // hot-reload SPEC_PATH on change
+    DRIVE_CYCLE_DIR: process.env.DRIVE_CYCLE_DIR || path.resolve(__dirname, '..', 'data', 'driveCycles'), // standard cycle traces
+    CITY_CATALOG_PATH: process.env.CITY_CATALOG_PATH || path.resolve(__dirname, '..', 'json', 'cities.json'),
+    CLIMATE_PATH: process.env.CLIMATE_PATH || path.resolve(__dirname, '..', 'json', 'climate.json'), // monthly normals per city
+    PRICES_PATH: process.env.PRICES_PATH || path.resolve(__dirname, '..', 'data', 'prices.json'), // local TCO price tables, read at startup (defaults: json/prices.json)
     SHARED_SECRET: process.env.SHARED_SECRET,
     RATE_LIMIT_MAX: parseInt(process.env.RATE_LIMIT_MAX) || 100,
     RATE_LIMIT_WINDOW_MS: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000, // 15 minutes
     MAX_RETRIES: parseInt(process.env.MAX_RETRIES) || 3,
     RETRY_DELAY_MS: parseInt(process.env.RETRY_DELAY_MS) || 1000,
+    WORKER_CONCURRENCY: parseInt(process.env.WORKER_CONCURRENCY) || 2,
+    QUEUE_POLL_INTERVAL_MS: parseInt(process.env.QUEUE_POLL_INTERVAL_MS) || 1000,
+    MAX_BATCH_POINTS: parseInt(process.env.MAX_BATCH_POINTS) || 500,
 };
 
 // Validate environment
@@ -51,82 +85,27 @@ axiosRetry(axios, {
     }
 });
 
-/* ========= Spec Loader ========= */
-function loadSpec() {
-    try {
-        const raw = fs.readFileSync(config.SPEC_PATH, 'utf-8');
-        const spec = JSON.parse(raw);
-        
-        // Validate spec structure
-        if (!spec.backend_payload_template) {
-            throw new Error(`Spec file ${config.SPEC_PATH} is missing required 'backend_payload_template' field`);
-        }
-        
-        // Basic schema validation
-        if (typeof spec.backend_payload_template !== 'object') {
-            throw new Error(`Spec file ${config.SPEC_PATH} has invalid 'backend_payload_template' - must be an object`);
-        }
-        
-        if (!spec.ui_schema) {
-            console.warn('⚠️  Spec file missing ui_schema - some features may not work correctly');
-        }
-        
-        return spec;
-    } catch (e) {
-        if (e.code === 'ENOENT') {
-            console.error(`❌ Spec file not found: ${config.SPEC_PATH}`);
-            console.error(`💡 Make sure the file exists and SPEC_PATH is set correctly`);
-        } else if (e instanceof SyntaxError) {
-            console.error(`❌ Invalid JSON in spec file: ${config.SPEC_PATH}`);
-            console.error(`💡 Check the file syntax and ensure it's valid JSON`);
-        } else {
-            console.error(`❌ Failed to load spec from ${config.SPEC_PATH}:`, e.message);
-        }
-        throw e;
-    }
-}
-const SPEC = loadSpec();
-
-/* ========= Utils ========= */
-const deepClone = obj => JSON.parse(JSON.stringify(obj));
-
-function endsWithFlag(k) {
-    return typeof k === 'string' && k.endsWith('_Flag');
-}
+/* ========= Spec Registry ========= */
+// Current spec from SPEC_PATH (hot-reloaded) plus every earlier version (see ./specRegistry.js)
+const specs = createSpecRegistry({ specPath: config.SPEC_PATH, archiveDir: config.SPEC_ARCHIVE_DIR });
+specs.load();
 
 /**
- * Build a map: group -> { uiKey -> backendKey } and a set of calculated backendKeys to ignore
+ * Spec a stored simulation was built against (falls back to the current spec)
  */
-function buildFieldMaps(spec) {
-    const uiMap = {}; // group -> { uiKey: backendKey }
-    const calculatedKeys = new Set(); // group.backendKey strings to never send
-    const fieldTypeByBackendKey = {}; // group -> { backendKey: 'type' }
-
-    const ui = spec.ui_schema || {};
-    for (const [group, cfg] of Object.entries(ui)) {
-        uiMap[group] = uiMap[group] || {};
-        fieldTypeByBackendKey[group] = fieldTypeByBackendKey[group] || {};
-        const fields = cfg.fields || [];
-        for (const f of fields) {
-            const backendKey = f.backend_key;
-            if (!backendKey) continue;
-            uiMap[group][f.key] = backendKey;
-            fieldTypeByBackendKey[group][backendKey] = f.type || 'unknown';
-            if (f.type === 'calculated' || f.show_only === true) {
-                calculatedKeys.add(`${group}.${backendKey}`);
-            }
-        }
-    }
-    return { uiMap, calculatedKeys, fieldTypeByBackendKey };
+function specForDoc(doc) {
+    const version = doc?.specVersion || doc?.requestJSON?.version;
+    return (version && specs.get(version)) || specs.current();
 }
 
-const { uiMap, calculatedKeys, fieldTypeByBackendKey } = buildFieldMaps(SPEC);
+/* ========= Utils ========= */
+const deepClone = obj => JSON.parse(JSON.stringify(obj));
 
 /**
  * Map inputData (user-facing keys) into backend keys using ui_schema.backend_key.
  * Accepts both UI keys and already-backend keys for robustness.
  */
-function mapInputToBackend(inputData) {
+function mapInputToBackend(inputData, { uiMap } = specs.current()) {
     if (!inputData || typeof inputData !== 'object') return {};
     const mapped = {};
     for (const [group, groupVal] of Object.entries(inputData)) {
@@ -149,63 +128,40 @@ function mapInputToBackend(inputData) {
 }
 
 /**
- * Merge mapped input into template defaults, then enforce rules engine.
+ * Template defaults with the mapped input merged in (only keys existing in template groups).
+ * Returns the merged payload and the mapped input.
  */
-function buildBackendPayload(inputData) {
-    const tpl = deepClone(SPEC.backend_payload_template);
-    const mapped = mapInputToBackend(inputData);
+function mergeWithTemplate(inputData, entry = specs.current()) {
+    const { spec, calculatedKeys } = entry;
+    const tpl = deepClone(spec.backend_payload_template);
+    const mapped = mapInputToBackend(inputData, entry);
 
-    // Merge provided values (only keys existing in template groups are considered)
     for (const [group, keys] of Object.entries(tpl)) {
         const src = mapped[group] || {};
-        for (const [k, defVal] of Object.entries(keys)) {
+        for (const k of Object.keys(keys)) {
             // Skip calculated fields altogether (not in template anyway, but double-guard)
             if (calculatedKeys.has(`${group}.${k}`)) continue;
-
-            // For checkbox *_Flag, normalize boolean → 0/1 if provided
-            if (endsWithFlag(k) && Object.prototype.hasOwnProperty.call(src, k)) {
-                const raw = src[k];
-                tpl[group][k] = raw ? 1 : 0;
-                continue;
-            }
-
             if (Object.prototype.hasOwnProperty.call(src, k)) {
                 tpl[group][k] = src[k];
-            } else {
-                // keep default from template
-                tpl[group][k] = defVal;
             }
         }
     }
+    return { tpl, mapped };
+}
 
-    /* ===== Apply Rules Engine ===== */
-    const DC = tpl.Driving_Cycle || {};
-    const cycleType = Number(DC.Cycle_Type);
-
-    // Time & Speed visibility/forcing
-    const isStandard = [1, 2, 3, 4, 5].includes(cycleType);
-    const isCity = cycleType === 0;
-    const isCustom = cycleType === 6;
-
-    if (isStandard) {
-        // standard cycles: ensure Time/Speed null, Altitude = 0
-        tpl.Driving_Cycle.Time_s = null;
-        tpl.Driving_Cycle.Speed_mps = null;
-        tpl.Driving_Cycle.Altitude_m = 0;
-    }
-
-    if (isCity) {
-        // city-specific: omit Altitude_m from payload
-        if (tpl.Driving_Cycle && Object.prototype.hasOwnProperty.call(tpl.Driving_Cycle, 'Altitude_m')) {
-            delete tpl.Driving_Cycle.Altitude_m;
-        }
-        // Time/Speed should be present if provided by UI (we keep whatever mapped set)
-    }
-
-    if (isCustom) {
-        // custom: Time/Speed must be arrays of equal length if both provided
-        const t = mapped?.Driving_Cycle?.Time_s ?? tpl.Driving_Cycle.Time_s;
-        const s = mapped?.Driving_Cycle?.Speed_mps ?? tpl.Driving_Cycle.Speed_mps;
+/**
+ * Merge mapped input into template defaults, then run the spec's rules (see ./rulesEngine.js).
+ * `entry` is a spec registry entry (defaults to the current spec); every applied rule is
+ * appended to `trace` when one is passed.
+ */
+function buildBackendPayload(inputData, entry = specs.current(), trace = []) {
+    const { spec, calculatedKeys } = entry;
+    const { tpl, mapped } = mergeWithTemplate(inputData, entry);
+
+    // Custom cycle: Time/Speed must be arrays of equal length if either is provided
+    if (Number(tpl.Driving_Cycle?.Cycle_Type) === 6) {
+        const t = tpl.Driving_Cycle.Time_s;
+        const s = tpl.Driving_Cycle.Speed_mps;
         if ((Array.isArray(t) && !Array.isArray(s)) || (!Array.isArray(t) && Array.isArray(s))) {
             const err = new Error('Time_s and Speed_mps must both be arrays for Custom cycle');
             err.status = 400;
@@ -216,66 +172,10 @@ function buildBackendPayload(inputData) {
             err.status = 400;
             throw err;
         }
-        // Altitude: if missing/empty, set scalar 0 (not array)
-        const altProvided = Object.prototype.hasOwnProperty.call(mapped?.Driving_Cycle || {}, 'Altitude_m');
-        if (!altProvided || mapped.Driving_Cycle.Altitude_m == null || (Array.isArray(mapped.Driving_Cycle.Altitude_m) && mapped.Driving_Cycle.Altitude_m.length === 0)) {
-            tpl.Driving_Cycle.Altitude_m = 0;
-        } else {
-            // Keep what user sent (scalar or array)
-            tpl.Driving_Cycle.Altitude_m = mapped.Driving_Cycle.Altitude_m;
-        }
-    }
-
-    // Scenario visibility: only when standard
-    if (!isStandard) {
-        delete tpl.Scenario_data;
-    } else {
-        // Make sure VehicleLength at least has template default if user omitted
-        const sd = tpl.Scenario_data || {};
-        tpl.Scenario_data = {
-            VehicleLength: sd.VehicleLength ?? SPEC.backend_payload_template.Scenario_data.VehicleLength,
-            Return_Trip_Distance_km: sd.Return_Trip_Distance_km ?? 0,
-            Number_of_Buses_in_Fleet: sd.Number_of_Buses_in_Fleet ?? 0,
-            Average_Velocity_of_Route_kph: sd.Average_Velocity_of_Route_kph ?? 0,
-        };
-    }
-
-    // ECO threshold visibility/requirement
-    // in enums, ECO_Options: 2 = "ECO_Threshold"
-    if (Number(DC.ECO_Options) === 2) {
-        if (
-            !Object.prototype.hasOwnProperty.call(mapped?.Driving_Cycle || {}, 'ECO_Threshold') ||
-            mapped.Driving_Cycle.ECO_Threshold == null
-        ) {
-            const err = new Error('ECO_Threshold is required when ECO_Options = ECO_Threshold');
-            err.status = 400;
-            throw err;
-        }
-        // pass through mapped value (already merged)
-    } else {
-        // must not be sent/used
-        tpl.Driving_Cycle.ECO_Threshold = null;
     }
 
-    // Checkbox encoding for all *_Flag fields in Charger_data (normalize even if not provided)
-    if (tpl.Charger_data) {
-        for (const [k, v] of Object.entries(tpl.Charger_data)) {
-            if (endsWithFlag(k)) {
-                tpl.Charger_data[k] = v ? 1 : 0;
-            }
-        }
-    }
-
-    // Initial_Battery_SoC_pct defaultFrom MaximumSoC_pct if not explicitly provided
-    if (tpl.Energy_Storage_data) {
-        const es = tpl.Energy_Storage_data;
-        if (
-            (!Object.prototype.hasOwnProperty.call(mapped?.Energy_Storage_data || {}, 'Initial_Battery_SoC_pct')) &&
-            typeof es.MaximumSoC_pct === 'number'
-        ) {
-            es.Initial_Battery_SoC_pct = es.MaximumSoC_pct;
-        }
-    }
+    /* ===== Apply Rules Engine ===== */
+    applyRules(tpl, { rules: rulesForSpec(spec), input: mapped, trace });
 
     // Remove any accidentally merged "calculated" fields (defensive)
     for (const key of calculatedKeys) {
@@ -322,6 +222,8 @@ app.use((req, res, next) => {
 });
 
 // Static: serve frontend & json
+// Wizard state compiler shared with the frontend
+app.get('/js/wizardState.js', (req, res) => res.sendFile(path.join(__dirname, 'wizardState.js')));
 const appDir = path.resolve(__dirname, '..', 'app');
 app.use('/', express.static(appDir));
 const jsonDir = path.resolve(__dirname, '..', 'json');
@@ -335,28 +237,14 @@ for (const dir of [dataRoot, inputDir, outputDir]) {
     if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 }
 
-/* ========= Mongoose ========= */
-const simulationSchema = new mongoose.Schema(
-    {
-        userId: { type: String, default: null },
-        inputData: { type: Object, required: [true, 'Input data is required'] },
-        requestJSON: { type: Object, required: [true, 'Request JSON is required'] },
-        preparedPayload: { type: Object, default: null }, // NEW: normalized payload sent to validator
-        validatedResponse: { type: Object, default: null },
-        status: { type: String, enum: ['pending', 'processing', 'completed', 'failed'], default: 'pending' },
-        error: { type: String, default: null },
-    },
-    {
-        timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' },
-        toJSON: { virtuals: true },
-        toObject: { virtuals: true },
-    }
-);
-simulationSchema.virtual('duration').get(function () {
-    if (this.createdAt && this.updatedAt) return this.updatedAt - this.createdAt;
-    return null;
+/* ========= Storage ========= */
+// Simulation and batch persistence; backend chosen by STORAGE_BACKEND (see ./storage)
+const storage = createStorage({
+    backend: config.STORAGE_BACKEND,
+    mongoUri: config.MONGODB_URI,
+    filePath: config.STORAGE_FILE,
 });
-const Simulation = mongoose.model('Simulation', simulationSchema);
+const { simulations, batches, driveCycles } = storage;
 
 /* ========= Health ========= */
 app.get('/api/health', (req, res) => {
@@ -366,9 +254,13 @@ app.get('/api/health', (req, res) => {
             timestamp: new Date().toISOString(),
             uptime: process.uptime(),
             environment: config.NODE_ENV,
-            database: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
-            specVersion: SPEC?._meta?.version || 'unknown',
-            specGeneratedAt: SPEC?._meta?.generated_at || 'unknown',
+            storage: storage.kind,
+            database: storage.status(),
+            queue: jobQueue.stats(),
+            specVersion: specs.current().version,
+            specGeneratedAt: specs.current().generatedAt || 'unknown',
+            specVersions: specs.list().map(s => s.version),
+            validatorResponseVersions: config.VALIDATOR_RESPONSE_VERSIONS,
         };
         res.json(health);
     } catch (error) {
@@ -377,83 +269,484 @@ app.get('/api/health', (req, res) => {
     }
 });
 
+/* ========= Specs ========= */
+// Registered spec versions; the one used by default has current: true
+app.get('/api/specs', (req, res) => {
+    res.json({ current: specs.current().version, versions: specs.list() });
+});
+
+// Full spec document for one version
+app.get('/api/specs/:version', (req, res) => {
+    const entry = specs.get(req.params.version);
+    if (!entry) {
+        return res.status(404).json({ error: 'Not Found', message: `Spec version ${req.params.version} not found` });
+    }
+    res.set('ETag', `"${entry.hash}"`).json(entry.spec);
+});
+
 /* ========= Validation ========= */
-function validateInputData(req, res, next) {
+
+/**
+ * Validate inputData against the schema generated from an entry's ui_schema (`partial` skips
+ * required fields). Returns null when valid, otherwise the 422 body to send.
+ */
+function checkInputData(inputData, entry, { message = 'Input data validation failed', partial = false } = {}) {
+    const schema = partial ? entry.schemas.PartialInputDataSchema : entry.schemas.InputDataSchema;
+    const parsed = schema.safeParse(inputData);
+    if (parsed.success) return null;
+    return { error: 'Validation failed', message, specVersion: entry.version, details: formatIssues(parsed.error) };
+}
+
+// Envelope first, then inputData against the requested spec version (req.specEntry)
+const inputValidator = ({ partial = false } = {}) => (req, res, next) => {
     try {
         const parsed = RequestSchema.safeParse(req.body);
         if (!parsed.success) {
-            const errors = parsed.error.flatten();
             return res.status(422).json({ 
                 error: 'Validation failed', 
-                message: 'Input data validation failed',
-                details: errors
+                message: 'Invalid request',
+                details: formatIssues(parsed.error)
             });
         }
-        
-        // Replace req.body with validated data
+
+        let entry;
+        try {
+            entry = specs.resolve(parsed.data.specVersion);
+        } catch (e) {
+            return res.status(422).json({ error: 'Unknown spec version', message: e.message });
+        }
+
+        // Wizard state is compiled against the same spec; its report goes back with the response
+        if (parsed.data.wizardState) {
+            let compiled;
+            try {
+                compiled = WizardState.compile(parsed.data.wizardState, entry.spec);
+            } catch (e) {
+                return res.status(422).json({ error: 'Invalid wizard state', message: e.message });
+            }
+            parsed.data.inputData = compiled.inputData;
+            delete parsed.data.wizardState;
+            req.wizardReport = compiled.report;
+        }
+
+        const invalid = checkInputData(parsed.data.inputData, entry, { partial });
+        if (invalid) return res.status(422).json({ ...invalid, ...(req.wizardReport && { wizard: req.wizardReport }) });
+
         req.body = parsed.data;
+        req.specEntry = entry;
         next();
     } catch (error) {
         console.error('Validation error:', error);
         return res.status(500).json(createErrorResponse(error, 500));
     }
-}
+};
+const validateInputData = inputValidator();
 
 /* ========= API ========= */
 
 // For quick local testing of transform without DB
-app.post('/api/transform', validateInputData, (req, res) => {
+app.post('/api/transform', validateInputData, async (req, res) => {
+    const entry = req.specEntry;
+    const trace = [];
     try {
-        const prepared = buildBackendPayload(req.body.inputData);
-        res.json({ payload: prepared });
+        const inputData = await expandCycleInputs(req.body.inputData, entry);
+        const prepared = buildBackendPayload(inputData, entry, trace);
+        res.json({ payload: prepared, specVersion: entry.version, trace, ...(req.wizardReport && { wizard: req.wizardReport }) });
     } catch (e) {
         console.error('Transform error:', e.message);
-        res.status(e.status || 422).json({ error: 'Transform error', message: e.message });
+        res.status(e.status || 422).json({
+            error: 'Transform error',
+            message: e.message,
+            ...(e.rule && { rule: e.rule }),
+            trace,
+        });
     }
 });
 
-// Save input (and prepared payload)
-app.post('/api/save-input', validateInputData, async (req, res) => {
+// Compile a wizard state into inputData and report what was mapped, unmapped or dropped
+app.post('/api/wizard/compile', (req, res) => {
+    const parsed = WizardCompileRequestSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+        return res.status(422).json({ error: 'Validation failed', message: 'Invalid request', details: formatIssues(parsed.error) });
+    }
+    let entry;
     try {
-        const { userId, inputData } = req.body || {};
+        entry = specs.resolve(parsed.data.specVersion);
+    } catch (e) {
+        return res.status(422).json({ error: 'Unknown spec version', message: e.message });
+    }
+    let compiled;
+    try {
+        compiled = WizardState.compile(parsed.data.wizardState, entry.spec);
+    } catch (e) {
+        return res.status(422).json({ error: 'Invalid wizard state', message: e.message });
+    }
+    const invalid = checkInputData(compiled.inputData, entry);
+    res.json({
+        specVersion: entry.version,
+        inputData: compiled.inputData,
+        report: compiled.report,
+        valid: !invalid,
+        details: invalid ? invalid.details : [],
+    });
+});
 
-        // Build normalized payload according to spec & rules
-        let prepared;
+// Calculated (show-only) fields for partial input over template defaults; never part of a payload
+app.post('/api/calculate', inputValidator({ partial: true }), (req, res) => {
+    const entry = req.specEntry;
+    const { tpl } = mergeWithTemplate(req.body.inputData, entry);
+    res.json({ specVersion: entry.version, calculated: calculateFields(tpl, entry.spec) });
+});
+
+/* ========= Drive Cycles ========= */
+
+const standardCycles = createDriveCycleLibrary({ dir: config.DRIVE_CYCLE_DIR });
+const cities = createCityCatalog({ file: config.CITY_CATALOG_PATH });
+
+// City catalog for the map picker (coordinates, region and route summary per city)
+app.get('/api/cities', (req, res) => {
+    res.json({ version: cities.version, cities: cities.list() });
+});
+
+// A city's representative route as a drive cycle trace (what City_Specific runs are built with)
+app.get('/api/drive-cycles/city/:city', (req, res) => {
+    try {
+        const { city, ...trace } = cities.trace(req.params.city);
+        res.json({
+            name: city.name,
+            id: city.id,
+            title: `${city.name} route`,
+            source: city.route.description || 'Representative route',
+            ...summarize(trace),
+            ...trace,
+        });
+    } catch (err) {
+        if (err.status === 404) return res.status(404).json({ error: 'City not found', message: err.message });
+        throw err;
+    }
+});
+
+app.get('/api/drive-cycles/city/:city/stats', (req, res) => {
+    try {
+        const { city, ...trace } = cities.trace(req.params.city);
+        res.json({ name: city.name, title: `${city.name} route`, stats: analyzeCycle(trace) });
+    } catch (err) {
+        if (err.status === 404) return res.status(404).json({ error: 'City not found', message: err.message });
+        throw err;
+    }
+});
+
+// Standard cycles (see ./driveCycles.js) and whether their traces are available
+app.get('/api/drive-cycles/standard', (req, res) => {
+    res.json({ cycles: standardCycles.list() });
+});
+
+// Standard cycle trace as JSON, or ?format=csv for the downloadable template
+app.get('/api/drive-cycles/standard/:name', async (req, res) => {
+    const format = req.query.format || 'json';
+    if (format !== 'json' && format !== 'csv') {
+        return res.status(400).json({ error: 'Invalid format', message: 'format must be json or csv' });
+    }
+    try {
+        const cycle = await standardCycles.get(req.params.name);
+        if (format === 'csv') {
+            res.type('text/csv; charset=utf-8')
+                .attachment(`${cycle.name.toLowerCase()}-template.csv`)
+                .send(toTemplateCsv(cycle));
+            return;
+        }
+        res.json(cycle);
+    } catch (err) {
+        if (err.status === 404) return res.status(404).json({ error: 'Drive cycle not available', message: err.message });
+        console.error('❌ Standard drive cycle error:', err);
+        res.status(500).json({ error: 'Internal Server Error', message: 'Failed to load drive cycle' });
+    }
+});
+
+function driveCycleSummary(doc) {
+    const time = doc.time_s || [];
+    return {
+        id: doc._id,
+        name: doc.name,
+        filename: doc.filename,
+        format: doc.format,
+        points: time.length,
+        duration_s: time.length ? time[time.length - 1] - time[0] : 0,
+        hasAltitude: Array.isArray(doc.altitude_m),
+        units: doc.units,
+        warnings: doc.warnings || [],
+    };
+}
+
+// Driving_Cycle value by backend key, whether the input used the UI key or the backend key
+function drivingCycleValue(group, backendKey, { uiMap }) {
+    if (group[backendKey] != null) return group[backendKey];
+    const uiKey = Object.keys(uiMap.Driving_Cycle || {}).find(k => uiMap.Driving_Cycle[k] === backendKey);
+    return uiKey ? group[uiKey] : undefined;
+}
+
+// inputData with Driving_Cycle values set by backend key; UI-key aliases are dropped,
+// otherwise mapInputToBackend would let them win
+function withDrivingCycle(inputData, values, { uiMap }) {
+    const next = { ...inputData.Driving_Cycle, ...values };
+    for (const [uiKey, backendKey] of Object.entries(uiMap.Driving_Cycle || {})) {
+        if (uiKey !== backendKey && backendKey in values) delete next[uiKey];
+    }
+    return { ...inputData, Driving_Cycle: next };
+}
+
+function cycleError(message) {
+    const err = new Error(message);
+    err.status = 422;
+    return err;
+}
+
+/**
+ * Resolve Driving_Cycle.drive_cycle_id into the uploaded trace (Time_s / Speed_mps and, when
+ * the file had one and the input has none, Altitude_m). Returns a new inputData; inputData
+ * without a reference is returned as is. Throws (status 422) for an unknown id, a cycle type
+ * other than Custom, or a reference sent together with explicit arrays. `cache` (id -> cycle)
+ * saves lookups when one reference is expanded many times (batches).
+ */
+async function expandDriveCycle(inputData, entry, cache = new Map()) {
+    const group = inputData?.Driving_Cycle;
+    const id = group?.drive_cycle_id;
+    if (id == null) return inputData;
+
+    const value = key => drivingCycleValue(group, key, entry);
+    if (Number(value('Cycle_Type')) !== 6) throw cycleError('drive_cycle_id is only valid for the Custom cycle (Cycle_Type 6)');
+    if (value('Time_s') != null || value('Speed_mps') != null) {
+        throw cycleError('Send either drive_cycle_id or Time_s / Speed_mps arrays, not both');
+    }
+    if (!cache.has(id)) cache.set(id, await driveCycles.findById(id));
+    const cycle = cache.get(id);
+    if (!cycle) throw cycleError(`Drive cycle ${id} not found; upload it with POST /api/drive-cycles`);
+
+    const expanded = { Time_s: cycle.time_s, Speed_mps: cycle.speed_mps };
+    if (Array.isArray(cycle.altitude_m) && value('Altitude_m') == null) expanded.Altitude_m = cycle.altitude_m;
+    return withDrivingCycle(inputData, expanded, entry);
+}
+
+/**
+ * City_Specific runs (Cycle_Type 0) without their own Time_s / Speed_mps get the route of
+ * City_Name from the city catalog (see ./cityCatalog.js), with its altitude profile when the
+ * city has one (it replaces any Altitude_m sent, which cannot match the route). Throws
+ * (status 422) when the city is missing or not in the catalog.
+ */
+function fillCityCycle(inputData, entry) {
+    const group = inputData?.Driving_Cycle;
+    if (!group) return inputData;
+    const value = key => drivingCycleValue(group, key, entry);
+    if (value('Cycle_Type') == null || Number(value('Cycle_Type')) !== 0) return inputData;
+    if (value('Time_s') != null && value('Speed_mps') != null) return inputData;
+
+    const cityName = value('City_Name');
+    if (cityName == null) throw cycleError('City_Name is required for a City_Specific cycle');
+    let route;
+    try {
+        route = cities.trace(cityName);
+    } catch (e) {
+        throw cycleError(`${e.message}; send Time_s and Speed_mps for other cities`);
+    }
+    const expanded = { Time_s: route.time_s, Speed_mps: route.speed_mps };
+    if (route.altitude_m) expanded.Altitude_m = route.altitude_m;
+    return withDrivingCycle(inputData, expanded, entry);
+}
+
+/**
+ * Standard cycles (Cycle_Type 1–5) are not expanded: the validator reads them from the same
+ * library. Throws (status 422) when the run has no trace of its own and the cycle's trace is
+ * not installed, so the run is rejected when it is saved rather than when it is simulated.
+ */
+function checkStandardCycle(inputData, entry) {
+    const group = inputData?.Driving_Cycle;
+    if (!group) return;
+    const value = key => drivingCycleValue(group, key, entry);
+    if (value('Speed_mps') != null) return;
+    const standard = Object.entries(STANDARD_CYCLES).find(([, def]) => def.id === Number(value('Cycle_Type')));
+    if (standard && !standardCycles.available(standard[0])) {
+        throw cycleError(`The ${standard[0]} trace (${standard[1].source}) is not installed; pick another cycle or send Time_s / Speed_mps`);
+    }
+}
+
+/**
+ * Drive cycle references resolved into traces before the payload is built: uploaded cycles
+ * (drive_cycle_id) and City_Specific routes. Standard cycles must be installed.
+ */
+async function expandCycleInputs(inputData, entry, cache) {
+    checkStandardCycle(inputData, entry);
+    return fillCityCycle(await expandDriveCycle(inputData, entry, cache), entry);
+}
+
+// Kinematic statistics (see ./cycleStats.js) of a standard cycle
+app.get('/api/drive-cycles/standard/:name/stats', async (req, res) => {
+    try {
+        const cycle = await standardCycles.get(req.params.name);
+        res.json({ name: cycle.name, title: cycle.title, stats: analyzeCycle(cycle) });
+    } catch (err) {
+        if (err.status === 404) return res.status(404).json({ error: 'Drive cycle not available', message: err.message });
+        console.error('❌ Standard drive cycle stats error:', err);
+        res.status(500).json({ error: 'Internal Server Error', message: 'Failed to analyze drive cycle' });
+    }
+});
+
+// Statistics of a trace sent in the body ({ time_s, speed_mps, altitude_m? }), e.g. a City_Specific cycle
+app.post('/api/drive-cycles/stats', (req, res) => {
+    const parsed = DriveCycleTraceSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+        return res.status(422).json({ error: 'Validation failed', message: 'Invalid drive cycle trace', details: formatIssues(parsed.error) });
+    }
+    res.json({ stats: analyzeCycle(parsed.data) });
+});
+
+// Upload a custom drive cycle file (raw request body; ?filename= picks the format)
+app.post('/api/drive-cycles', express.raw({ type: () => true, limit: config.MAX_FILE_SIZE + 'b' }), async (req, res) => {
+    try {
+        // JSON and form bodies were already consumed by the global parsers
+        if (!Buffer.isBuffer(req.body)) {
+            return res.status(415).json({
+                error: 'Unsupported file',
+                message: 'Send the file as the request body with a file Content-Type (e.g. text/csv), not JSON or form data',
+            });
+        }
+        const filename = typeof req.query.filename === 'string' ? sanitizeFilename(req.query.filename) : null;
+        let cycle;
         try {
-            prepared = buildBackendPayload(inputData);
+            cycle = await parseDriveCycle(req.body, { filename, contentType: req.get('content-type') });
         } catch (e) {
-            return res.status(e.status || 422).json({ error: 'Invalid input', message: e.message });
+            if (!e.status) throw e;
+            return res.status(e.status).json({
+                error: e.status === 415 ? 'Unsupported file' : 'Invalid drive cycle',
+                message: e.message,
+                ...(e.details && { details: e.details }),
+            });
         }
 
-        const requestJSON = {
-            userId: userId || null,
-            inputData,               // keep original
-            payload: prepared,       // what we will send to validator
-            timestamp: new Date().toISOString(),
-            version: SPEC?._meta?.version || '1.0.0',
-        };
+        const doc = await driveCycles.create({
+            userId: typeof req.query.userId === 'string' ? req.query.userId : null,
+            name: typeof req.query.name === 'string' ? req.query.name : filename,
+            filename,
+            format: cycle.format,
+            time_s: cycle.time_s,
+            speed_mps: cycle.speed_mps,
+            altitude_m: cycle.altitude_m,
+            units: cycle.units,
+            warnings: cycle.warnings,
+        });
 
-        const doc = await Simulation.create({
-            userId: userId || null,
-            inputData,
-            requestJSON,
-            preparedPayload: prepared,
-            status: 'pending',
+        res.status(201)
+            .location(`/api/drive-cycles/${doc._id}`)
+            .json({ ...driveCycleSummary(doc), ignoredColumns: cycle.ignoredColumns, createdAt: doc.createdAt });
+    } catch (err) {
+        console.error('❌ Drive cycle upload error:', err);
+        res.status(500).json({ error: 'Internal Server Error', message: 'Failed to store drive cycle' });
+    }
+});
+
+// Statistics of an uploaded drive cycle
+app.get('/api/drive-cycles/:id/stats', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidId(id)) {
+            return res.status(400).json({ error: 'Invalid ID format', message: 'Please provide a valid drive cycle ID' });
+        }
+        const doc = await driveCycles.findById(id);
+        if (!doc) {
+            return res.status(404).json({ error: 'Record not found', message: `Drive cycle with id ${id} not found` });
+        }
+        res.json({ id: doc._id, name: doc.name, stats: analyzeCycle(doc) });
+    } catch (err) {
+        console.error('❌ Drive cycle stats error:', err);
+        res.status(500).json({ error: 'Internal Server Error', message: 'Failed to analyze drive cycle' });
+    }
+});
+
+// Uploaded drive cycle with its trace (m/s, s, m)
+app.get('/api/drive-cycles/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidId(id)) {
+            return res.status(400).json({ error: 'Invalid ID format', message: 'Please provide a valid drive cycle ID' });
+        }
+        const doc = await driveCycles.findById(id);
+        if (!doc) {
+            return res.status(404).json({ error: 'Record not found', message: `Drive cycle with id ${id} not found` });
+        }
+        res.json({
+            ...driveCycleSummary(doc),
+            time_s: doc.time_s,
+            speed_mps: doc.speed_mps,
+            altitude_m: doc.altitude_m,
+            createdAt: doc.createdAt,
         });
+    } catch (err) {
+        console.error('❌ Get drive cycle error:', err);
+        res.status(500).json({ error: 'Internal Server Error', message: 'Failed to retrieve drive cycle' });
+    }
+});
+
+/**
+ * Persist a new Simulation (status pending) and mirror its request JSON to data/inputJSON.
+ * The simulation is pinned to the spec entry its payload was built with.
+ */
+async function createSimulationRecord({ userId, inputData, prepared, entry, parentId = null, batchId = null }) {
+    const requestJSON = {
+        userId: userId || null,
+        inputData,               // keep original
+        payload: prepared,       // what we will send to validator
+        timestamp: new Date().toISOString(),
+        version: entry.version,
+        specHash: entry.hash,
+        ...(parentId && { parentId: String(parentId) }),
+        ...(batchId && { batchId: String(batchId) }),
+    };
+
+    const doc = await simulations.create({
+        userId: userId || null,
+        parentId,
+        batchId,
+        specVersion: entry.version,
+        specHash: entry.hash,
+        inputData,
+        requestJSON,
+        preparedPayload: prepared,
+        status: 'pending',
+    });
+
+    const fileBase = `${doc._id}`;
+    const inputPath = path.join(inputDir, `${fileBase}.json`);
+    try {
+        fs.writeFileSync(inputPath, JSON.stringify(requestJSON, null, 2), 'utf-8');
+        console.log(`💾 Saved input JSON: ${inputPath}`);
+    } catch (fileError) {
+        console.error('Failed to write input file:', fileError);
+    }
+
+    return doc;
+}
+
+// Save input (and prepared payload)
+app.post('/api/save-input', validateInputData, async (req, res) => {
+    try {
+        const { userId, inputData } = req.body || {};
+        const entry = req.specEntry;
 
-        const fileBase = `${doc._id}`;
-        const inputPath = path.join(inputDir, `${fileBase}.json`);
+        // Build normalized payload according to spec & rules (the record keeps the drive cycle reference)
+        let prepared;
         try {
-            fs.writeFileSync(inputPath, JSON.stringify(requestJSON, null, 2), 'utf-8');
-            console.log(`💾 Saved input JSON: ${inputPath}`);
-        } catch (fileError) {
-            console.error('Failed to write input file:', fileError);
+            prepared = buildBackendPayload(await expandCycleInputs(inputData, entry), entry);
+        } catch (e) {
+            return res.status(e.status || 422).json({ error: 'Invalid input', message: e.message });
         }
 
+        const doc = await createSimulationRecord({ userId, inputData, prepared, entry });
+
         res.status(201).json({
             id: doc._id,
             message: 'Input data saved successfully',
             status: doc.status,
+            specVersion: doc.specVersion,
+            ...(req.wizardReport && { wizard: req.wizardReport }),
             timestamp: doc.createdAt,
         });
     } catch (err) {
@@ -462,118 +755,430 @@ app.post('/api/save-input', validateInputData, async (req, res) => {
     }
 });
 
-// Send to external validator (uses preparedPayload)
+/* ========= Climate Defaults ========= */
+
+const climate = createClimatology({ file: config.CLIMATE_PATH });
+
+// Suggested Environment_data values for a city (id or name) and month (1–12 or name)
+app.get('/api/climate', (req, res) => {
+    const month = resolveMonth(req.query.month);
+    if (!month) {
+        return res.status(400).json({ error: 'Invalid month', message: 'month must be 1–12 or a month name' });
+    }
+    const city = cities.find(req.query.city);
+    if (!city || !climate.has(city.id)) {
+        return res.status(404).json({
+            error: 'No climate data',
+            message: city ? `No climate normals for ${city.name}` : `No city "${req.query.city ?? ''}" in the catalog`,
+        });
+    }
+
+    let entry;
+    try {
+        entry = specs.resolve(req.query.specVersion);
+    } catch (e) {
+        return res.status(e.status || 500).json({ error: 'Unknown spec version', message: e.message });
+    }
+    const fields = entry.spec.ui_schema?.Environment_data?.fields || [];
+    const { values, adjusted } = fitToFields(climate.lookup(city.id, month.id), fields);
+    res.json({
+        city: { id: city.id, name: city.name },
+        month,
+        specVersion: entry.version,
+        climateVersion: climate.version,
+        Environment_data: values,
+        adjusted,
+    });
+});
+
+/* ========= Simulation Jobs ========= */
+
+/**
+ * Send a simulation's prepared payload to the validator and validate the response.
+ * Runs inside the job queue worker; throws on any failure so the job is marked failed.
+ */
+async function runValidatorJob(doc, { progress = async () => {} } = {}) {
+    // Payload to send (prefer preparedPayload; fallback to requestJSON.payload or full requestJSON)
+    const payloadToSend =
+        doc.preparedPayload ||
+        doc.requestJSON?.payload ||
+        doc.requestJSON;
+
+    // Prepare headers with security and idempotency
+    const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'eBRT-Backend/1.0.0',
+        'Idempotency-Key': doc._id.toString(),
+        'Accept-Version': config.VALIDATOR_RESPONSE_VERSIONS.join(', '),
+    };
+    // The spec version the payload was built with (its template fills what the payload omits)
+    const specVersion = doc.specVersion || doc.requestJSON?.version;
+    if (specVersion) headers['X-Spec-Version'] = specVersion;
+
+    // Add HMAC signature if secret is configured
+    if (config.SHARED_SECRET) {
+        const signature = createHmacSignature(payloadToSend, config.SHARED_SECRET);
+        if (signature) {
+            headers['X-Signature'] = signature;
+        }
+    }
+
+    await progress(0.1);
+
+    let response;
+    try {
+        response = await axios.post(config.VALIDATOR_URL, payloadToSend, {
+            timeout: config.REQUEST_TIMEOUT,
+            headers,
+        });
+    } catch (validatorErr) {
+        console.error('❌ Validator request failed:', validatorErr.message);
+        const detail = validatorErr.response?.data?.message;
+        throw new Error(detail ? `${validatorErr.message}: ${detail}` : validatorErr.message);
+    }
+    await progress(0.8);
+
+    // Validate against the contract the response names (v1 or v2, if we asked for it)
+    const parsedResponse = parseValidatorResponse(response.data, config.VALIDATOR_RESPONSE_VERSIONS);
+    if (!parsedResponse.success) {
+        console.error('❌ Validator response validation failed:', parsedResponse.message, parsedResponse.details || '');
+        const first = parsedResponse.details?.[0];
+        throw new Error(first ? `${parsedResponse.message}: ${first.path} ${first.message}` : parsedResponse.message);
+    }
+    const validated = parsedResponse.data;
+    await progress(0.9);
+
+    const outputPath = path.join(outputDir, `${doc._id}.json`);
+    try {
+        fs.writeFileSync(outputPath, JSON.stringify(validated, null, 2), 'utf-8');
+        console.log(`📄 Saved output JSON: ${outputPath}`);
+    } catch (fileError) {
+        console.error('Failed to write output file:', fileError);
+    }
+
+    return validated;
+}
+
+const jobQueue = createJobQueue({
+    simulations,
+    handler: runValidatorJob,
+    concurrency: config.WORKER_CONCURRENCY,
+    pollIntervalMs: config.QUEUE_POLL_INTERVAL_MS,
+});
+
+// Queue a simulation for the validator; the worker moves it pending → processing → completed/failed
 app.post('/api/send-to-validator', async (req, res) => {
     try {
         const { id } = req.body || {};
         if (!id) {
             return res.status(400).json({ error: 'Missing required field', message: 'id is required' });
         }
+        if (!isValidId(id)) {
+            return res.status(400).json({ error: 'Invalid ID format', message: 'Please provide a valid simulation ID' });
+        }
 
-        const doc = await Simulation.findById(id).exec();
+        const doc = await jobQueue.enqueue(id);
         if (!doc) {
             return res.status(404).json({ error: 'Record not found', message: `Simulation with id ${id} not found` });
         }
 
-        // Update status → processing
-        doc.status = 'processing';
-        await doc.save();
+        res.status(202)
+            .location(`/api/results/${doc._id}`)
+            .json({
+                id: doc._id,
+                message: 'Simulation queued',
+                status: doc.status,
+                queuedAt: doc.queuedAt,
+                timestamp: doc.updatedAt,
+            });
+    } catch (err) {
+        console.error('❌ Send to validator error:', err);
+        res.status(500).json({ error: 'Internal Server Error', message: 'Failed to queue simulation' });
+    }
+});
+
+// Clone a simulation with parameter overrides and queue the new run
+app.post('/api/simulations/:id/rerun', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidId(id)) {
+            return res.status(400).json({ error: 'Invalid ID format', message: 'Please provide a valid simulation ID' });
+        }
 
-        // Payload to send (prefer preparedPayload; fallback to requestJSON.payload or full requestJSON)
-        const payloadToSend =
-            doc.preparedPayload ||
-            doc.requestJSON?.payload ||
-            doc.requestJSON;
+        const body = RerunRequestSchema.safeParse(req.body || {});
+        if (!body.success) {
+            return res.status(422).json({
+                error: 'Validation failed',
+                message: 'Invalid rerun request',
+                details: formatIssues(body.error),
+            });
+        }
+        const { overrides, userId, run, specVersion } = body.data;
 
-        // Prepare headers with security and idempotency
-        const headers = {
-            'Content-Type': 'application/json',
-            'User-Agent': 'eBRT-Backend/1.0.0',
-            'Idempotency-Key': doc._id.toString(),
-        };
+        const parent = await simulations.findById(id);
+        if (!parent) {
+            return res.status(404).json({ error: 'Record not found', message: `Simulation with id ${id} not found` });
+        }
 
-        // Add HMAC signature if secret is configured
-        if (config.SHARED_SECRET) {
-            const signature = createHmacSignature(payloadToSend, config.SHARED_SECRET);
-            if (signature) {
-                headers['X-Signature'] = signature;
+        // Rebuild against the parent's spec unless another version is requested
+        let entry;
+        try {
+            entry = specVersion ? specs.resolve(specVersion) : specForDoc(parent);
+        } catch (e) {
+            return res.status(422).json({ error: 'Unknown spec version', message: e.message });
+        }
+
+        const inputData = deepMerge(parent.inputData, overrides);
+        const invalid = checkInputData(inputData, entry, { message: 'Input data validation failed after applying overrides' });
+        if (invalid) return res.status(422).json(invalid);
+
+        let prepared;
+        try {
+            prepared = buildBackendPayload(await expandCycleInputs(inputData, entry), entry);
+        } catch (e) {
+            return res.status(e.status || 422).json({ error: 'Invalid input', message: e.message });
+        }
+
+        const parentPayload = parent.preparedPayload || parent.requestJSON?.payload || {};
+        let doc = await createSimulationRecord({
+            userId: userId !== undefined ? userId : parent.userId,
+            inputData,
+            prepared,
+            entry,
+            parentId: parent._id,
+        });
+        if (run) doc = await jobQueue.enqueue(doc._id);
+
+        res.status(201).json({
+            id: doc._id,
+            parentId: parent._id,
+            message: run ? 'Simulation cloned and queued' : 'Simulation cloned',
+            status: doc.status,
+            specVersion: doc.specVersion,
+            diff: diffObjects(parentPayload, prepared),
+            timestamp: doc.createdAt,
+        });
+    } catch (err) {
+        console.error('❌ Rerun error:', err);
+        res.status(500).json({ error: 'Internal Server Error', message: 'Failed to rerun simulation' });
+    }
+});
+
+/* ========= Batches ========= */
+
+/**
+ * Apply a sweep point ({ 'Group.BackendKey': value }) to inputData. UI-key aliases of the
+ * swept keys are dropped, otherwise mapInputToBackend would let them win over the point value.
+ */
+function applyBackendOverrides(inputData, point, { uiMap } = specs.current()) {
+    const merged = deepMerge(inputData, pointToOverrides(point));
+    for (const path of Object.keys(point)) {
+        const [group, backendKey] = path.split('.');
+        for (const [uiKey, mappedKey] of Object.entries(uiMap[group] || {})) {
+            if (mappedKey === backendKey && uiKey !== backendKey && merged[group]) {
+                delete merged[group][uiKey];
             }
         }
+    }
+    return merged;
+}
 
-        let response;
+// Expand a parameter sweep into simulations (one per point) and queue them
+app.post('/api/batches', async (req, res) => {
+    try {
+        const body = BatchRequestSchema.safeParse(req.body || {});
+        if (!body.success) {
+            return res.status(422).json({
+                error: 'Validation failed',
+                message: 'Invalid batch request',
+                details: formatIssues(body.error),
+            });
+        }
+        const { userId, name, inputData, parameters, mode, samples, seed, run } = body.data;
+        // Resolve once so every point of the batch uses the same spec, even across a hot reload
+        const entry = specs.current();
+
+        const baseInvalid = checkInputData(inputData, entry, { message: 'Base input data validation failed' });
+        if (baseInvalid) return res.status(422).json(baseInvalid);
+
+        // A broken drive cycle reference would fail every point; report it once
+        const cycleCache = new Map();
         try {
-            response = await axios.post(config.VALIDATOR_URL, payloadToSend, {
-                timeout: config.REQUEST_TIMEOUT,
-                headers,
+            await expandCycleInputs(inputData, entry, cycleCache);
+        } catch (e) {
+            return res.status(e.status || 422).json({ error: 'Invalid input', message: e.message });
+        }
+
+        // Sweeps may only target keys the backend payload actually carries
+        const unknown = parameters
+            .map(p => p.path)
+            .filter(path => {
+                const [group, key] = path.split('.');
+                const tplGroup = entry.spec.backend_payload_template[group];
+                return !tplGroup || !Object.prototype.hasOwnProperty.call(tplGroup, key) || entry.calculatedKeys.has(path);
             });
-        } catch (validatorErr) {
-            console.error('❌ Validator request failed:', validatorErr.message);
-
-            doc.status = 'failed';
-            doc.error = validatorErr.message;
-            await doc.save();
-
-            const status = validatorErr.response?.status || 502;
-            const data = validatorErr.response?.data || { error: 'Validator unreachable' };
-            return res.status(status).json({
-                error: 'Validator error',
-                message: validatorErr.message,
-                detail: data,
+        if (unknown.length) {
+            return res.status(422).json({
+                error: 'Validation failed',
+                message: `Unknown or non-sweepable backend keys: ${unknown.join(', ')}`,
             });
         }
 
-        const validated = response.data;
-        
-        // Validate validator response against schema
+        let points;
         try {
-            const parsedResponse = ValidatorResponseSchema.safeParse(validated);
-            if (!parsedResponse.success) {
-                const errors = parsedResponse.error.flatten();
-                console.error('❌ Validator response validation failed:', errors);
-                
-                doc.status = 'failed';
-                doc.error = 'Invalid validator response format';
-                await doc.save();
-                
-                return res.status(422).json({ 
-                    error: 'Invalid validator response', 
-                    message: 'Validator returned invalid response format',
-                    details: errors
-                });
+            points = expandSweep({ parameters, mode, samples, seed }, { maxPoints: config.MAX_BATCH_POINTS });
+        } catch (e) {
+            return res.status(e.status || 400).json({ error: 'Invalid sweep', message: e.message });
+        }
+
+        const batch = await batches.create({
+            userId: userId || null,
+            name: name || null,
+            mode,
+            seed: mode === 'lhs' ? seed : null,
+            parameters,
+            baseInputData: inputData,
+            points: [],
+        });
+
+        // Every point goes through the same validation + rules as a single run
+        const batchPoints = [];
+        for (const [index, values] of points.entries()) {
+            const point = { index, values, simulationId: null, error: null };
+            batchPoints.push(point);
+
+            const merged = entry.schemas.InputDataSchema.safeParse(applyBackendOverrides(inputData, values, entry));
+            if (!merged.success) {
+                point.error = formatIssues(merged.error).map(i => `${i.path}: ${i.message}`).join('; ');
+                continue;
             }
-            
-            // Use validated data
-            validated = parsedResponse.data;
-        } catch (validationError) {
-            console.error('❌ Validator response validation error:', validationError);
-            
-            doc.status = 'failed';
-            doc.error = 'Validator response validation error';
-            await doc.save();
-            
-            return res.status(422).json({ 
-                error: 'Validator response validation error', 
-                message: 'Failed to validate validator response'
+            let prepared;
+            try {
+                prepared = buildBackendPayload(await expandCycleInputs(merged.data, entry, cycleCache), entry);
+            } catch (e) {
+                point.error = e.message;
+                continue;
+            }
+
+            const doc = await createSimulationRecord({ userId, inputData: merged.data, prepared, entry, batchId: batch._id });
+            if (run) await jobQueue.enqueue(doc._id);
+            point.simulationId = doc._id;
+        }
+        await batches.update(batch._id, { points: batchPoints });
+
+        const invalid = batchPoints.filter(p => p.error).length;
+        res.status(201)
+            .location(`/api/batches/${batch._id}`)
+            .json({
+                id: batch._id,
+                message: run ? 'Batch created and queued' : 'Batch created',
+                mode,
+                points: batchPoints.length,
+                invalid,
+                timestamp: batch.createdAt,
             });
+    } catch (err) {
+        console.error('❌ Create batch error:', err);
+        res.status(500).json({ error: 'Internal Server Error', message: 'Failed to create batch' });
+    }
+});
+
+// Batch progress and a results table (one row per point)
+app.get('/api/batches/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidId(id)) {
+            return res.status(400).json({ error: 'Invalid ID format', message: 'Please provide a valid batch ID' });
+        }
+        const batch = await batches.findById(id);
+        if (!batch) {
+            return res.status(404).json({ error: 'Record not found', message: `Batch with id ${id} not found` });
         }
 
-        doc.validatedResponse = validated;
-        doc.status = 'completed';
-        doc.error = null;
-        await doc.save();
+        const sims = await simulations.findByBatch(batch._id);
+        const simById = new Map(sims.map(s => [String(s._id), s]));
+        const invalid = batch.points.filter(p => p.error).length;
+
+        const metricKeys = new Set();
+        const rows = batch.points.map(point => {
+            const sim = point.simulationId ? simById.get(String(point.simulationId)) : null;
+            const metrics = sim?.validatedResponse?.metrics || null;
+            if (metrics) Object.keys(metrics).forEach(k => metricKeys.add(k));
+            return {
+                index: point.index,
+                simulationId: point.simulationId,
+                values: point.values,
+                status: point.error ? 'invalid' : (sim?.status || 'missing'),
+                error: point.error || sim?.error || null,
+                metrics,
+            };
+        });
 
-        const outputPath = path.join(outputDir, `${doc._id}.json`);
-        try {
-            fs.writeFileSync(outputPath, JSON.stringify(validated, null, 2), 'utf-8');
-            console.log(`📄 Saved output JSON: ${outputPath}`);
-        } catch (fileError) {
-            console.error('Failed to write output file:', fileError);
+        res.json({
+            id: batch._id,
+            name: batch.name,
+            userId: batch.userId,
+            mode: batch.mode,
+            seed: batch.seed,
+            parameters: batch.parameters,
+            ...summarizeProgress(sims, invalid),
+            table: {
+                columns: [...batch.parameters.map(p => p.path), 'status', ...metricKeys],
+                rows,
+            },
+            createdAt: batch.createdAt,
+        });
+    } catch (err) {
+        console.error('❌ Get batch error:', err);
+        res.status(500).json({ error: 'Internal Server Error', message: 'Failed to retrieve batch' });
+    }
+});
+
+// List past simulations (filters + cursor pagination, summaries only)
+app.get('/api/simulations', async (req, res) => {
+    const parsed = SimulationListQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+        return res.status(422).json({
+            error: 'Validation failed',
+            message: 'Invalid query parameters',
+            details: parsed.error.flatten(),
+        });
+    }
+    try {
+        const page = await listSimulations(simulations, parsed.data, specs.current().spec);
+        res.json(page);
+    } catch (err) {
+        if (err.status === 400) {
+            return res.status(400).json({ error: 'Invalid cursor', message: err.message });
         }
+        console.error('❌ List simulations error:', err);
+        res.status(500).json({ error: 'Internal Server Error', message: 'Failed to list simulations' });
+    }
+});
 
-        res.json({ id: doc._id, message: 'Data validated successfully', status: doc.status, timestamp: doc.updatedAt });
+// Compare several runs: input differences, metric deltas, resampled timeseries (first id = baseline)
+app.get('/api/compare', async (req, res) => {
+    const parsed = CompareQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+        return res.status(422).json({
+            error: 'Validation failed',
+            message: 'ids must list 2 to 10 distinct simulation IDs',
+            details: parsed.error.flatten(),
+        });
+    }
+    try {
+        const { ids, step } = parsed.data;
+        const found = await simulations.findByIds(ids);
+        const byId = new Map(found.map(d => [String(d._id), d]));
+        const missing = ids.filter(id => !byId.has(id));
+        if (missing.length) {
+            return res.status(404).json({ error: 'Record not found', message: `Simulations not found: ${missing.join(', ')}` });
+        }
+        const docs = ids.map(id => byId.get(id));
+        res.json(compareSimulations(docs, specForDoc(docs[0]).spec, { step }));
     } catch (err) {
-        console.error('❌ Send to validator error:', err);
-        res.status(500).json({ error: 'Internal Server Error', message: 'Failed to send data to validator' });
+        console.error('❌ Compare error:', err);
+        res.status(500).json({ error: 'Internal Server Error', message: 'Failed to compare simulations' });
     }
 });
 
@@ -581,19 +1186,26 @@ app.post('/api/send-to-validator', async (req, res) => {
 app.get('/api/results/:id', async (req, res) => {
     try {
         const { id } = req.params;
-        if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+        if (!id || !isValidId(id)) {
             return res.status(400).json({ error: 'Invalid ID format', message: 'Please provide a valid simulation ID' });
         }
-        const doc = await Simulation.findById(id).exec();
+        const doc = await simulations.findById(id);
         if (!doc) {
             return res.status(404).json({ error: 'Record not found', message: `Simulation with id ${id} not found` });
         }
         res.json({
             id: doc._id,
+            parentId: doc.parentId,
             status: doc.status,
+            specVersion: doc.specVersion || doc.requestJSON?.version || null,
             preparedPayload: doc.preparedPayload || null,
+            calculated: calculateFields(doc.preparedPayload || doc.requestJSON?.payload, specForDoc(doc).spec),
             validatedResponse: doc.validatedResponse || null,
             error: doc.error,
+            progress: doc.progress,
+            queuedAt: doc.queuedAt,
+            startedAt: doc.startedAt,
+            completedAt: doc.completedAt,
             createdAt: doc.createdAt,
             updatedAt: doc.updatedAt,
         });
@@ -603,6 +1215,266 @@ app.get('/api/results/:id', async (req, res) => {
     }
 });
 
+// Battery state of health and end-of-life projection from a completed run's daily duty
+app.get('/api/results/:id/aging', async (req, res) => {
+    const { id } = req.params;
+    if (!isValidId(id)) {
+        return res.status(400).json({ error: 'Invalid ID format', message: 'Please provide a valid simulation ID' });
+    }
+    const parsed = AgingQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+        return res.status(422).json({ error: 'Validation failed', message: 'Invalid aging query', details: formatIssues(parsed.error) });
+    }
+    try {
+        const doc = await simulations.findById(id);
+        if (!doc) {
+            return res.status(404).json({ error: 'Record not found', message: `Simulation with id ${id} not found` });
+        }
+        if (!doc.validatedResponse) {
+            return res.status(409).json({ error: 'Results not available', message: `Simulation ${id} has no results yet (status: ${doc.status})` });
+        }
+        const payload = doc.preparedPayload || doc.requestJSON?.payload;
+        res.json({ id: doc._id, ...projectAging(payload, doc.validatedResponse, parsed.data) });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.status === 409 ? 'Results not available' : 'Aging not available', message: err.message });
+        }
+        console.error('❌ Battery aging error:', err);
+        res.status(500).json({ error: 'Internal Server Error', message: 'Failed to project battery aging' });
+    }
+});
+
+// Fleet scenario: the run scaled to the Scenario_data timetable, with depot charging needs
+app.get('/api/results/:id/fleet', async (req, res) => {
+    const { id } = req.params;
+    if (!isValidId(id)) {
+        return res.status(400).json({ error: 'Invalid ID format', message: 'Please provide a valid simulation ID' });
+    }
+    try {
+        const doc = await simulations.findById(id);
+        if (!doc) {
+            return res.status(404).json({ error: 'Record not found', message: `Simulation with id ${id} not found` });
+        }
+        if (!doc.validatedResponse) {
+            return res.status(409).json({ error: 'Results not available', message: `Simulation ${id} has no results yet (status: ${doc.status})` });
+        }
+        const payload = doc.preparedPayload || doc.requestJSON?.payload;
+        res.json({ id: doc._id, ...projectFleet(payload, doc.validatedResponse) });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.status === 409 ? 'Results not available' : 'Fleet scenario not available', message: err.message });
+        }
+        console.error('❌ Fleet scenario error:', err);
+        res.status(500).json({ error: 'Internal Server Error', message: 'Failed to project the fleet scenario' });
+    }
+});
+
+// Export results: csv (timeseries), xlsx (inputs/metrics/timeseries sheets) or json bundle
+const EXPORT_FORMATS = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    json: 'application/json; charset=utf-8',
+};
+
+app.get('/api/results/:id/export', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const format = String(req.query.format || 'json').toLowerCase();
+        if (!isValidId(id)) {
+            return res.status(400).json({ error: 'Invalid ID format', message: 'Please provide a valid simulation ID' });
+        }
+        if (!EXPORT_FORMATS[format]) {
+            return res.status(400).json({ error: 'Invalid format', message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+        }
+
+        const doc = await simulations.findById(id);
+        if (!doc) {
+            return res.status(404).json({ error: 'Record not found', message: `Simulation with id ${id} not found` });
+        }
+        if (format === 'csv' && !doc.validatedResponse?.timeseries) {
+            return res.status(409).json({ error: 'Results not available', message: `Simulation ${id} has no results yet (status: ${doc.status})` });
+        }
+
+        let body;
+        if (format === 'csv') body = timeseriesToCsv(doc.validatedResponse.timeseries);
+        else if (format === 'xlsx') body = await toXlsx(doc, specForDoc(doc).spec);
+        else body = JSON.stringify(toJsonBundle(doc, specForDoc(doc).spec), null, 2);
+
+        res.set({
+            'Content-Type': EXPORT_FORMATS[format],
+            'Content-Disposition': `attachment; filename="${sanitizeFilename(`simulation-${id}.${format}`)}"`,
+        });
+        res.send(body);
+    } catch (err) {
+        console.error('❌ Export error:', err);
+        res.status(500).json({ error: 'Internal Server Error', message: 'Failed to export simulation results' });
+    }
+});
+
+// Printable report: self-contained HTML (default) or PDF (?format=pdf, needs puppeteer)
+app.get('/api/results/:id/report', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const format = String(req.query.format || 'html').toLowerCase();
+        if (!isValidId(id)) {
+            return res.status(400).json({ error: 'Invalid ID format', message: 'Please provide a valid simulation ID' });
+        }
+        if (!['html', 'pdf'].includes(format)) {
+            return res.status(400).json({ error: 'Invalid format', message: 'format must be html or pdf' });
+        }
+
+        const doc = await simulations.findById(id);
+        if (!doc) {
+            return res.status(404).json({ error: 'Record not found', message: `Simulation with id ${id} not found` });
+        }
+
+        const html = renderReport(doc, specForDoc(doc).spec);
+        if (format === 'html') {
+            return res.type('html').send(html);
+        }
+
+        try {
+            const pdf = await renderPdf(html);
+            res.set({
+                'Content-Type': 'application/pdf',
+                'Content-Disposition': `attachment; filename="${sanitizeFilename(`simulation-${id}-report.pdf`)}"`,
+            });
+            res.send(Buffer.from(pdf));
+        } catch (e) {
+            if (e.status === 501) return res.status(501).json({ error: 'Not Implemented', message: e.message });
+            throw e;
+        }
+    } catch (err) {
+        console.error('❌ Report error:', err);
+        res.status(500).json({ error: 'Internal Server Error', message: 'Failed to render simulation report' });
+    }
+});
+
+// Stream status changes for a simulation as Server-Sent Events
+// Events: status (state change), progress (0..1), completed, failed. The stream ends on completed/failed.
+app.get('/api/results/:id/stream', async (req, res) => {
+    const { id } = req.params;
+    if (!id || !isValidId(id)) {
+        return res.status(400).json({ error: 'Invalid ID format', message: 'Please provide a valid simulation ID' });
+    }
+
+    let doc;
+    try {
+        doc = await simulations.findById(id);
+    } catch (err) {
+        console.error('❌ Stream results error:', err);
+        return res.status(500).json({ error: 'Internal Server Error', message: 'Failed to open status stream' });
+    }
+    if (!doc) {
+        return res.status(404).json({ error: 'Record not found', message: `Simulation with id ${id} not found` });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no', // disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    let lastStatus = doc.status;
+    let closed = false;
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+    function close() {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        jobQueue.events.off('update', onUpdate);
+        res.end();
+    }
+
+    function onUpdate(update) {
+        if (update.id !== id || closed) return;
+        if (update.status === 'completed' || update.status === 'failed') {
+            send(update.status, update);
+            return close();
+        }
+        send(update.status !== lastStatus ? 'status' : 'progress', update);
+        lastStatus = update.status;
+    }
+
+    // Initial snapshot so late subscribers see the current state
+    const snapshot = {
+        id,
+        status: doc.status,
+        progress: doc.progress,
+        error: doc.error,
+        timestamp: new Date().toISOString(),
+    };
+    send('status', snapshot);
+    if (doc.status === 'completed' || doc.status === 'failed') {
+        send(doc.status, snapshot);
+        clearInterval(heartbeat);
+        return res.end();
+    }
+
+    jobQueue.events.on('update', onUpdate);
+    req.on('close', close);
+});
+
+/* ========= Total Cost of Ownership ========= */
+
+const prices = createPriceTables({ file: config.PRICES_PATH, defaultsFile: path.resolve(__dirname, '..', 'json', 'prices.json') });
+
+// Price tables in use; `source` is "local" when PRICES_PATH holds tables, else "defaults"
+app.get('/api/tco/prices', (req, res) => {
+    res.json({ source: prices.source(), prices: prices.get() });
+});
+
+/**
+ * Per-bus and per-fleet TCO over a horizon from a completed run, price tables and the aging
+ * projection. `pricesFor(req)` gives { tables, source }, so a request can bring its own tables.
+ */
+function tcoRoute(pricesFor) {
+    return async (req, res) => {
+        const { id } = req.params;
+        if (!isValidId(id)) {
+            return res.status(400).json({ error: 'Invalid ID format', message: 'Please provide a valid simulation ID' });
+        }
+        const parsed = TcoQuerySchema.safeParse(req.query);
+        if (!parsed.success) {
+            return res.status(422).json({ error: 'Validation failed', message: 'Invalid TCO query', details: formatIssues(parsed.error) });
+        }
+        let priced;
+        try {
+            priced = pricesFor(req);
+        } catch (err) {
+            return res.status(err.status || 422).json({ error: 'Validation failed', message: err.message, details: err.details });
+        }
+        try {
+            const doc = await simulations.findById(id);
+            if (!doc) {
+                return res.status(404).json({ error: 'Record not found', message: `Simulation with id ${id} not found` });
+            }
+            if (!doc.validatedResponse) {
+                return res.status(409).json({ error: 'Results not available', message: `Simulation ${id} has no results yet (status: ${doc.status})` });
+            }
+            const payload = doc.preparedPayload || doc.requestJSON?.payload;
+            res.json({ id: doc._id, pricesSource: priced.source, ...computeTco(payload, doc.validatedResponse, priced.tables, parsed.data) });
+        } catch (err) {
+            if (err.status) {
+                return res.status(err.status).json({ error: err.status === 409 ? 'Results not available' : 'TCO not available', message: err.message });
+            }
+            console.error('❌ TCO error:', err);
+            res.status(500).json({ error: 'Internal Server Error', message: 'Failed to compute the total cost of ownership' });
+        }
+    };
+}
+
+app.get('/api/results/:id/tco', tcoRoute(() => ({ tables: prices.get(), source: prices.source() })));
+
+// The same TCO priced with the request's own tables ({ prices }); the server's tables are untouched
+app.post('/api/results/:id/tco', tcoRoute(req => ({ tables: checkTables(req.body?.prices), source: 'request' })));
+
 /* ========= Errors ========= */
 app.use((err, req, res, next) => {
     console.error('❌ Unhandled error:', err);
@@ -624,14 +1496,21 @@ app.use((req, res) => {
 /* ========= Start ========= */
 async function start() {
     try {
-        console.log('🔌 Connecting to MongoDB...');
-        await mongoose.connect(config.MONGODB_URI, {
-            useNewUrlParser: true,
-            useUnifiedTopology: true,
-            serverSelectionTimeoutMS: 5000,
-            socketTimeoutMS: 45000,
-        });
-        console.log('✅ Connected to MongoDB successfully');
+        console.log(`🗄️  Storage backend: ${storage.kind}`);
+        try {
+            await storage.connect();
+        } catch (e) {
+            if (storage.kind === 'mongo') {
+                console.error('💡 Set STORAGE_BACKEND=file or STORAGE_BACKEND=memory to run without MongoDB');
+            }
+            throw e;
+        }
+        if (storage.kind === 'memory') {
+            console.warn('⚠️  Using in-memory store: data will not persist between restarts.');
+        }
+
+        await jobQueue.start();
+        if (config.SPEC_WATCH) specs.watch();
 
         const server = app.listen(config.PORT, () => {
             console.log(`🚀 Server running on http://localhost:${config.PORT}`);
@@ -640,25 +1519,14 @@ async function start() {
             console.log(`📄 Spec path: ${config.SPEC_PATH}`);
         });
 
-        // MongoDB error handling with fallback for development
-        mongoose.connection.on('error', (e) => {
-            console.warn('⚠️  MongoDB connection error:', e.message);
-            if (config.NODE_ENV !== 'production') {
-                console.warn('⚠️  Using in-memory store for development.');
-                console.warn('⚠️  Data will not persist between restarts.');
-                // Note: In a real implementation, you could add an in-memory store here
-                // For now, we'll let the server run but operations will fail gracefully
-            }
-        });
-
         process.on('SIGTERM', () => {
             console.log('🛑 SIGTERM received, shutting down gracefully');
-            server.close(() => {
+            server.close(async () => {
+                specs.unwatch();
+                await jobQueue.stop();
                 console.log('✅ Server closed');
-                mongoose.connection.close(() => {
-                    console.log('✅ Database connection closed');
-                    process.exit(0);
-                });
+                await storage.close();
+                process.exit(0);
             });
         });
     } catch (err) {
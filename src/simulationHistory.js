@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+
+/**
+ * Simulation history listing: filters, cursor pagination and lightweight summaries.
+ *
+ * Cursors are opaque base64url strings holding the sort value and _id of the last
+ * item on the page, so pages stay stable while new simulations are being created.
+ */
+
+function encodeCursor(sortValue, id) {
+    const v = sortValue instanceof Date ? sortValue.toISOString() : sortValue;
+    return Buffer.from(JSON.stringify({ v, id: String(id) })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+    try {
+        const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+        if (!mongoose.Types.ObjectId.isValid(id)) throw new Error('bad id');
+        const value = sort === 'createdAt' ? new Date(v) : Number(v);
+        if (value instanceof Date ? isNaN(value) : !Number.isFinite(value)) throw new Error('bad value');
+        return { value, id };
+    } catch (e) {
+        const err = new Error('Invalid pagination cursor');
+        err.status = 400;
+        throw err;
+    }
+}
+
+/**
+ * Build the MongoDB match stage from parsed SimulationListQuerySchema values
+ */
+function buildFilter(query) {
+    const match = {};
+    if (query.status) match.status = { $in: query.status };
+    if (query.userId) match.userId = query.userId;
+    if (query.cycleType) match['preparedPayload.Driving_Cycle.Cycle_Type'] = { $in: query.cycleType };
+    if (query.city) {
+        // City_Name may hold the city name or its enums.cities id
+        const asNumber = Number(query.city);
+        match['preparedPayload.Driving_Cycle.City_Name'] = Number.isFinite(asNumber)
+            ? { $in: [query.city, asNumber] }
+            : query.city;
+    }
+    if (query.specVersion) match['requestJSON.version'] = query.specVersion;
+    if (query.createdFrom || query.createdTo) {
+        match.createdAt = {};
+        if (query.createdFrom) match.createdAt.$gte = query.createdFrom;
+        if (query.createdTo) match.createdAt.$lte = query.createdTo;
+    }
+    return match;
+}
+
+/**
+ * Aggregation pipeline for one page. Fetches limit + 1 rows to detect a next page.
+ * Duration sorting uses durationMs with never-finished runs treated as -1.
+ */
+function buildListPipeline(query) {
+    const sortKey = query.sort === 'duration' ? 'durationSort' : 'createdAt';
+    const dir = query.order === 'asc' ? 1 : -1;
+    const op = dir === 1 ? '$gt' : '$lt';
+
+    const pipeline = [{ $match: buildFilter(query) }];
+    if (sortKey === 'durationSort') {
+        pipeline.push({ $addFields: { durationSort: { $ifNull: ['$durationMs', -1] } } });
+    }
+    if (query.cursor) {
+        const { value, id: cursorId } = decodeCursor(query.cursor, query.sort);
+        const id = new mongoose.Types.ObjectId(cursorId);
+        pipeline.push({
+            $match: {
+                $or: [
+                    { [sortKey]: { [op]: value } },
+                    { [sortKey]: value, _id: { [op]: id } },
+                ],
+            },
+        });
+    }
+    pipeline.push(
+        { $sort: { [sortKey]: dir, _id: dir } },
+        { $limit: query.limit + 1 },
+        // Summaries only: never ship timeseries or the full payload in listings
+        {
+            $project: {
+                userId: 1, parentId: 1, status: 1, error: 1, progress: 1, durationMs: 1,
+                createdAt: 1, updatedAt: 1, completedAt: 1, durationSort: 1,
+                'preparedPayload.Driving_Cycle.Cycle_Type': 1,
+                'preparedPayload.Driving_Cycle.City_Name': 1,
+                'requestJSON.version': 1,
+                'validatedResponse.metrics': 1,
+            },
+        }
+    );
+    return pipeline;
+}
+
+/**
+ * Same query as buildListPipeline, over plain documents (in-memory and file stores)
+ */
+function applyListQuery(docs, query) {
+    const dc = doc => doc.preparedPayload?.Driving_Cycle || {};
+    const cityNumber = Number(query.city);
+    const matches = doc => {
+        if (query.status && !query.status.includes(doc.status)) return false;
+        if (query.userId && doc.userId !== query.userId) return false;
+        if (query.cycleType && !query.cycleType.includes(dc(doc).Cycle_Type)) return false;
+        if (query.city) {
+            const city = dc(doc).City_Name;
+            if (city !== query.city && !(Number.isFinite(cityNumber) && city === cityNumber)) return false;
+        }
+        if (query.specVersion && doc.requestJSON?.version !== query.specVersion) return false;
+        if (query.createdFrom && doc.createdAt < query.createdFrom) return false;
+        if (query.createdTo && doc.createdAt > query.createdTo) return false;
+        return true;
+    };
+
+    const byDuration = query.sort === 'duration';
+    const dir = query.order === 'asc' ? 1 : -1;
+    const sortValue = doc => (byDuration ? (doc.durationMs ?? -1) : new Date(doc.createdAt).getTime());
+    const compare = (a, b) => {
+        const av = sortValue(a), bv = sortValue(b);
+        if (av !== bv) return (av < bv ? -1 : 1) * dir;
+        return (String(a._id) < String(b._id) ? -1 : String(a._id) > String(b._id) ? 1 : 0) * dir;
+    };
+
+    let rows = docs.filter(matches);
+    if (query.cursor) {
+        const { value, id } = decodeCursor(query.cursor, query.sort);
+        const cursorDoc = { _id: id, createdAt: value, durationMs: value };
+        rows = rows.filter(doc => compare(doc, cursorDoc) > 0);
+    }
+    return rows
+        .sort(compare)
+        .slice(0, query.limit + 1)
+        .map(doc => (byDuration ? { ...doc, durationSort: sortValue(doc) } : doc));
+}
+
+/**
+ * Lightweight view of a simulation for listings
+ */
+function toSummary(doc, spec) {
+    const dc = doc.preparedPayload?.Driving_Cycle || {};
+    const cycleType = dc.Cycle_Type ?? null;
+    const cycle = (spec?.enums?.cycle_types || []).find(c => c.id === Number(cycleType));
+    return {
+        id: doc._id,
+        userId: doc.userId ?? null,
+        parentId: doc.parentId ?? null,
+        status: doc.status,
+        cycleType,
+        cycleName: cycle?.name || null,
+        city: dc.City_Name ?? null,
+        specVersion: doc.requestJSON?.version || null,
+        metrics: doc.validatedResponse?.metrics || null,
+        error: doc.error ?? null,
+        progress: doc.progress ?? null,
+        durationMs: doc.durationMs ?? null,
+        createdAt: doc.createdAt,
+        updatedAt: doc.updatedAt,
+        completedAt: doc.completedAt ?? null,
+    };
+}
+
+/**
+ * Run a listing query against the simulations repository and shape the page
+ */
+async function listSimulations(simulations, query, spec) {
+    const rows = await simulations.list(query);
+    const hasMore = rows.length > query.limit;
+    const page = hasMore ? rows.slice(0, query.limit) : rows;
+    const last = page[page.length - 1];
+    const nextCursor = hasMore && last
+        ? encodeCursor(query.sort === 'duration' ? last.durationSort : last.createdAt, last._id)
+        : null;
+
+    return {
+        items: page.map(doc => toSummary(doc, spec)),
+        pageInfo: { limit: query.limit, hasMore, nextCursor },
+    };
+}
+
+module.exports = {
+    listSimulations,
+    buildListPipeline,
+    buildFilter,
+    applyListQuery,
+    toSummary,
+    encodeCursor,
+    decodeCursor,
+};
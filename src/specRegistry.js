@@ -0,0 +1,259 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { validateRules } = require('./rulesEngine');
+const { buildInputSchemas } = require('./validation');
+
+/**
+ * Spec registry: every spec version the server has seen, addressable by `_meta.version`.
+ *
+ * The file at `specPath` is the current spec. It is watched; a changed file is parsed and
+ * validated before it is swapped in, and a broken edit keeps the previous spec serving.
+ * Each registered version is archived to `archiveDir/<version>.json` so simulations pinned
+ * to an older version can still be rebuilt, exported and reported after a restart.
+ *
+ * A version's content is immutable while the server runs: a hot reload that changes the
+ * spec without bumping `_meta.version` is rejected. At startup the file on disk wins.
+ */
+
+/**
+ * Lookup tables derived from ui_schema:
+ * group -> { uiKey -> backendKey }, the set of calculated "group.backendKey" strings to
+ * never send, and group -> { backendKey -> field type }
+ */
+function buildFieldMaps(spec) {
+    const uiMap = {}; // group -> { uiKey: backendKey }
+    const calculatedKeys = new Set(); // group.backendKey strings to never send
+    const fieldTypeByBackendKey = {}; // group -> { backendKey: 'type' }
+
+    const ui = spec.ui_schema || {};
+    for (const [group, cfg] of Object.entries(ui)) {
+        uiMap[group] = uiMap[group] || {};
+        fieldTypeByBackendKey[group] = fieldTypeByBackendKey[group] || {};
+        const fields = cfg.fields || [];
+        for (const f of fields) {
+            // Calculated fields usually have no backend_key; they are keyed by their UI key
+            if (f.type === 'calculated' || f.show_only === true) {
+                calculatedKeys.add(`${group}.${f.backend_key || f.key}`);
+            }
+            const backendKey = f.backend_key;
+            if (!backendKey) continue;
+            uiMap[group][f.key] = backendKey;
+            fieldTypeByBackendKey[group][backendKey] = f.type || 'unknown';
+        }
+    }
+    return { uiMap, calculatedKeys, fieldTypeByBackendKey };
+}
+
+/**
+ * Structural checks a spec must pass before it is registered. Throws on the first problem.
+ */
+function validateSpec(spec, source) {
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        throw new Error(`Spec ${source} must be a JSON object`);
+    }
+    if (typeof spec._meta?.version !== 'string' || !spec._meta.version.trim()) {
+        throw new Error(`Spec ${source} is missing '_meta.version'`);
+    }
+    if (!spec.backend_payload_template) {
+        throw new Error(`Spec file ${source} is missing required 'backend_payload_template' field`);
+    }
+    if (typeof spec.backend_payload_template !== 'object') {
+        throw new Error(`Spec file ${source} has invalid 'backend_payload_template' - must be an object`);
+    }
+    for (const [group, cfg] of Object.entries(spec.ui_schema || {})) {
+        if (!Array.isArray(cfg?.fields)) {
+            throw new Error(`Spec ${source}: ui_schema.${group}.fields must be an array`);
+        }
+    }
+    if (spec.rules_engine?.rules !== undefined) {
+        const problems = validateRules(spec.rules_engine.rules);
+        if (problems.length) {
+            throw new Error(`Spec ${source} has invalid rules_engine.rules: ${problems.join('; ')}`);
+        }
+    }
+    if (!spec.ui_schema) {
+        console.warn('⚠️  Spec file missing ui_schema - some features may not work correctly');
+    }
+}
+
+function specHash(raw) {
+    return crypto.createHash('sha256').update(raw).digest('hex').slice(0, 16);
+}
+
+function createEntry(spec, raw) {
+    return {
+        version: spec._meta.version,
+        generatedAt: spec._meta.generated_at || null,
+        hash: specHash(raw),
+        loadedAt: new Date(),
+        spec,
+        ...buildFieldMaps(spec),
+        schemas: buildInputSchemas(spec), // request validation generated from ui_schema
+    };
+}
+
+function createSpecRegistry({ specPath, archiveDir, watchIntervalMs = 1000 }) {
+    const entries = new Map(); // version -> entry
+    const events = new EventEmitter();
+    let currentVersion = null;
+    let watching = false;
+
+    const archivePath = version => path.join(archiveDir, `${version.replace(/[^A-Za-z0-9._-]/g, '_')}.json`);
+
+    function archive(entry, raw) {
+        const file = archivePath(entry.version);
+        try {
+            fs.mkdirSync(archiveDir, { recursive: true });
+            fs.writeFileSync(file, raw, 'utf-8');
+        } catch (e) {
+            console.error(`Failed to archive spec ${entry.version}:`, e.message);
+        }
+    }
+
+    // Parse, validate and derive everything for a spec file; throws when any step fails
+    function readEntry(file) {
+        const raw = fs.readFileSync(file, 'utf-8');
+        const spec = JSON.parse(raw);
+        validateSpec(spec, file);
+        return { entry: createEntry(spec, raw), raw };
+    }
+
+    // Previously archived versions, so pinned simulations keep their spec across restarts
+    function loadArchive() {
+        if (!fs.existsSync(archiveDir)) return;
+        for (const name of fs.readdirSync(archiveDir).filter(n => n.endsWith('.json'))) {
+            try {
+                const { entry } = readEntry(path.join(archiveDir, name));
+                entries.set(entry.version, entry);
+            } catch (e) {
+                console.warn(`⚠️  Skipping archived spec ${name}: ${e.message}`);
+            }
+        }
+    }
+
+    /**
+     * Initial load: archive first, then SPEC_PATH as the current spec. Throws when SPEC_PATH is unusable.
+     */
+    function load() {
+        loadArchive();
+        let entry, raw;
+        try {
+            ({ entry, raw } = readEntry(specPath));
+        } catch (e) {
+            if (e.code === 'ENOENT') {
+                console.error(`❌ Spec file not found: ${specPath}`);
+                console.error(`💡 Make sure the file exists and SPEC_PATH is set correctly`);
+            } else if (e instanceof SyntaxError) {
+                console.error(`❌ Invalid JSON in spec file: ${specPath}`);
+                console.error(`💡 Check the file syntax and ensure it's valid JSON`);
+            } else {
+                console.error(`❌ Failed to load spec from ${specPath}:`, e.message);
+            }
+            throw e;
+        }
+
+        const archived = entries.get(entry.version);
+        if (archived && archived.hash !== entry.hash) {
+            console.warn(`⚠️  Spec ${entry.version} changed without a version bump; replacing the archived copy`);
+        }
+        if (!archived || archived.hash !== entry.hash) archive(entry, raw);
+        entries.set(entry.version, entry);
+        currentVersion = entry.version;
+        return entry;
+    }
+
+    /**
+     * Re-read SPEC_PATH after a change. Returns the new current entry, or null when the
+     * file was rejected (the previous spec keeps serving).
+     */
+    function reload() {
+        let entry, raw;
+        try {
+            ({ entry, raw } = readEntry(specPath));
+        } catch (e) {
+            console.error(`❌ Spec reload rejected, keeping ${currentVersion}: ${e.message}`);
+            events.emit('rejected', e);
+            return null;
+        }
+
+        const existing = entries.get(entry.version);
+        if (existing && existing.hash === entry.hash) {
+            if (currentVersion !== entry.version) {
+                currentVersion = entry.version;
+                console.log(`🔄 Spec switched back to ${entry.version}`);
+                events.emit('reload', existing);
+            }
+            return existing;
+        }
+        if (existing) {
+            const err = new Error(`Spec ${entry.version} changed without bumping _meta.version`);
+            console.error(`❌ Spec reload rejected, keeping ${currentVersion}: ${err.message}`);
+            events.emit('rejected', err);
+            return null;
+        }
+
+        archive(entry, raw);
+        entries.set(entry.version, entry);
+        const previous = currentVersion;
+        currentVersion = entry.version;
+        console.log(`🔄 Spec reloaded: ${previous} → ${entry.version}`);
+        events.emit('reload', entry);
+        return entry;
+    }
+
+    function onFileChange(curr, prev) {
+        if (curr.mtimeMs !== prev.mtimeMs || curr.size !== prev.size) reload();
+    }
+
+    // Polling watch: survives editors that replace the file instead of writing in place
+    function watch() {
+        if (watching) return;
+        watching = true;
+        fs.watchFile(specPath, { interval: watchIntervalMs, persistent: false }, onFileChange);
+    }
+
+    function unwatch() {
+        if (!watching) return;
+        watching = false;
+        fs.unwatchFile(specPath, onFileChange);
+    }
+
+    function current() {
+        return entries.get(currentVersion);
+    }
+
+    function get(version) {
+        return entries.get(version) || null;
+    }
+
+    /**
+     * Entry for an explicit version, or the current one when none is given.
+     * Unknown versions throw with status 404.
+     */
+    function resolve(version) {
+        if (!version) return current();
+        const entry = get(version);
+        if (!entry) {
+            const err = new Error(`Unknown spec version "${version}" (available: ${[...entries.keys()].join(', ')})`);
+            err.status = 404;
+            throw err;
+        }
+        return entry;
+    }
+
+    function list() {
+        return [...entries.values()].map(e => ({
+            version: e.version,
+            generatedAt: e.generatedAt,
+            hash: e.hash,
+            loadedAt: e.loadedAt,
+            current: e.version === currentVersion,
+        }));
+    }
+
+    return { load, reload, watch, unwatch, current, get, resolve, list, events };
+}
+
+module.exports = { createSpecRegistry, buildFieldMaps, validateSpec };
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStore } = require('./memoryStore');
+
+/**
+ * JSON-file store: the in-memory store, loaded from `filePath` at startup and written
+ * back after changes (coalesced per tick, atomically via a temp file + rename).
+ * Single-process only; do not point two servers at the same file.
+ */
+
+const DATE_KEYS = new Set(['createdAt', 'updatedAt', 'queuedAt', 'startedAt', 'completedAt']);
+
+function reviveDates(key, value) {
+    return DATE_KEYS.has(key) && typeof value === 'string' ? new Date(value) : value;
+}
+
+function readState(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf-8'), reviveDates);
+    } catch (e) {
+        if (e.code === 'ENOENT') return {};
+        throw new Error(`Failed to read storage file ${filePath}: ${e.message}`);
+    }
+}
+
+function createFileStore({ filePath }) {
+    let pending = false;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const store = createMemoryStore({ initial: readState(filePath), onChange: schedulePersist });
+
+    function persist() {
+        pending = false;
+        const tmp = `${filePath}.tmp`;
+        const state = { version: 1, savedAt: new Date().toISOString(), ...store.snapshot() };
+        try {
+            fs.writeFileSync(tmp, JSON.stringify(state), 'utf-8');
+            fs.renameSync(tmp, filePath);
+        } catch (e) {
+            console.error('Failed to write storage file:', e.message);
+        }
+    }
+
+    function schedulePersist() {
+        if (pending) return;
+        pending = true;
+        setImmediate(persist);
+    }
+
+    return {
+        ...store,
+        kind: 'file',
+
+        async connect() {
+            const { simulations, batches, driveCycles } = store.snapshot();
+            console.log(`📁 Loaded ${simulations.length} simulation(s), ${batches.length} batch(es) and ${driveCycles.length} drive cycle(s) from ${filePath}`);
+        },
+
+        // Flush a write still waiting for the next tick
+        async close() {
+            if (pending) persist();
+        },
+
+        status: () => 'file',
+    };
+}
+
+module.exports = { createFileStore };
@@ -0,0 +1,46 @@
+const { createMongoStore } = require('./mongoStore');
+const { createFileStore } = require('./fileStore');
+const { createMemoryStore } = require('./memoryStore');
+
+/**
+ * Persistence for simulations, batches and uploaded drive cycles, selected with STORAGE_BACKEND:
+ *   - mongo  (default) MongoDB via Mongoose
+ *   - file   JSON file under data/ (STORAGE_FILE), survives restarts, single process
+ *   - memory process memory only, for development and tests
+ *
+ * Every backend returns plain objects and implements the same repositories:
+ *
+ *   simulations: create(data), findById(id), findByIds(ids), findByBatch(batchId),
+ *                update(id, set), queue(id, set), claimNext(), requeueInterrupted(), list(query)
+ *   batches:     create(data), findById(id), update(id, set)
+ *   driveCycles: create(data), findById(id)
+ *
+ * plus connect(), close() and status(). `update` sets the given fields and returns the
+ * updated document (null when missing); `queue` does the same in one conditional step unless the
+ * document is processing or already queued (pending with queuedAt), and returns null then; `list` takes parsed SimulationListQuerySchema
+ * values and returns limit + 1 rows (see ../simulationHistory.js).
+ */
+
+const BACKENDS = ['mongo', 'file', 'memory'];
+
+function createStorage({ backend = 'mongo', mongoUri, filePath }) {
+    switch (backend) {
+        case 'mongo':
+            return createMongoStore({ uri: mongoUri });
+        case 'file':
+            return createFileStore({ filePath });
+        case 'memory':
+            return createMemoryStore();
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected one of: ${BACKENDS.join(', ')})`);
+    }
+}
+
+/**
+ * Ids are ObjectId hex strings in every backend
+ */
+function isValidId(id) {
+    return typeof id === 'string' && /^[0-9a-fA-F]{24}$/.test(id);
+}
+
+module.exports = { createStorage, isValidId, BACKENDS };
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const { applyListQuery } = require('../simulationHistory');
+
+/**
+ * In-memory store. Nothing survives a restart; meant for development and tests.
+ * Documents are cloned on the way in and out so callers never share state with the store.
+ *
+ * `initial` seeds the collections and `onChange` is called after every write
+ * (used by the file store to persist).
+ */
+
+// Same defaults as the Mongoose schemas in ./mongoStore.js
+const SIMULATION_DEFAULTS = {
+    userId: null,
+    parentId: null,
+    batchId: null,
+    specVersion: null,
+    specHash: null,
+    preparedPayload: null,
+    validatedResponse: null,
+    status: 'pending',
+    error: null,
+    queuedAt: null,
+    startedAt: null,
+    completedAt: null,
+    attempts: 0,
+    progress: 0,
+    durationMs: null,
+};
+
+const BATCH_DEFAULTS = {
+    userId: null,
+    name: null,
+    seed: null,
+    points: [],
+};
+
+const DRIVE_CYCLE_DEFAULTS = {
+    userId: null,
+    name: null,
+    filename: null,
+    altitude_m: null,
+    units: null,
+    warnings: [],
+};
+
+let counter = crypto.randomInt(0xffffff);
+const processId = crypto.randomBytes(5).toString('hex');
+
+/**
+ * 24-hex id with the ObjectId layout (seconds, process, counter) so ids sort by creation
+ * time and pass the same validation as MongoDB ids
+ */
+function newId() {
+    counter = (counter + 1) % 0x1000000;
+    const seconds = Math.floor(Date.now() / 1000).toString(16).padStart(8, '0');
+    return seconds + processId + counter.toString(16).padStart(6, '0');
+}
+
+const clone = value => (value == null ? value : structuredClone(value));
+
+function createCollection(defaults, docs, onChange) {
+    const byId = new Map(docs.map(d => [String(d._id), d]));
+
+    return {
+        byId,
+
+        async create(data) {
+            const now = new Date();
+            const doc = { ...clone(defaults), ...clone(data), _id: newId(), createdAt: now, updatedAt: now };
+            byId.set(doc._id, doc);
+            onChange();
+            return clone(doc);
+        },
+
+        async findById(id) {
+            return clone(byId.get(String(id)) || null);
+        },
+
+        async update(id, set) {
+            const doc = byId.get(String(id));
+            if (!doc) return null;
+            Object.assign(doc, clone(set), { updatedAt: new Date() });
+            onChange();
+            return clone(doc);
+        },
+    };
+}
+
+function createMemoryStore({ initial = {}, onChange = () => {} } = {}) {
+    const sims = createCollection(SIMULATION_DEFAULTS, initial.simulations || [], onChange);
+    const batchCollection = createCollection(BATCH_DEFAULTS, initial.batches || [], onChange);
+    const cycleCollection = createCollection(DRIVE_CYCLE_DEFAULTS, initial.driveCycles || [], onChange);
+
+    const simulations = {
+        create: sims.create,
+        findById: sims.findById,
+        update: sims.update,
+
+        async findByIds(ids) {
+            return ids.map(id => sims.byId.get(String(id))).filter(Boolean).map(clone);
+        },
+
+        async findByBatch(batchId) {
+            return [...sims.byId.values()]
+                .filter(d => String(d.batchId) === String(batchId))
+                .map(d => ({
+                    _id: d._id,
+                    status: d.status,
+                    progress: d.progress,
+                    error: d.error,
+                    validatedResponse: d.validatedResponse ? { metrics: clone(d.validatedResponse.metrics) } : null,
+                }));
+        },
+
+        // Synchronous between check and write, like claimNext
+        async queue(id, set) {
+            const doc = sims.byId.get(String(id));
+            if (!doc || doc.status === 'processing' || (doc.status === 'pending' && doc.queuedAt)) return null;
+            return sims.update(id, set);
+        },
+
+        // Synchronous between find and write, so the claim is atomic within the process
+        async claimNext() {
+            let next = null;
+            for (const doc of sims.byId.values()) {
+                if (doc.status !== 'pending' || !doc.queuedAt) continue;
+                if (!next || doc.queuedAt < next.queuedAt) next = doc;
+            }
+            if (!next) return null;
+            next.attempts = (next.attempts || 0) + 1;
+            return sims.update(next._id, { status: 'processing', startedAt: new Date(), progress: 0 });
+        },
+
+        async requeueInterrupted() {
+            let count = 0;
+            for (const doc of sims.byId.values()) {
+                if (doc.status !== 'processing') continue;
+                Object.assign(doc, { status: 'pending', startedAt: null, progress: 0, updatedAt: new Date() });
+                count++;
+            }
+            if (count) onChange();
+            return count;
+        },
+
+        async list(query) {
+            return applyListQuery([...sims.byId.values()], query).map(clone);
+        },
+    };
+
+    const batches = {
+        create: batchCollection.create,
+        findById: batchCollection.findById,
+        update: batchCollection.update,
+    };
+
+    const driveCycles = {
+        create: cycleCollection.create,
+        findById: cycleCollection.findById,
+    };
+
+    return {
+        kind: 'memory',
+        simulations,
+        batches,
+        driveCycles,
+        async connect() {},
+        async close() {},
+        status: () => 'memory',
+        // Raw documents, used by the file store to serialize
+        snapshot: () => ({
+            simulations: [...sims.byId.values()],
+            batches: [...batchCollection.byId.values()],
+            driveCycles: [...cycleCollection.byId.values()],
+        }),
+    };
+}
+
+module.exports = { createMemoryStore, newId };
@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const { buildListPipeline } = require('../simulationHistory');
+
+/**
+ * MongoDB store (Mongoose models). All reads return plain objects (lean documents).
+ */
+
+const simulationSchema = new mongoose.Schema(
+    {
+        userId: { type: String, default: null },
+        parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Simulation', default: null, index: true }, // set for re-runs
+        batchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Batch', default: null, index: true }, // set for sweep points
+        specVersion: { type: String, default: null }, // spec _meta.version the payload was built with
+        specHash: { type: String, default: null },    // content hash of that spec (see ../specRegistry.js)
+        inputData: { type: Object, required: [true, 'Input data is required'] },
+        requestJSON: { type: Object, required: [true, 'Request JSON is required'] },
+        preparedPayload: { type: Object, default: null }, // NEW: normalized payload sent to validator
+        validatedResponse: { type: Object, default: null },
+        status: { type: String, enum: ['pending', 'processing', 'completed', 'failed'], default: 'pending' },
+        error: { type: String, default: null },
+        // Job queue bookkeeping (see ../jobQueue.js)
+        queuedAt: { type: Date, default: null },
+        startedAt: { type: Date, default: null },
+        completedAt: { type: Date, default: null },
+        attempts: { type: Number, default: 0 },
+        progress: { type: Number, min: 0, max: 1, default: 0 },
+        durationMs: { type: Number, default: null }, // processing time of the last run
+    },
+    {
+        timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' },
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true },
+    }
+);
+simulationSchema.index({ status: 1, queuedAt: 1 });
+simulationSchema.index({ createdAt: -1, _id: -1 });
+simulationSchema.virtual('duration').get(function () {
+    if (this.createdAt && this.updatedAt) return this.updatedAt - this.createdAt;
+    return null;
+});
+const Simulation = mongoose.model('Simulation', simulationSchema);
+
+// Parameter sweep: one Simulation per expanded point (see ../batch.js)
+const batchSchema = new mongoose.Schema(
+    {
+        userId: { type: String, default: null },
+        name: { type: String, default: null },
+        mode: { type: String, enum: ['cartesian', 'lhs'], required: true },
+        seed: { type: Number, default: null },
+        parameters: { type: Array, required: true },
+        baseInputData: { type: Object, required: true },
+        points: [
+            {
+                _id: false,
+                index: Number,
+                values: Object,                                        // { 'Group.Key': value }
+                simulationId: { type: mongoose.Schema.Types.ObjectId, default: null },
+                error: { type: String, default: null },                // rules rejected this point
+            },
+        ],
+    },
+    { timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' } }
+);
+const Batch = mongoose.model('Batch', batchSchema);
+
+// Uploaded custom drive cycle (see ../driveCycleParser.js), referenced by Driving_Cycle.drive_cycle_id
+const driveCycleSchema = new mongoose.Schema(
+    {
+        userId: { type: String, default: null },
+        name: { type: String, default: null },
+        filename: { type: String, default: null },
+        format: { type: String, enum: ['csv', 'txt', 'xlsx'], required: true },
+        time_s: { type: [Number], required: true },
+        speed_mps: { type: [Number], required: true },
+        altitude_m: { type: [Number], default: null },
+        units: { type: Object, default: null },   // units found in the file header
+        warnings: { type: [String], default: [] },
+    },
+    { timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' } }
+);
+const DriveCycle = mongoose.model('DriveCycle', driveCycleSchema);
+
+const plain = doc => doc.toObject({ virtuals: false });
+
+function createMongoStore({ uri }) {
+    const simulations = {
+        create: async data => plain(await Simulation.create(data)),
+        findById: id => Simulation.findById(id).lean().exec(),
+        findByIds: ids => Simulation.find({ _id: { $in: ids } }).lean().exec(),
+        findByBatch: batchId => Simulation.find({ batchId })
+            .select('status progress error validatedResponse.metrics')
+            .lean()
+            .exec(),
+        update: (id, set) => Simulation.findByIdAndUpdate(id, { $set: set }, { new: true }).lean().exec(),
+
+        // Set `set` unless the job is processing or already queued, in one conditional update
+        queue: (id, set) => Simulation.findOneAndUpdate(
+            { _id: id, status: { $ne: 'processing' }, $or: [{ status: { $ne: 'pending' } }, { queuedAt: null }] },
+            { $set: set },
+            { new: true }
+        ).lean().exec(),
+
+        // Atomically claim the oldest queued job (pending → processing)
+        claimNext: () => Simulation.findOneAndUpdate(
+            { status: 'pending', queuedAt: { $ne: null } },
+            { $set: { status: 'processing', startedAt: new Date(), progress: 0 }, $inc: { attempts: 1 } },
+            { sort: { queuedAt: 1 }, new: true }
+        ).lean().exec(),
+
+        async requeueInterrupted() {
+            const result = await Simulation.updateMany(
+                { status: 'processing' },
+                { $set: { status: 'pending', startedAt: null, progress: 0 } }
+            ).exec();
+            return result.modifiedCount;
+        },
+
+        list: query => Simulation.aggregate(buildListPipeline(query)).exec(),
+    };
+
+    const batches = {
+        create: async data => plain(await Batch.create(data)),
+        findById: id => Batch.findById(id).lean().exec(),
+        update: (id, set) => Batch.findByIdAndUpdate(id, { $set: set }, { new: true }).lean().exec(),
+    };
+
+    const driveCycles = {
+        create: async data => plain(await DriveCycle.create(data)),
+        findById: id => DriveCycle.findById(id).lean().exec(),
+    };
+
+    return {
+        kind: 'mongo',
+        simulations,
+        batches,
+        driveCycles,
+
+        async connect() {
+            console.log('🔌 Connecting to MongoDB...');
+            await mongoose.connect(uri, {
+                useNewUrlParser: true,
+                useUnifiedTopology: true,
+                serverSelectionTimeoutMS: 5000,
+                socketTimeoutMS: 45000,
+            });
+            console.log('✅ Connected to MongoDB successfully');
+            mongoose.connection.on('error', (e) => {
+                console.warn('⚠️  MongoDB connection error:', e.message);
+            });
+        },
+
+        async close() {
+            await mongoose.connection.close();
+            console.log('✅ Database connection closed');
+        },
+
+        status: () => (mongoose.connection.readyState === 1 ? 'connected' : 'disconnected'),
+    };
+}
+
+module.exports = { createMongoStore };
@@ -0,0 +1,208 @@
+const { projectAging } = require('./batteryAging');
+const { busDuty } = require('./fleet');
+const { CALCULATORS } = require('./calculations');
+
+/**
+ * Total cost of ownership of a simulated configuration over `years`, from the price tables
+ * (./priceTables.js), the run's energy results and the battery aging projection.
+ *
+ * Duty: runs per bus and day from ./fleet.js busDuty, as for aging. With a fleet scenario, the
+ * timetable's depot and on-route energy, depot peak load and depot chargers required. Otherwise
+ * one bus repeats the run runsPerDay times (or over hoursPerDay) and charges at the chargers in
+ * Charger_data.
+ *
+ *   year 0      vehicle (by VehicleLength), battery (kWh · €/kWh by chemistry), motors
+ *               (Number_of_Motors · (Rated_power_kW · €/kW by type + € per unit)), chargers
+ *   years 1–N   energy (depot and on-route tariffs), demand charge on the depot peak (€/kW per
+ *               month), bus maintenance per km, charger maintenance (% of their price per year)
+ *   renewals    the battery when it no longer covers a stint between charges (aging endOfLife;
+ *               the 80 % SoH threshold when even a new pack cannot), the new pack aging from
+ *               new; chargers after lifetime_years. Only renewals inside the horizon count.
+ *
+ * Costs are discounted to year 0 at discount_rate_pct; nothing is left as residual value. Route
+ * chargers (opportunity, in-motion) serve the whole fleet; per-bus figures are the fleet's / buses.
+ */
+
+const CATEGORIES = ['vehicle', 'battery', 'motors', 'battery_replacement', 'chargers', 'energy', 'demand_charge', 'maintenance'];
+const DEFAULT_VEHICLE_LENGTH = 1; // 12 m, when the payload has no Scenario_data
+
+const round = (v, digits = 0) => Math.round(v * 10 ** digits) / 10 ** digits;
+
+function tcoError(message, status = 422) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+// Price row of a keyed table, or a 422 naming the missing id
+function priced(table, id, what) {
+    const row = table[String(id)];
+    if (!row) throw tcoError(`No ${what} price for id ${JSON.stringify(id)} (known: ${Object.keys(table).join(', ')})`);
+    return row;
+}
+
+// Years (before the horizon ends) at which something lasting `first`, then `every` years, is renewed
+function renewals(first, every, years) {
+    const at = [];
+    if (first == null || first < 0) return at;
+    for (let year = first; year < years; year += every) {
+        at.push(year);
+        if (!(every > 0)) break;
+    }
+    return at;
+}
+
+/**
+ * Daily duty of one bus: { buses, kmPerBus, depotKwhPerBus, onRouteKwhPerBus, depotPeakKw,
+ * chargers: { opportunity, in_motion, depot }, runsPerDay, fleet }
+ */
+function dailyBasis(payload, response, { runsPerDay, hoursPerDay }) {
+    const { metrics } = response;
+    const storage = payload.Energy_Storage_data || {};
+    const charger = payload.Charger_data || {};
+    const installed = (flag, count) => (charger[flag] === 1 ? charger[count] || 0 : 0);
+    const chargers = { opportunity: installed('Opp_Charger_Flag', 'Num_Opp_Charger'), in_motion: installed('IMC_Charger_Flag', 'Num_IMC_Charger') };
+
+    const duty = busDuty(payload, response, { runsPerDay, hoursPerDay });
+    const { fleet, fleetNote } = duty;
+
+    if (fleet) {
+        const { buses } = fleet.scenario;
+        return {
+            buses,
+            kmPerBus: duty.distanceKm,
+            depotKwhPerBus: fleet.daily.depotEnergyKwh / buses,
+            onRouteKwhPerBus: (fleet.daily.onRouteChargedKwh + fleet.midDayCharging.energyKwh) / buses,
+            depotPeakKw: fleet.depot.peakLoadKw,
+            chargers: { ...chargers, depot: fleet.depot.chargersRequired },
+            runsPerDay: duty.runsPerDay,
+            fleet: true,
+        };
+    }
+
+    const runs = duty.runsPerDay;
+    const consumed = duty.energyKwh;
+    const onRoute = Math.min(consumed, runs * (metrics.charged_energy_kwh || 0));
+    const windowKwh = (storage.BatteryPackStorageCapacity_kWh * (storage.MaximumSoC_pct - storage.MinimumSoC_pct)) / 100;
+    const depotKwh = Math.min(consumed - onRoute, windowKwh);
+    const depotChargers = installed('Dep_Charger_Flag', 'Num_Dep_Charger');
+    const acceptKw = ((storage.Maximum_Charging_Current_A || Infinity) * (storage.BatteryPackVoltage_V || 1)) / 1000;
+    return {
+        buses: 1,
+        kmPerBus: duty.distanceKm,
+        depotKwhPerBus: depotKwh,
+        onRouteKwhPerBus: consumed - depotKwh, // on-route chargers, and mid-day top-ups beyond the window
+        depotPeakKw: depotChargers && depotKwh > 0 ? Math.min(charger.Dep_Charger_Power_kW || 0, acceptKw) : 0,
+        chargers: { ...chargers, depot: depotChargers },
+        runsPerDay: runs,
+        fleet: false,
+        fleetNote,
+    };
+}
+
+/**
+ * TCO for a completed simulation: `payload` in backend keys, `response` its v2 validator
+ * response, `prices` the price tables. Options: years (horizon), runsPerDay or hoursPerDay,
+ * daysPerYear. Throws (status 409) for results without v2 data and (422) for configurations
+ * the price tables do not cover.
+ */
+function computeTco(payload, response, prices, { years = 12, runsPerDay, hoursPerDay, daysPerYear = 365 } = {}) {
+    const metrics = response?.metrics;
+    if (typeof metrics?.kwh_per_km !== 'number' || !(metrics.distance_km > 0)) {
+        throw tcoError('TCO needs v2 (electric) results with energy and distance', 409);
+    }
+    const storage = payload?.Energy_Storage_data || {};
+    const motor = payload?.Electric_Motor_data || {};
+    const charger = payload?.Charger_data || {};
+    const vehicleLength = payload?.Scenario_data?.VehicleLength ?? DEFAULT_VEHICLE_LENGTH;
+
+    const basis = dailyBasis(payload, response, { runsPerDay, hoursPerDay });
+    const { buses } = basis;
+
+    // Battery life: the installed pack, then new packs, on the same duty
+    const agingOptions = { years, runsPerDay, hoursPerDay, daysPerYear };
+    const aging = projectAging(payload, response, agingOptions);
+    const fresh = projectAging({ ...payload, Energy_Storage_data: { ...storage, Initial_Battery_Age_years: 0 } }, response, agingOptions);
+    const coversRoute = fresh.years[0].coversRoute;
+    const batteryRenewals = coversRoute
+        ? renewals(aging.endOfLife?.year, fresh.endOfLife?.year, years)
+        : renewals(aging.sohThreshold.year, fresh.sohThreshold.year, years);
+
+    // Prices
+    const batteryEur = storage.BatteryPackStorageCapacity_kWh * priced(prices.battery, storage.Battery_Chemistry, 'battery').eur_per_kwh;
+    const ratedKw = CALCULATORS['Electric_Motor_data.Rated_power_kW'](payload) || 0;
+    const motorsEur = (motor.Number_of_Motors || 1) * (ratedKw * priced(prices.motor, motor.Motor_Type, 'motor').eur_per_kw + prices.motor_eur_per_unit);
+    const vehicleEur = priced(prices.vehicle, vehicleLength, 'vehicle').eur;
+    const power = { opportunity: charger.Opp_Charger_Power_kW, in_motion: charger.IMC_Charger_Power_kW, depot: charger.Dep_Charger_Power_kW };
+    const chargerItems = Object.entries(basis.chargers)
+        .filter(([, count]) => count > 0)
+        .map(([type, count]) => {
+            const table = prices.chargers[type];
+            return { type, count, powerKw: power[type] || 0, eur: count * (table.eur_fixed + table.eur_per_kw * (power[type] || 0)), ...table };
+        });
+
+    // Fleet cash flow per year, discounted to year 0
+    const rate = prices.discount_rate_pct / 100;
+    const kmPerYear = basis.kmPerBus * daysPerYear * buses;
+    const yearly = [];
+    for (let year = 0; year <= years; year++) {
+        const row = Object.fromEntries(CATEGORIES.map(c => [c, 0]));
+        if (year === 0) {
+            row.vehicle = vehicleEur * buses;
+            row.battery = batteryEur * buses;
+            row.motors = motorsEur * buses;
+            row.chargers = chargerItems.reduce((a, c) => a + c.eur, 0);
+        } else {
+            row.energy = daysPerYear * buses
+                * (basis.depotKwhPerBus * prices.electricity.depot_eur_per_kwh + basis.onRouteKwhPerBus * prices.electricity.on_route_eur_per_kwh);
+            row.demand_charge = basis.depotPeakKw * prices.electricity.demand_eur_per_kw_month * 12;
+            row.maintenance = kmPerYear * prices.maintenance.bus_eur_per_km
+                + chargerItems.reduce((a, c) => a + (c.eur * c.maintenance_pct_per_year) / 100, 0);
+        }
+        if (batteryRenewals.includes(year)) row.battery_replacement = (batteryEur + prices.battery_replacement_labour_eur) * buses;
+        for (const c of chargerItems) {
+            if (renewals(c.lifetime_years, c.lifetime_years, years).includes(year)) row.chargers += c.eur;
+        }
+        const discount = (1 + rate) ** -year;
+        for (const c of CATEGORIES) row[c] = round(row[c] * discount);
+        yearly.push({ year, ...row, total: CATEGORIES.reduce((a, c) => a + row[c], 0) });
+    }
+
+    const breakdown = Object.fromEntries(CATEGORIES.map(c => [c, yearly.reduce((a, r) => a + r[c], 0)]));
+    const total = CATEGORIES.reduce((a, c) => a + breakdown[c], 0);
+    return {
+        currency: prices._meta.currency,
+        pricesVersion: prices._meta.version,
+        years,
+        discountRatePct: prices.discount_rate_pct,
+        basis: {
+            fleet: basis.fleet,
+            ...(basis.fleetNote && { fleetNote: basis.fleetNote }),
+            buses,
+            vehicleLength,
+            runsPerDay: basis.runsPerDay,
+            daysPerYear,
+            kmPerBusPerYear: round(basis.kmPerBus * daysPerYear),
+            depotKwhPerBusPerYear: round(basis.depotKwhPerBus * daysPerYear),
+            onRouteKwhPerBusPerYear: round(basis.onRouteKwhPerBus * daysPerYear),
+            depotPeakKw: basis.depotPeakKw,
+            ratedMotorPowerKw: ratedKw,
+            chargers: chargerItems.map(({ type, count, powerKw, eur }) => ({ type, count, powerKw, eur: round(eur) })),
+        },
+        battery: {
+            chemistry: aging.chemistry.name,
+            coversRoute,
+            replacedAt: coversRoute ? 'route' : 'soh',
+            replacementYears: batteryRenewals,
+        },
+        perBus: {
+            total: round(total / buses),
+            breakdown: Object.fromEntries(CATEGORIES.map(c => [c, round(breakdown[c] / buses)])),
+        },
+        fleet: { buses, total, breakdown },
+        perKm: kmPerYear > 0 ? round(total / (kmPerYear * years), 3) : null,
+        yearly,
+    };
+}
+
+module.exports = { computeTco, CATEGORIES };
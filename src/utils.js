@@ -81,6 +81,61 @@ function sanitizeFilename(filename) {
     return filename.replace(/[^a-zA-Z0-9._-]/g, '_');
 }
 
+const isPlainObject = v => v !== null && typeof v === 'object' && !Array.isArray(v) && !(v instanceof Date);
+
+/**
+ * Deep-merge `overrides` into a copy of `base`. Plain objects merge recursively;
+ * arrays and scalars (including null) replace the base value.
+ */
+function deepMerge(base, overrides) {
+    if (!isPlainObject(overrides)) return overrides === undefined ? base : overrides;
+    const out = isPlainObject(base) ? { ...base } : {};
+    for (const [k, v] of Object.entries(overrides)) {
+        if (v === undefined) continue;
+        out[k] = isPlainObject(v) ? deepMerge(out[k], v) : v;
+    }
+    return out;
+}
+
+/**
+ * Field-level diff of two nested objects. Arrays are compared as whole values.
+ * Returns [{ path: 'Group.Key', change: 'added'|'removed'|'changed', before, after }]
+ */
+function diffObjects(before, after, prefix = '') {
+    const changes = [];
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    for (const key of keys) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        const hasBefore = Object.prototype.hasOwnProperty.call(before || {}, key);
+        const hasAfter = Object.prototype.hasOwnProperty.call(after || {}, key);
+        const a = hasBefore ? before[key] : undefined;
+        const b = hasAfter ? after[key] : undefined;
+
+        if (isPlainObject(a) && isPlainObject(b)) {
+            changes.push(...diffObjects(a, b, path));
+        } else if (!hasBefore) {
+            changes.push({ path, change: 'added', before: null, after: b });
+        } else if (!hasAfter) {
+            changes.push({ path, change: 'removed', before: a, after: null });
+        } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+            changes.push({ path, change: 'changed', before: a, after: b });
+        }
+    }
+    return changes;
+}
+
+/**
+ * Flatten nested objects into { 'a.b.c': leaf }. Arrays are kept as leaf values.
+ */
+function flattenObject(obj, prefix = '', out = {}) {
+    for (const [k, v] of Object.entries(obj || {})) {
+        const path = prefix ? `${prefix}.${k}` : k;
+        if (isPlainObject(v)) flattenObject(v, path, out);
+        else out[path] = v;
+    }
+    return out;
+}
+
 module.exports = {
     createHmacSignature,
     verifyHmacSignature,
@@ -89,4 +144,7 @@ module.exports = {
     createErrorResponse,
     validateFileSize,
     sanitizeFilename,
+    deepMerge,
+    diffObjects,
+    flattenObject,
 };
@@ -1,64 +1,133 @@
 const { z } = require('zod');
 
-// Driving Cycle validation schema
-const DrivingCycle = z.object({
-    Cycle_Type: z.number().int().min(0).max(6),
-    ECO_Options: z.number().int().optional(),
-    ECO_Threshold: z.number().optional().nullable(),
-    Time_s: z.array(z.number()).optional().nullable(),
-    Speed_mps: z.array(z.number()).optional().nullable(),
-    Altitude_m: z.union([z.number(), z.array(z.number())]).optional().nullable(),
-});
+/* ===== Input schemas generated from ui_schema ===== */
 
-// Scenario data validation schema
-const ScenarioData = z.object({
-    VehicleLength: z.number().optional(),
-    Return_Trip_Distance_km: z.number().optional(),
-    Number_of_Buses_in_Fleet: z.number().optional(),
-    Average_Velocity_of_Route_kph: z.number().optional(),
-});
+// Longest accepted array-number input (a 1 Hz trace of more than a day)
+const MAX_ARRAY_LENGTH = 100000;
 
-// Energy Storage validation schema
-const EnergyStorage = z.object({
-    MaximumSoC_pct: z.number().optional(),
-    Initial_Battery_SoC_pct: z.number().optional(),
-    // Add other energy storage fields as needed
-});
+const numberArray = z.array(z.number()).max(MAX_ARRAY_LENGTH);
+
+function onStep(value, base, step) {
+    const n = (value - base) / step;
+    return Math.abs(n - Math.round(n)) < 1e-6;
+}
+
+/**
+ * Zod schema for one ui_schema field, by field type
+ */
+function fieldSchema(field, spec) {
+    const label = field.label || field.key;
+    switch (field.type) {
+        case 'slider': {
+            let schema = z.number();
+            if (typeof field.min === 'number') schema = schema.min(field.min, { message: `${label} must be at least ${field.min}` });
+            if (typeof field.max === 'number') schema = schema.max(field.max, { message: `${label} must be at most ${field.max}` });
+            if (field.step > 0) {
+                schema = schema.refine(v => onStep(v, field.min ?? 0, field.step), { message: `${label} must be in steps of ${field.step}` });
+            }
+            return schema;
+        }
+        case 'dropdown':
+        case 'radio':
+        case 'map-picker': {
+            const ids = (spec.enums?.[field.enum] || []).map(e => e.id);
+            const idSchema = z.number().int().refine(v => ids.includes(v), { message: `${label} must be one of: ${ids.join(', ')}` });
+            // The map picker may also send the name of a place that is not in the catalog
+            return field.type === 'map-picker' ? z.union([idSchema, z.string().trim().min(1)]) : idSchema;
+        }
+        case 'checkbox':
+            return z.union([z.literal([field.unchecked ?? 0, field.checked ?? 1]), z.boolean()]);
+        case 'array-number':
+            return numberArray;
+        case 'array-number-or-scalar':
+            return z.union([z.number(), numberArray]);
+        case 'constant':
+        case 'hidden-constant':
+            return z.number();
+        case 'drive-cycle-ref':
+            return z.string().regex(/^[0-9a-fA-F]{24}$/, { message: `${label} must be a drive cycle id` });
+        default:
+            return z.any();
+    }
+}
+
+/**
+ * Schema for one group. Fields are accepted under their UI key and their backend key;
+ * calculated / show-only fields and unknown keys are rejected.
+ */
+function groupSchema(group, fields, spec, { partial = false } = {}) {
+    const template = spec.backend_payload_template?.[group] || {};
+    const shape = {};
+    for (const field of fields) {
+        const label = field.label || field.key;
+        if (field.type === 'calculated' || field.show_only === true) {
+            const never = z.never({ error: `${label} is calculated and must not be sent` }).optional();
+            for (const key of new Set([field.key, field.backend_key].filter(Boolean))) shape[key] = never;
+            continue;
+        }
+        let schema = fieldSchema(field, spec);
+        // null means "not set" for fields without a template default and for array inputs
+        if (template[field.backend_key] === null || field.type.startsWith('array-')) schema = schema.nullable();
+        for (const key of new Set([field.key, field.backend_key].filter(Boolean))) shape[key] = schema.optional();
+    }
 
-// Charger data validation schema
-const ChargerData = z.object({
-    // Add charger fields as needed - these will be dynamically validated
-}).passthrough();
-
-// Motor data validation schema
-const MotorData = z.object({
-    // Add motor fields as needed
-}).passthrough();
-
-// Battery data validation schema
-const BatteryData = z.object({
-    // Add battery fields as needed
-}).passthrough();
-
-// Main input schema
-const InputDataSchema = z.object({
-    Driving_Cycle: DrivingCycle,
-    Scenario_data: ScenarioData.optional(),
-    Energy_Storage_data: EnergyStorage.optional(),
-    Charger_data: ChargerData.optional(),
-    Motor_data: MotorData.optional(),
-    Battery_data: BatteryData.optional(),
-    // Allow additional fields for flexibility
-}).passthrough();
-
-// Request schema
+    const required = fields.filter(f => f.required === true);
+    if (partial || !required.length) return z.strictObject(shape);
+    const missingGroup = { error: iss => (iss.input === undefined ? `${group} is required` : undefined) };
+    return z.strictObject(shape, missingGroup).superRefine((value, ctx) => {
+        for (const f of required) {
+            if (value[f.key] == null && value[f.backend_key] == null) {
+                ctx.addIssue({ code: 'custom', path: [f.backend_key || f.key], message: `${f.label || f.key} is required` });
+            }
+        }
+    });
+}
+
+/**
+ * Build the inputData schemas for a spec. Groups come from ui_schema; a group is required
+ * when one of its fields is marked `required`. PartialInputDataSchema applies the same field
+ * rules without `required` (for work-in-progress input, e.g. POST /api/calculate).
+ */
+function buildInputSchemas(spec) {
+    const shape = {};
+    const partialShape = {};
+    for (const [group, cfg] of Object.entries(spec.ui_schema || {})) {
+        const fields = cfg.fields || [];
+        const schema = groupSchema(group, fields, spec);
+        shape[group] = fields.some(f => f.required === true) ? schema : schema.optional();
+        partialShape[group] = groupSchema(group, fields, spec, { partial: true }).optional();
+    }
+    return { InputDataSchema: z.strictObject(shape), PartialInputDataSchema: z.strictObject(partialShape) };
+}
+
+/**
+ * Zod issues as [{ path: 'Group.Key', message }]
+ */
+function formatIssues(error) {
+    return error.issues.map(i => ({ path: i.path.join('.'), message: i.message }));
+}
+
+// Request envelope; inputData is checked against the spec's generated schema afterwards
+const InputDataObject = z.record(z.string(), z.any());
+
+// Request schema: spec-shaped inputData, or a wizard state compiled into it (see ./wizardState.js)
 const RequestSchema = z.object({
     userId: z.string().nullable().optional(),
-    inputData: InputDataSchema,
+    inputData: InputDataObject.optional(),
+    wizardState: InputDataObject.optional(),
+    specVersion: z.string().min(1).optional(), // build against a registered spec version (default: current)
+}).refine(b => !b.inputData !== !b.wizardState, { message: 'Provide exactly one of inputData or wizardState', path: ['inputData'] });
+
+// Wizard compile request (POST /api/wizard/compile)
+const WizardCompileRequestSchema = z.object({
+    wizardState: InputDataObject,
+    specVersion: z.string().min(1).optional(),
 });
 
-// Validator response schema
-const ValidatorResponseSchema = z.object({
+/* ===== Validator response contracts ===== */
+
+// v1: the original telematics-style feed (speed, rpm, fuel, load, torque)
+const ValidatorResponseV1Schema = z.object({
     version: z.string(),
     computed_at: z.string(),
     timeseries: z.object({
@@ -84,14 +153,230 @@ const ValidatorResponseSchema = z.object({
     }),
 });
 
+// v2: electric bus results. Powers are non-negative magnitudes (regen is power recovered);
+// pack current is positive when discharging; energy_kwh is the cumulative net battery energy.
+// Validators may add further numeric series and metrics.
+const V2_SERIES = [
+    'speed_ms', 'soc_pct', 'pack_current_a', 'pack_voltage_v', 'traction_power_kw',
+    'regen_power_kw', 'aux_power_kw', 'hvac_power_kw', 'energy_kwh',
+];
+
+const ChargingEventSchema = z.object({
+    type: z.enum(['opportunity', 'in_motion', 'depot']),
+    start_s: z.number().min(0),
+    end_s: z.number().min(0),
+    energy_kwh: z.number().min(0),
+    avg_power_kw: z.number().min(0).optional(),
+    soc_start_pct: z.number(),
+    soc_end_pct: z.number(),
+    location: z.string().optional(),
+    dwell_s: z.number().min(0).optional(), // time available at the charger
+    dwell_needed_s: z.number().min(0).optional(), // time it would take to put back the energy used
+}).refine(e => e.end_s >= e.start_s, { message: 'end_s must not be before start_s', path: ['end_s'] });
+
+const ViolationSchema = z.object({
+    code: z.string().min(1), // e.g. SOC_BELOW_MINIMUM
+    severity: z.enum(['warning', 'error']),
+    message: z.string(),
+    start_s: z.number().optional(),
+    end_s: z.number().optional(),
+    value: z.number().optional(),
+    limit: z.number().optional(),
+});
+
+const ValidatorResponseV2Schema = z.object({
+    version: z.string().regex(/^2\./, 'version must be 2.x'),
+    computed_at: z.string(),
+    timeseries: z.object({
+        time_s: z.array(z.number()).min(1),
+        ...Object.fromEntries(V2_SERIES.map(k => [k, z.array(z.number())])),
+    }).catchall(z.array(z.number())).superRefine((ts, ctx) => {
+        for (const [key, values] of Object.entries(ts)) {
+            if (values.length !== ts.time_s.length) {
+                ctx.addIssue({ code: 'custom', path: [key], message: `${key} must have as many points as time_s` });
+            }
+        }
+    }),
+    metrics: z.object({
+        distance_km: z.number(),
+        duration_s: z.number().optional(),
+        energy_kwh: z.number(),
+        kwh_per_km: z.number().nullable(),
+        traction_energy_kwh: z.number().optional(),
+        regen_energy_kwh: z.number().optional(),
+        aux_energy_kwh: z.number().optional(),
+        hvac_energy_kwh: z.number().optional(),
+        charged_energy_kwh: z.number().optional(),
+        soc_start_pct: z.number(),
+        soc_end_pct: z.number(),
+        soc_min_pct: z.number(),
+        peak_traction_power_kw: z.number().optional(),
+        peak_regen_power_kw: z.number().optional(),
+        avg_speed_kmh: z.number().optional(),
+        ambient_c: z.number().optional(),
+    }).catchall(z.number().nullable()),
+    charging_events: z.array(ChargingEventSchema).default([]),
+    violations: z.array(ViolationSchema).default([]),
+});
+
+// Response contracts by major version
+const VALIDATOR_RESPONSE_SCHEMAS = { 1: ValidatorResponseV1Schema, 2: ValidatorResponseV2Schema };
+
+/**
+ * Check a validator response against the contract its `version` names, if that major version
+ * is one of `accepted`. Returns { success, major, data } or { success: false, major, message, details? }.
+ */
+function parseValidatorResponse(body, accepted = [2, 1]) {
+    const major = parseInt(String(body?.version ?? ''), 10);
+    if (!VALIDATOR_RESPONSE_SCHEMAS[major] || !accepted.includes(major)) {
+        return {
+            success: false,
+            major: Number.isNaN(major) ? null : major,
+            message: `Unsupported validator response version ${JSON.stringify(body?.version ?? null)} (accepted: ${accepted.join(', ')})`,
+        };
+    }
+    const parsed = VALIDATOR_RESPONSE_SCHEMAS[major].safeParse(body);
+    if (!parsed.success) {
+        return { success: false, major, message: `Invalid v${major} validator response`, details: formatIssues(parsed.error) };
+    }
+    return { success: true, major, data: parsed.data };
+}
+
+// Re-run request: partial inputData merged over the parent simulation's inputData
+const RerunRequestSchema = z.object({
+    userId: z.string().nullable().optional(),
+    overrides: z.record(z.string(), z.any()).default({}),
+    specVersion: z.string().min(1).optional(), // default: the parent's spec version
+    run: z.boolean().default(true), // queue the new simulation right away
+});
+
+// Parameter sweep: one backend path ("Group.BackendKey") with a value list or a numeric range
+const SweepParameterSchema = z.object({
+    path: z.string().regex(/^[A-Za-z0-9_]+\.[A-Za-z0-9_]+$/, 'path must look like Group.BackendKey'),
+    values: z.array(z.union([z.number(), z.string(), z.boolean()])).min(1).optional(),
+    range: z.object({
+        from: z.number(),
+        to: z.number(),
+        step: z.number().positive(),
+    }).optional(),
+}).refine(p => !!p.values !== !!p.range, { message: 'Provide exactly one of values or range' });
+
+// Batch request (POST /api/batches)
+const BatchRequestSchema = z.object({
+    userId: z.string().nullable().optional(),
+    name: z.string().max(200).optional(),
+    inputData: InputDataObject,
+    parameters: z.array(SweepParameterSchema).min(1).max(10)
+        .refine(ps => new Set(ps.map(p => p.path)).size === ps.length, { message: 'Parameter paths must be unique' }),
+    mode: z.enum(['cartesian', 'lhs']).default('cartesian'),
+    samples: z.number().int().positive().optional(),
+    seed: z.number().int().default(1),
+    run: z.boolean().default(true),
+}).refine(b => b.mode !== 'lhs' || b.samples, { message: 'samples is required for lhs mode', path: ['samples'] });
+
+// Comma-separated query value → array of trimmed, non-empty strings
+const csv = z.string().transform(v => v.split(',').map(s => s.trim()).filter(Boolean));
+
+// Simulation history listing query (GET /api/simulations)
+const SimulationListQuerySchema = z.object({
+    status: csv.pipe(z.array(z.enum(['pending', 'processing', 'completed', 'failed']))).optional(),
+    userId: z.string().min(1).optional(),
+    cycleType: csv.pipe(z.array(z.coerce.number().int().min(0).max(6))).optional(),
+    city: z.string().min(1).optional(),
+    specVersion: z.string().min(1).optional(),
+    createdFrom: z.coerce.date().optional(),
+    createdTo: z.coerce.date().optional(),
+    sort: z.enum(['createdAt', 'duration']).default('createdAt'),
+    order: z.enum(['asc', 'desc']).default('desc'),
+    limit: z.coerce.number().int().min(1).max(100).default(20),
+    cursor: z.string().min(1).optional(),
+});
+
+// Multi-run comparison query (GET /api/compare?ids=a,b,c)
+const CompareQuerySchema = z.object({
+    ids: csv.pipe(z.array(z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid simulation ID')).min(2).max(10))
+        .refine(ids => new Set(ids).size === ids.length, { message: 'ids must be unique' }),
+    step: z.coerce.number().positive().optional(), // resampling step in seconds
+});
+
+// Battery aging projection query (GET /api/results/:id/aging); runsPerDay overrides hoursPerDay
+const AgingQuerySchema = z.object({
+    years: z.coerce.number().int().min(1).max(30).default(15),
+    runsPerDay: z.coerce.number().int().min(1).max(500).optional(),
+    hoursPerDay: z.coerce.number().positive().max(24).optional(),
+    daysPerYear: z.coerce.number().int().min(1).max(366).optional(),
+}).refine(q => q.runsPerDay === undefined || q.hoursPerDay === undefined, {
+    message: 'Give either runsPerDay or hoursPerDay, not both',
+    path: ['runsPerDay'],
+});
+
+// Total cost of ownership query (GET /api/results/:id/tco); runsPerDay / hoursPerDay apply without a fleet scenario
+const TcoQuerySchema = z.object({
+    years: z.coerce.number().int().min(1).max(30).default(12),
+    runsPerDay: z.coerce.number().int().min(1).max(500).optional(),
+    hoursPerDay: z.coerce.number().positive().max(24).optional(),
+    daysPerYear: z.coerce.number().int().min(1).max(366).default(365),
+}).refine(q => q.runsPerDay === undefined || q.hoursPerDay === undefined, {
+    message: 'Give either runsPerDay or hoursPerDay, not both',
+    path: ['runsPerDay'],
+});
+
+// Price tables for the TCO (json/prices.json, PRICES_PATH, POST /api/results/:id/tco); keyed tables use the spec enum ids
+const price = z.number().min(0);
+const byEnumId = entry => z.record(z.string().regex(/^\d+$/, { message: 'keys must be enum ids' }), entry);
+const chargerPrices = z.object({
+    eur_fixed: price,
+    eur_per_kw: price,
+    maintenance_pct_per_year: price.max(100),
+    lifetime_years: z.number().int().min(1),
+});
+const PriceTablesSchema = z.object({
+    _meta: z.looseObject({ version: z.string().min(1), currency: z.string().min(1) }),
+    vehicle: byEnumId(z.object({ name: z.string().optional(), eur: price })),
+    battery: byEnumId(z.object({ name: z.string().optional(), eur_per_kwh: price })),
+    battery_replacement_labour_eur: price,
+    motor: byEnumId(z.object({ name: z.string().optional(), eur_per_kw: price })),
+    motor_eur_per_unit: price,
+    chargers: z.object({ opportunity: chargerPrices, in_motion: chargerPrices, depot: chargerPrices }),
+    electricity: z.object({ depot_eur_per_kwh: price, on_route_eur_per_kwh: price, demand_eur_per_kw_month: price }),
+    maintenance: z.object({ bus_eur_per_km: price }),
+    discount_rate_pct: z.number().min(0).max(50),
+});
+
+// Any time/speed(/altitude) trace for POST /api/drive-cycles/stats, e.g. a City_Specific cycle
+const DriveCycleTraceSchema = z.object({
+    time_s: numberArray.min(2),
+    speed_mps: numberArray,
+    altitude_m: z.union([z.number(), numberArray]).nullable().optional(),
+}).superRefine((trace, ctx) => {
+    const { time_s: time, speed_mps: speed, altitude_m: altitude } = trace;
+    if (speed.length !== time.length) {
+        ctx.addIssue({ code: 'custom', path: ['speed_mps'], message: 'speed_mps must have as many points as time_s' });
+    }
+    if (Array.isArray(altitude) && altitude.length !== time.length) {
+        ctx.addIssue({ code: 'custom', path: ['altitude_m'], message: 'altitude_m must have as many points as time_s' });
+    }
+    const step = time.findIndex((t, i) => i > 0 && t <= time[i - 1]);
+    if (step !== -1) ctx.addIssue({ code: 'custom', path: ['time_s', step], message: 'time_s must increase strictly' });
+    const negative = speed.findIndex(v => v < 0);
+    if (negative !== -1) ctx.addIssue({ code: 'custom', path: ['speed_mps', negative], message: 'speed_mps must not be negative' });
+});
+
 module.exports = {
     RequestSchema,
-    ValidatorResponseSchema,
-    InputDataSchema,
-    DrivingCycle,
-    ScenarioData,
-    EnergyStorage,
-    ChargerData,
-    MotorData,
-    BatteryData,
+    WizardCompileRequestSchema,
+    SimulationListQuerySchema,
+    RerunRequestSchema,
+    BatchRequestSchema,
+    CompareQuerySchema,
+    AgingQuerySchema,
+    TcoQuerySchema,
+    PriceTablesSchema,
+    DriveCycleTraceSchema,
+    ValidatorResponseV1Schema,
+    ValidatorResponseV2Schema,
+    VALIDATOR_RESPONSE_SCHEMAS,
+    parseValidatorResponse,
+    buildInputSchemas,
+    formatIssues,
 };
@@ -0,0 +1,258 @@
+/**
+ * Wizard state and its compiler to spec-shaped inputData.
+ *
+ * The three frontend steps store what they collect by DOM field id, in one versioned
+ * document (localStorage key `wizardState`):
+ *
+ *   {
+ *     "version": 1,
+ *     "steps": {
+ *       "driveCycle":         { "cycleTypeSelect": 1, "simTime": 600, "customDrive": false, "fleetSize": 10, ... },
+ *       "environmentVehicle": { "wind-speed": 3.2, "humidity": 65, "vehicle-mass": 12500, ... },
+ *       "parameters":         { "select-motor-type": 3, "select-battery-type": 2 }
+ *     },
+ *     "sources": {
+ *       "environmentVehicle": { "temperature": "climate", "humidity": "user" }
+ *     }
+ *   }
+ *
+ * `sources` (optional) records per step where prefilled values came from: "climate" for the
+ * climate defaults of the chosen city and month (GET /api/climate), "user" for overrides.
+ * compile() does not read it; the values in `steps` are what gets sent.
+ *
+ * compile() maps each field onto its ui_schema field and reports everything it could not use:
+ * `unmapped` (the wizard collects it but the spec has no field for it) and `dropped` (mapped,
+ * but the spec does not have that field or the value is unusable).
+ *
+ * Shared by the server (require) and the browser (served as /js/wizardState.js, global
+ * `WizardState`), so it must stay dependency-free.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.WizardState = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const VERSION = 1;
+    const STORAGE_KEY = 'wizardState';
+    const LEGACY_KEYS = ['driveCycleConfig', 'simulationConfig', 'environmentVehicleParams'];
+
+    // step -> DOM field id -> "Group.uiKey", or { reason } for fields the spec has no place for
+    const FIELD_MAP = {
+        driveCycle: {
+            cycleTypeSelect: 'Driving_Cycle.cycle_type',
+            citySelect: 'Driving_Cycle.city_name',
+            monthSelect: 'Driving_Cycle.month',
+            simTime: { reason: 'the spec has no simulation time; the backend runs the whole cycle' },
+            customDrive: { reason: 'UI toggle for the upload; Cycle_Type 6 selects a custom cycle' },
+            customFile: { reason: 'file name only; the uploaded trace is referenced by driveCycleId' },
+            driveCycleId: 'Driving_Cycle.drive_cycle_id',
+            // Fleet scenario, shown for standard cycles only (the rules omit it for the others)
+            vehicleLength: 'Scenario_data.VehicleLength',
+            tripDistance: 'Scenario_data.Return_Trip_Distance_km',
+            fleetSize: 'Scenario_data.Number_of_Buses_in_Fleet',
+            routeSpeed: 'Scenario_data.Average_Velocity_of_Route_kph',
+            serviceStart: 'Scenario_data.Service_Start_h',
+            serviceEnd: 'Scenario_data.Service_End_h',
+        },
+        environmentVehicle: {
+            'wind-speed': 'Environment_data.WindSpeed_ms',
+            humidity: 'Environment_data.Humidity_pct',
+            temperature: 'Environment_data.AvgTemp_C',
+            'cabin-temp': 'Environment_data.CabinTempRef_C',
+            'solar-insolation': { reason: 'replaced by solar-irradiance (Wh/m² per day)' },
+            'solar-irradiance': 'Environment_data.Solar_Irradiance_Wh_m2',
+            daylight: { reason: 'the spec has no daylight duration' },
+            pressure: { reason: 'the spec has no atmospheric pressure' },
+            'rolling-resistance': 'Vehicle_data.RollResist',
+            'wheel-radius': 'Vehicle_data.WheelRadius_m',
+            'cross-section': { reason: 'the spec takes VehicleWidth_m and VehicleHeight_m, not an area' },
+            'vehicle-mass': 'Vehicle_data.VehicleMass_kg',
+            'drag-coefficient': 'Vehicle_data.AirDragCoeff',
+            'battery-soc': 'Energy_Storage_data.Initial_Battery_SoC_pct',
+        },
+        parameters: {
+            'select-motor-type': 'Electric_Motor_data.Motor_Type',
+            'select-battery-type': 'Energy_Storage_data.Battery_Chemistry',
+        },
+    };
+
+    function wizardError(message) {
+        const err = new Error(message);
+        err.status = 400;
+        return err;
+    }
+
+    function create() {
+        return { version: VERSION, steps: {} };
+    }
+
+    /**
+     * Throws (status 400) unless `state` is a wizard state this module can compile
+     */
+    function check(state) {
+        if (!state || typeof state !== 'object' || Array.isArray(state)) {
+            throw wizardError('wizardState must be an object');
+        }
+        if (state.version !== VERSION) {
+            throw wizardError(`Unsupported wizardState version ${JSON.stringify(state.version)} (expected ${VERSION})`);
+        }
+        if (!state.steps || typeof state.steps !== 'object' || Array.isArray(state.steps)) {
+            throw wizardError('wizardState.steps must be an object');
+        }
+    }
+
+    const isNumeric = v => (typeof v === 'number' && Number.isFinite(v)) || (typeof v === 'string' && v.trim() !== '' && Number.isFinite(Number(v)));
+
+    /**
+     * Value coerced for a ui_schema field, or { reason } when it cannot be used
+     */
+    function coerce(value, field) {
+        if (value === null || value === undefined || value === '') return { reason: 'empty value' };
+        switch (field.type) {
+            case 'checkbox':
+                if (typeof value === 'boolean') return { value: value ? (field.checked ?? 1) : (field.unchecked ?? 0) };
+                return isNumeric(value) ? { value: Number(value) } : { reason: 'not a checkbox value' };
+            case 'map-picker':
+                return { value: isNumeric(value) ? Number(value) : String(value) };
+            case 'drive-cycle-ref':
+                return typeof value === 'string' ? { value } : { reason: 'not a drive cycle id' };
+            case 'array-number':
+            case 'array-number-or-scalar':
+                if (Array.isArray(value)) {
+                    return value.every(isNumeric) ? { value: value.map(Number) } : { reason: 'array contains non-numbers' };
+                }
+                if (field.type === 'array-number-or-scalar' && isNumeric(value)) return { value: Number(value) };
+                return { reason: 'not an array of numbers' };
+            default:
+                return isNumeric(value) ? { value: Number(value) } : { reason: 'not a number' };
+        }
+    }
+
+    /**
+     * Compile a wizard state into spec-shaped inputData (ui_schema keys).
+     * Returns { inputData, report: { version, mapped, unmapped, dropped } }.
+     */
+    function compile(state, spec) {
+        check(state);
+        const inputData = {};
+        const report = { version: VERSION, mapped: [], unmapped: [], dropped: [] };
+        const specVersion = spec?._meta?.version || 'unknown';
+
+        for (const [step, fields] of Object.entries(state.steps)) {
+            const stepMap = FIELD_MAP[step];
+            for (const [field, value] of Object.entries(fields || {})) {
+                const target = stepMap ? stepMap[field] : undefined;
+                if (target === undefined) {
+                    const reason = stepMap ? 'unknown wizard field' : `unknown wizard step "${step}"`;
+                    report.unmapped.push({ step, field, value, reason });
+                    continue;
+                }
+                if (typeof target !== 'string') {
+                    report.unmapped.push({ step, field, value, reason: target.reason });
+                    continue;
+                }
+
+                const [group, key] = target.split('.');
+                const specField = (spec?.ui_schema?.[group]?.fields || []).find(f => f.key === key);
+                if (!specField) {
+                    report.dropped.push({ step, field, path: target, value, reason: `not in ui_schema of spec ${specVersion}` });
+                    continue;
+                }
+                if (specField.type === 'calculated' || specField.show_only === true) {
+                    report.dropped.push({ step, field, path: target, value, reason: 'calculated by the backend' });
+                    continue;
+                }
+                const result = coerce(value, specField);
+                if ('reason' in result) {
+                    report.dropped.push({ step, field, path: target, value, reason: result.reason });
+                    continue;
+                }
+                (inputData[group] = inputData[group] || {})[key] = result.value;
+                report.mapped.push({ step, field, path: target, value: result.value });
+            }
+        }
+        return { inputData, report };
+    }
+
+    /**
+     * Wizard state from the per-page keys used before the versioned format
+     * (driveCycleConfig / simulationConfig and environmentVehicleParams)
+     */
+    function fromLegacy({ driveCycleConfig, environmentVehicleParams } = {}) {
+        const state = create();
+        if (driveCycleConfig && typeof driveCycleConfig === 'object') {
+            state.steps.driveCycle = {
+                cycleTypeSelect: driveCycleConfig.driveCycleTypeId ?? null,
+                simTime: driveCycleConfig.simulationTime ?? null,
+                customFile: driveCycleConfig.customFile ?? null,
+            };
+        }
+        if (environmentVehicleParams && typeof environmentVehicleParams === 'object') {
+            // Stored as backend groups; keep only what the page collected (template constants were copied in)
+            const byPath = {};
+            for (const [id, path] of Object.entries(FIELD_MAP.environmentVehicle)) {
+                if (typeof path === 'string') byPath[path] = id;
+            }
+            const step = {};
+            for (const [group, values] of Object.entries(environmentVehicleParams)) {
+                for (const [key, value] of Object.entries(values || {})) {
+                    const id = byPath[`${group}.${key}`];
+                    if (id) step[id] = value;
+                }
+            }
+            state.steps.environmentVehicle = step;
+        }
+        return state;
+    }
+
+    /* ===== Browser persistence ===== */
+
+    function readJson(storage, key) {
+        try {
+            const raw = storage.getItem(key);
+            return raw ? JSON.parse(raw) : null;
+        } catch (e) {
+            console.warn(`Could not parse ${key}`, e);
+            return null;
+        }
+    }
+
+    /**
+     * Stored wizard state; migrates the legacy per-page keys, starts fresh on a version mismatch
+     */
+    function load(storage = globalThis.localStorage) {
+        const stored = readJson(storage, STORAGE_KEY);
+        if (stored) {
+            try {
+                check(stored);
+                return stored;
+            } catch (e) {
+                console.warn('Discarding stored wizard state:', e.message);
+                return create();
+            }
+        }
+        const driveCycleConfig = readJson(storage, 'driveCycleConfig') || readJson(storage, 'simulationConfig');
+        const environmentVehicleParams = readJson(storage, 'environmentVehicleParams');
+        return driveCycleConfig || environmentVehicleParams ? fromLegacy({ driveCycleConfig, environmentVehicleParams }) : create();
+    }
+
+    function save(state, storage = globalThis.localStorage) {
+        storage.setItem(STORAGE_KEY, JSON.stringify(state));
+        LEGACY_KEYS.forEach(key => storage.removeItem(key));
+        return state;
+    }
+
+    /**
+     * Replace one step's fields (and, when given, their value sources) and persist
+     */
+    function saveStep(step, fields, { sources, storage = globalThis.localStorage } = {}) {
+        const state = load(storage);
+        state.steps[step] = { ...fields };
+        if (sources) state.sources = { ...state.sources, [step]: { ...sources } };
+        else if (state.sources) delete state.sources[step];
+        return save(state, storage);
+    }
+
+    return { VERSION, STORAGE_KEY, FIELD_MAP, create, check, compile, fromLegacy, load, save, saveStep };
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { expandSweep, rangeValues } = require('../src/batch');
+
+test('a cartesian sweep is rejected before a tiny-step range is built', () => {
+    const parameters = [{ path: 'Vehicle_data.VehicleMass_kg', range: { from: 0, to: 1, step: 1e-9 } }];
+    assert.throws(() => expandSweep({ parameters }), { status: 400, message: /the limit is 500/ });
+});
+
+test('the point limit counts every parameter before expanding', () => {
+    const parameters = [
+        { path: 'Vehicle_data.VehicleMass_kg', range: { from: 10000, to: 20000, step: 1000 } },
+        { path: 'Environment_data.AvgTemp_C', values: [-10, 0, 10, 20, 30] },
+    ];
+    assert.equal(expandSweep({ parameters }, { maxPoints: 55 }).length, 55);
+    assert.throws(() => expandSweep({ parameters }, { maxPoints: 54 }), { status: 400 });
+});
+
+test('ranges include both ends when they line up with the step', () => {
+    assert.deepEqual(rangeValues({ from: 0.1, to: 0.5, step: 0.1 }), [0.1, 0.2, 0.3, 0.4, 0.5]);
+    assert.deepEqual(rangeValues({ from: 0, to: 1, step: 0.3 }), [0, 0.3, 0.6, 0.9]);
+});
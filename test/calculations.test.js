@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CALCULATORS } = require('../src/calculations');
+
+const minimumRegenSpeed = CALCULATORS['Electric_Motor_data.Minimum_Regenerative_Speed_RPM'];
+
+test('minimum regenerative speed is where peak regen torque reaches the regen power limit', () => {
+    // P_regen = 800 Nm · 3000 rpm · 2π/60 = 251.33 kW; n = 251.33 kW / 2000 Nm · 60/2π = 1200 rpm
+    const motor = { Max_Regenerative_Torque_Nm: 2000, Regenerative_Torque_at_Max_Speed_Nm: 800, Max_Motor_Speed_RPM: 3000, Rated_Motor_Speed_RPM: 1000 };
+    assert.equal(minimumRegenSpeed({ Electric_Motor_data: motor }), 1200);
+
+    // 1500 Nm · 4500 rpm / 2500 Nm = 2700 rpm
+    assert.equal(minimumRegenSpeed({ Electric_Motor_data: { ...motor, Max_Regenerative_Torque_Nm: 2500, Regenerative_Torque_at_Max_Speed_Nm: 1500, Max_Motor_Speed_RPM: 4500 } }), 2700);
+});
+
+test('minimum regenerative speed is null for missing or inconsistent torques', () => {
+    assert.equal(minimumRegenSpeed({ Electric_Motor_data: { Max_Regenerative_Torque_Nm: 2000, Max_Motor_Speed_RPM: 3000 } }), null);
+    assert.equal(minimumRegenSpeed({ Electric_Motor_data: { Max_Regenerative_Torque_Nm: 500, Regenerative_Torque_at_Max_Speed_Nm: 800, Max_Motor_Speed_RPM: 3000 } }), null);
+});
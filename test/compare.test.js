@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compareInputs } = require('../src/compare');
+
+test('array inputs are summarized by length and changed positions against the baseline', () => {
+    const speed = Array.from({ length: 100 }, (_, i) => i);
+    const faster = speed.map((v, i) => (i >= 10 && i < 40 ? v + 1 : v));
+    const diffs = compareInputs([
+        { Driving_Cycle: { Cycle_Type: 6, Speed_mps: speed, Time_s: [0, 1] } },
+        { Driving_Cycle: { Cycle_Type: 6, Speed_mps: faster, Time_s: [0, 1] } },
+        { Driving_Cycle: { Cycle_Type: 6, Speed_mps: speed.slice(0, 98), Time_s: [0, 1] } },
+        { Driving_Cycle: { Cycle_Type: 1, Speed_mps: null, Time_s: [0, 1] } },
+    ]);
+
+    assert.deepEqual(diffs.map(d => d.path), ['Driving_Cycle.Cycle_Type', 'Driving_Cycle.Speed_mps']);
+    assert.deepEqual(diffs[0].values, [6, 6, 6, 1]);
+    const [base, changed, shorter, missing] = diffs[1].values;
+    assert.deepEqual(base, { length: 100, changed: 0, changedIndices: [] });
+    assert.equal(changed.length, 100);
+    assert.equal(changed.changed, 30);
+    assert.deepEqual(changed.changedIndices, Array.from({ length: 20 }, (_, i) => i + 10));
+    assert.deepEqual(shorter, { length: 98, changed: 2, changedIndices: [98, 99] });
+    assert.equal(missing, null);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { projectAging } = require('../src/batteryAging');
+const { projectFleet } = require('../src/fleet');
+const { computeTco } = require('../src/tco');
+const defaultPrices = require('../json/prices.json');
+const { templatePayload, simulate } = require('./helpers/simulate');
+
+// What GET /api/results/:id/aging, /fleet and /tco report as one bus's day
+function duties(payload, response, query = {}) {
+    const aging = projectAging(payload, response, query).duty;
+    const tco = computeTco(payload, response, defaultPrices, { ...query, daysPerYear: 365 }).basis;
+    return {
+        aging: { runsPerDay: aging.runsPerDay, distanceKm: aging.dailyDistanceKm },
+        tco: { runsPerDay: tco.runsPerDay, distanceKm: Math.round((tco.kmPerBusPerYear / 365) * 10) / 10 },
+    };
+}
+
+test('aging, fleet and TCO use the fleet timetable for one response', async () => {
+    const payload = templatePayload();
+    const response = await simulate(payload);
+    const fleet = projectFleet(payload, response).duty;
+    const { aging, tco } = duties(payload, response);
+
+    assert.equal(fleet.source, 'fleet');
+    assert.deepEqual(aging, { runsPerDay: fleet.runsPerDay, distanceKm: fleet.distanceKm });
+    assert.deepEqual(tco, { runsPerDay: fleet.runsPerDay, distanceKm: fleet.distanceKm });
+    assert.equal(projectAging(payload, response).duty.dailyEnergyKwh, fleet.energyKwh);
+    // runsPerDay and hoursPerDay do not apply to a fleet
+    assert.deepEqual(duties(payload, response, { runsPerDay: 3 }), { aging, tco });
+});
+
+test('aging and TCO agree on runs per day without a fleet scenario', async () => {
+    const payload = templatePayload(p => delete p.Scenario_data);
+    const response = await simulate(payload);
+    const expected = Math.floor((16 * 3600) / response.metrics.duration_s);
+
+    const { aging, tco } = duties(payload, response);
+    assert.equal(aging.runsPerDay, expected);
+    assert.deepEqual(tco, aging);
+    const fixed = duties(payload, response, { runsPerDay: 3 });
+    assert.equal(fixed.aging.runsPerDay, 3);
+    assert.deepEqual(fixed.tco, fixed.aging);
+});
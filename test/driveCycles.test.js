@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createDriveCycleLibrary, toTemplateCsv, STANDARD_CYCLES } = require('../src/driveCycles');
+
+const library = createDriveCycleLibrary({ dir: path.join(__dirname, '..', 'data', 'driveCycles') });
+
+for (const [name, def] of Object.entries(STANDARD_CYCLES)) {
+    test(`${name} matches its published duration and distance`, async t => {
+        if (!def.published) return t.skip('no published figures recorded');
+        if (!library.available(name)) return t.skip(`trace not installed (${def.file})`);
+        const cycle = await library.get(name);
+        assert.equal(cycle.duration_s, def.published.duration_s);
+        const error = Math.abs(cycle.distance_km - def.published.distance_km) / def.published.distance_km;
+        assert.ok(error < 0.005, `${cycle.distance_km} km is not within 0.5 % of ${def.published.distance_km} km`);
+    });
+}
+
+test('the template of an installed cycle has one row per trace point', async () => {
+    const cycle = await library.get('NEDC');
+    const rows = toTemplateCsv(cycle).trim().split('\n');
+    assert.equal(rows[0], 'Time(s),Speed(km/h),Acceleration(m/s²)');
+    assert.equal(rows.length - 1, cycle.points);
+});
+
+test('a cycle whose trace is not installed is unavailable and rejects with 404', async () => {
+    const empty = createDriveCycleLibrary({ dir: path.join(__dirname, 'no-such-dir') });
+    assert.equal(empty.available('NEDC'), true);
+    assert.equal(empty.available('WLTC'), false);
+    await assert.rejects(empty.get('WLTC'), { status: 404 });
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const spec = require('../json/driveCycleOption.json');
+const { simulateEv } = require('../src/evModel');
+
+const TRACE = { time_s: [0, 1, 2, 3, 4, 5], speed_ms: [0, 2, 4, 6, 6, 6] };
+
+test('missing fields take the defaults of the payload spec version template', () => {
+    const current = spec.backend_payload_template;
+    const archived = structuredClone(current);
+    archived.Environment_data.AvgTemp_C = 30;
+    const payload = { Driving_Cycle: { Cycle_Type: 6 } };
+
+    assert.equal(simulateEv(payload, TRACE, { template: current }).metrics.ambient_c, current.Environment_data.AvgTemp_C);
+    assert.equal(simulateEv(payload, TRACE, { template: archived }).metrics.ambient_c, 30);
+    assert.throws(() => simulateEv(payload, TRACE), /backend_payload_template/);
+});
+
+test('a trace faster than VehMaxSpeed holds the motor at its maximum speed and reports the shortfall', () => {
+    const template = spec.backend_payload_template;
+    const maxRpm = template.Electric_Motor_data.Max_Motor_Speed_RPM;
+    const topKph = template.Vehicle_data.VehMaxSpeed_kph;
+    const fast = (topKph + 20) / 3.6;
+    const trace = { time_s: [0, 10, 20, 30, 40, 50, 60], speed_ms: [0, fast / 2, fast, fast, fast, fast / 2, 0] };
+    const run = simulateEv({}, trace, { template });
+
+    assert.ok(Math.max(...run.timeseries.motor_speed_rpm) <= maxRpm);
+    assert.equal(run.metrics.peak_motor_speed_rpm, maxRpm);
+    const shortfall = run.violations.filter(v => v.code === 'TRACE_SPEED_SHORTFALL');
+    assert.equal(shortfall.length, 1);
+    assert.equal(shortfall[0].limit, topKph);
+    assert.equal(shortfall[0].value, topKph + 20);
+    assert.deepEqual([shortfall[0].start_s, shortfall[0].end_s], [20, 40]);
+    assert.ok(!run.violations.some(v => v.code === 'TRACTION_TORQUE_LIMIT' && v.start_s >= 20 && v.end_s <= 40));
+});
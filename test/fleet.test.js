@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { projectFleet, loadProfile } = require('../src/fleet');
+const { templatePayload, simulate } = require('./helpers/simulate');
+
+const DAY_S = 86400;
+
+test('a depot session past midnight is split over one day', () => {
+    const sessions = [
+        { startS: 80000, endS: 90000 }, // 22:13 to 01:00 the next day
+        { startS: 86400 + 600, endS: 86400 + 4200 }, // 00:10 to 01:10 the next day
+    ];
+    const { points, peakKw } = loadProfile(sessions, 100);
+    assert.deepEqual(points, [[0, 100], [600, 200], [3600, 100], [4200, 0], [80000, 100]]);
+    assert.equal(peakKw, 200);
+});
+
+test('the NEDC fleet profile and charging windows stay within one day', async () => {
+    const payload = templatePayload();
+    const fleet = projectFleet(payload, await simulate(payload));
+    assert.ok(fleet.depot.profile.length > 0);
+    for (const [t] of fleet.depot.profile) assert.ok(t >= 0 && t < DAY_S, `profile time ${t} s`);
+    assert.ok(fleet.depot.peakLoadKw <= fleet.depot.chargersRequired * fleet.depot.chargerPowerKw);
+    for (const bus of fleet.buses.filter(b => b.chargeStartS !== null)) {
+        assert.ok(bus.chargeStartS < DAY_S && bus.chargeEndS < DAY_S, `bus ${bus.bus}: ${bus.chargeStartS}–${bus.chargeEndS} s`);
+    }
+});
+
+test('depot chargers are sized apart from what Charger_data installs', async () => {
+    const off = templatePayload(p => { p.Charger_data.Dep_Charger_Flag = 0; p.Charger_data.Num_Dep_Charger = 2; });
+    const { depot } = projectFleet(off, await simulate(off));
+    assert.ok(depot.chargersRequired > 2);
+    assert.equal(depot.depotChargingEnabled, false);
+    assert.equal(depot.chargersInstalled, 0);
+    assert.equal(depot.chargersMissing, depot.chargersRequired);
+
+    const on = templatePayload(p => { p.Charger_data.Dep_Charger_Flag = 1; p.Charger_data.Num_Dep_Charger = 2; });
+    const installed = projectFleet(on, await simulate(on)).depot;
+    assert.equal(installed.depotChargingEnabled, true);
+    assert.equal(installed.chargersRequired, depot.chargersRequired);
+    assert.equal(installed.chargersInstalled, 2);
+    assert.equal(installed.chargersMissing, depot.chargersRequired - 2);
+});
@@ -0,0 +1,27 @@
+const spec = require('../../json/driveCycleOption.json');
+const { simulateEv } = require('../../src/evModel');
+const { createDriveCycleLibrary } = require('../../src/driveCycles');
+
+const library = createDriveCycleLibrary({ dir: __dirname }); // NEDC is built in
+
+/**
+ * The spec template's payload on NEDC, with `change(payload)` applied before the run
+ */
+function templatePayload(change = () => {}) {
+    const payload = structuredClone(spec.backend_payload_template);
+    payload.Driving_Cycle.Cycle_Type = 2;
+    change(payload);
+    return payload;
+}
+
+/**
+ * v2 validator response (the reference validator's buildV2Response) for `payload` on `trace`
+ * ({ time_s, speed_mps }; NEDC when omitted)
+ */
+async function simulate(payload, trace) {
+    const cycle = trace || await library.get('NEDC');
+    const run = simulateEv(payload, { time_s: cycle.time_s, speed_ms: cycle.speed_mps, altitude_m: cycle.altitude_m }, { template: spec.backend_payload_template });
+    return { version: '2.0.0', timeseries: run.timeseries, metrics: run.metrics, charging_events: run.charging_events, violations: run.violations };
+}
+
+module.exports = { templatePayload, simulate };
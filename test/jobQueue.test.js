@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../src/storage/memoryStore');
+const { createJobQueue } = require('../src/jobQueue');
+
+test('concurrent enqueues queue a simulation once', async () => {
+    const { simulations } = createMemoryStore();
+    const queue = createJobQueue({ simulations, handler: async () => ({}) }); // not started: jobs stay queued
+    const updates = [];
+    queue.events.on('update', u => updates.push(u));
+
+    const { _id } = await simulations.create({ status: 'pending' });
+    const [first, second] = await Promise.all([queue.enqueue(_id), queue.enqueue(_id)]);
+
+    assert.equal(updates.length, 1);
+    assert.equal(first.status, 'pending');
+    assert.deepEqual(second.queuedAt, first.queuedAt);
+    assert.equal(await queue.enqueue('000000000000000000000000'), null);
+});
+
+test('a processing simulation is not queued again', async () => {
+    const { simulations } = createMemoryStore();
+    const queue = createJobQueue({ simulations, handler: async () => ({}) });
+    const { _id } = await simulations.create({ status: 'pending' });
+    await queue.enqueue(_id);
+    const claimed = await simulations.claimNext();
+
+    const again = await queue.enqueue(_id);
+    assert.equal(again.status, 'processing');
+    assert.deepEqual(again.startedAt, claimed.startedAt);
+    assert.equal(await simulations.claimNext(), null);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const spec = require('../json/driveCycleOption.json');
+const { applyRules, rulesForSpec, LEGACY_RULES } = require('../src/rulesEngine');
+
+// A City_Specific payload after the template merge, as the pre-rules backend received it
+const cityPayload = () => ({
+    Driving_Cycle: { Cycle_Type: 0, Time_s: [0, 1, 2], Speed_mps: [0, 1, 2], Altitude_m: null, ECO_Options: 1, ECO_Threshold: 5 },
+    Scenario_data: { VehicleLength: 12 },
+    Charger_data: { Opp_Charger_Flag: true, Depot_Charger_Flag: false },
+    Energy_Storage_data: { MaximumSoC_pct: 90 },
+});
+
+test('specs without rules get the payload the hand-coded backend built', () => {
+    const payload = cityPayload();
+    applyRules(payload, { rules: rulesForSpec({ backend_payload_template: {} }), input: {} });
+
+    assert.deepEqual(payload, {
+        Driving_Cycle: { Cycle_Type: 0, Time_s: [0, 1, 2], Speed_mps: [0, 1, 2], ECO_Options: 1, ECO_Threshold: null },
+        Charger_data: { Opp_Charger_Flag: 1, Depot_Charger_Flag: 0 },
+        Energy_Storage_data: { MaximumSoC_pct: 90, Initial_Battery_SoC_pct: 90 },
+    });
+});
+
+test('the current spec sends a flat altitude for City_Specific routes without a profile', () => {
+    const rules = rulesForSpec(spec);
+    assert.notEqual(rules, LEGACY_RULES);
+    const payload = cityPayload();
+    applyRules(payload, { rules, input: {} });
+    assert.equal(payload.Driving_Cycle.Altitude_m, 0);
+});
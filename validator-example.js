@@ -1,11 +1,17 @@
 const express = require('express');
 const cors = require('cors');
 const crypto = require('crypto');
+const path = require('path');
 require('dotenv').config();
+const { simulateEv } = require('./src/evModel');
+const { createDriveCycleLibrary, STANDARD_CYCLES } = require('./src/driveCycles');
+const { createSpecRegistry } = require('./src/specRegistry');
 
 const app = express();
 const PORT = process.env.VALIDATOR_PORT || 5001;
 const SHARED_SECRET = process.env.SHARED_SECRET || 'your-super-secret-key-here';
+// Optional artificial latency per request (ms), e.g. to watch the progress bar in a demo
+const VALIDATOR_DELAY_MS = Math.max(0, Number(process.env.VALIDATOR_DELAY_MS) || 0);
 
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
@@ -47,91 +53,140 @@ function verifySignature(req, res, next) {
 // Simple in-memory storage for idempotency (use Redis in production)
 const processedRequests = new Map();
 
+// Response contract versions this validator can produce (the backend asks with Accept-Version)
+const RESPONSE_VERSIONS = [2, 1];
+
+/**
+ * First version in the Accept-Version header ("2, 1") that we produce; v1 when the header is
+ * missing (backends that predate negotiation), null when none is acceptable
+ */
+function negotiateVersion(header) {
+    if (!header) return 1;
+    const wanted = String(header).split(',').map(v => parseInt(v, 10)).filter(Number.isInteger);
+    return wanted.find(v => RESPONSE_VERSIONS.includes(v)) ?? null;
+}
+
+const round = (v, digits = 2) => Math.round(v * 10 ** digits) / 10 ** digits;
+
+// Standard cycles (Cycle_Type 1–5) are not sent as traces; read them like the backend does
+const standardCycles = createDriveCycleLibrary({
+    dir: process.env.DRIVE_CYCLE_DIR || path.join(__dirname, 'data', 'driveCycles')
+});
+
+// The backend's spec and its archive: the model's defaults come from the spec version a payload
+// was built with (X-Spec-Version), the current one when the header is missing
+const specs = createSpecRegistry({
+    specPath: process.env.SPEC_PATH || path.join(__dirname, 'json', 'driveCycleOption.json'),
+    archiveDir: process.env.SPEC_ARCHIVE_DIR || path.join(__dirname, 'data', 'specs')
+});
+specs.load();
+specs.watch();
+
+function traceError(message) {
+    const err = new Error(message);
+    err.status = 422;
+    return err;
+}
+
+function payloadTemplate(version) {
+    try {
+        return specs.resolve(version).spec.backend_payload_template;
+    } catch (e) {
+        throw traceError(e.message);
+    }
+}
+
+/**
+ * Speed trace of the payload's Driving_Cycle: its own Time_s / Speed_mps (custom cycles and
+ * City_Specific routes, filled in by the backend) or the standard cycle of its Cycle_Type
+ */
+async function resolveTrace(drivingCycle) {
+    const { Time_s, Speed_mps, Altitude_m, Cycle_Type } = drivingCycle;
+    if (Array.isArray(Speed_mps) && Speed_mps.length >= 2) {
+        const time_s = Array.isArray(Time_s) && Time_s.length === Speed_mps.length
+            ? Time_s
+            : Speed_mps.map((_, i) => i);
+        return { time_s, speed_ms: Speed_mps, altitude_m: Altitude_m ?? null };
+    }
+    const standard = Object.entries(STANDARD_CYCLES).find(([, def]) => def.id === Cycle_Type);
+    if (!standard) {
+        throw traceError(`Driving_Cycle has no Speed_mps trace and Cycle_Type ${JSON.stringify(Cycle_Type)} is not a standard cycle`);
+    }
+    try {
+        const cycle = await standardCycles.get(standard[0]);
+        return { time_s: cycle.time_s, speed_ms: cycle.speed_mps, altitude_m: cycle.altitude_m ?? Altitude_m ?? null };
+    } catch (e) {
+        throw e.status ? traceError(e.message) : e;
+    }
+}
+
+/* v1: telematics-style feed, derived from the same model (motor speed and torque) */
+function buildV1Response(run, payload, template) {
+    const { time_s, speed_ms, motor_speed_rpm, motor_torque_nm, traction_power_kw } = run.timeseries;
+    const maxTorque = payload.Electric_Motor_data?.Max_Traction_Torque_Nm || template.Electric_Motor_data.Max_Traction_Torque_Nm;
+    const peakKw = Math.max(run.metrics.peak_traction_power_kw, 1);
+    const torque_pct = motor_torque_nm.map(t => round((Math.max(0, t) / maxTorque) * 100, 1));
+    const load_pct = traction_power_kw.map(p => round((p / peakKw) * 100, 1));
+    const last = time_s.length - 1;
+
+    return {
+        version: "1.0.0",
+        computed_at: new Date().toISOString(),
+        timeseries: { time_s, speed_ms, rpm: motor_speed_rpm, load_pct, torque_pct },
+        metrics: {
+            load_pct: load_pct[last],
+            torque_pct: torque_pct[last],
+            dtc_count: run.violations.filter(v => v.severity === 'error').length,
+            ambient_c: run.metrics.ambient_c,
+            distance_km: round(run.metrics.distance_km, 1),
+            speed_now: round(speed_ms[last], 1),
+            rpm_now: Math.round(motor_speed_rpm[last])
+        }
+    };
+}
+
+/* v2: electric bus feed (./src/evModel.js) */
+function buildV2Response(run) {
+    return {
+        version: "2.0.0",
+        computed_at: new Date().toISOString(),
+        timeseries: run.timeseries,
+        metrics: run.metrics,
+        charging_events: run.charging_events,
+        violations: run.violations,
+    };
+}
+
 // Validate endpoint
 app.post('/validate', verifySignature, async (req, res) => {
     try {
         const { idempotencyKey } = req;
+        const version = negotiateVersion(req.headers['accept-version']);
+        if (!version) {
+            return res.status(406).json({
+                error: 'Not Acceptable',
+                message: `Response versions ${RESPONSE_VERSIONS.join(', ')} are available; requested ${req.headers['accept-version']}`
+            });
+        }
         
         // Check idempotency
-        if (idempotencyKey && processedRequests.has(idempotencyKey)) {
-            const cached = processedRequests.get(idempotencyKey);
+        const cacheKey = idempotencyKey && `${idempotencyKey}:v${version}`;
+        if (cacheKey && processedRequests.has(cacheKey)) {
+            const cached = processedRequests.get(cacheKey);
             return res.json(cached);
         }
         
-        // Simulate processing time
-        await new Promise(resolve => setTimeout(resolve, 2000));
+        if (VALIDATOR_DELAY_MS) await new Promise(resolve => setTimeout(resolve, VALIDATOR_DELAY_MS));
         
-        // Extract driving cycle data
-        const drivingCycle = req.body.Driving_Cycle || {};
-        const cycleType = drivingCycle.Cycle_Type || 0;
-        
-        // Generate sample timeseries data based on cycle type
-        const timeSteps = 100;
-        const time_s = Array.from({ length: timeSteps }, (_, i) => i);
-        
-        let speed_ms = [];
-        let rpm = [];
-        let fuel_lph = [];
-        let load_pct = [];
-        let torque_pct = [];
-        
-        // Generate realistic data based on cycle type
-        if (cycleType === 0) { // City
-            speed_ms = time_s.map(t => Math.max(0, 15 + 10 * Math.sin(t / 10) + 5 * Math.random()));
-            rpm = time_s.map(t => 800 + 200 * Math.sin(t / 15) + 50 * Math.random());
-        } else if (cycleType === 6) { // Custom
-            speed_ms = drivingCycle.Speed_mps || time_s.map(t => 20 + 15 * Math.sin(t / 20));
-            rpm = time_s.map(t => 900 + 300 * Math.sin(t / 25) + 100 * Math.random());
-        } else { // Standard cycles
-            speed_ms = time_s.map(t => 25 + 20 * Math.sin(t / 12) + 8 * Math.random());
-            rpm = time_s.map(t => 1000 + 400 * Math.sin(t / 18) + 150 * Math.random());
-        }
-        
-        // Generate correlated metrics
-        fuel_lph = time_s.map((_, i) => 2.0 + 0.5 * (speed_ms[i] / 50) + 0.1 * Math.random());
-        load_pct = time_s.map((_, i) => 15 + 25 * (speed_ms[i] / 50) + 5 * Math.random());
-        torque_pct = time_s.map((_, i) => 12 + 20 * (speed_ms[i] / 50) + 3 * Math.random());
-        
-        // Calculate final metrics
-        const finalSpeed = speed_ms[speed_ms.length - 1];
-        const finalRpm = rpm[rpm.length - 1];
-        const avgFuel = fuel_lph.reduce((a, b) => a + b, 0) / fuel_lph.length;
-        const distance = time_s.reduce((acc, t, i) => {
-            if (i === 0) return 0;
-            const dt = time_s[i] - time_s[i-1];
-            const avgSpeed = (speed_ms[i] + speed_ms[i-1]) / 2;
-            return acc + (avgSpeed * dt / 1000); // Convert to km
-        }, 0);
-        
-        const response = {
-            version: "1.0.0",
-            computed_at: new Date().toISOString(),
-            timeseries: {
-                time_s,
-                speed_ms,
-                rpm,
-                fuel_lph,
-                load_pct,
-                torque_pct
-            },
-            metrics: {
-                fuel_rate_lph: parseFloat(avgFuel.toFixed(1)),
-                fuel_pct: Math.round(avgFuel * 15), // Rough percentage
-                load_pct: Math.round(load_pct[load_pct.length - 1]),
-                torque_pct: Math.round(torque_pct[torque_pct.length - 1]),
-                dtc_count: 0,
-                coolant_c: 75 + 5 * Math.random(),
-                intake_c: 25 + 8 * Math.random(),
-                ambient_c: 20 + 5 * Math.random(),
-                distance_km: parseFloat(distance.toFixed(1)),
-                speed_now: parseFloat(finalSpeed.toFixed(1)),
-                rpm_now: Math.round(finalRpm)
-            }
-        };
+        // Same payload, same trace, same results (only computed_at changes)
+        const template = payloadTemplate(req.headers['x-spec-version']);
+        const trace = await resolveTrace(req.body.Driving_Cycle || {});
+        const run = simulateEv(req.body, trace, { template });
+        const response = version === 2 ? buildV2Response(run) : buildV1Response(run, req.body, template);
         
         // Cache for idempotency
-        if (idempotencyKey) {
-            processedRequests.set(idempotencyKey, response);
+        if (cacheKey) {
+            processedRequests.set(cacheKey, response);
             // Clean up old entries (simple LRU)
             if (processedRequests.size > 1000) {
                 const firstKey = processedRequests.keys().next().value;
@@ -142,6 +197,9 @@ app.post('/validate', verifySignature, async (req, res) => {
         res.json(response);
         
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: 'Invalid payload', message: error.message });
+        }
         console.error('Validation error:', error);
         res.status(500).json({
             error: 'Validation failed',